@@ -0,0 +1,120 @@
+const { shipPhysics } = window.SpaceShared;
+
+const { FIXED_TIMESTEP, SHIP_CONSTANTS } = shipPhysics;
+
+// Velocity errors smaller than this (units per second) are left alone
+const VELOCITY_TOLERANCE = 0.5;
+
+// How close to get to each kind of waypoint, in units
+export const ARRIVAL_DISTANCE = {
+  station: 200, // Inside docking range
+  system: 5000, // Inside the innermost planet's orbit
+  nebula: 2000, // Well inside the cloud
+};
+
+// Ships slower than this (relative to the waypoint) count as stopped
+const ARRIVAL_SPEED = 5;
+
+// Work out one fixed step of autopilot input towards a target
+// ({ position, velocity, arrivalDistance }). The desired velocity is the
+// one that would coast to a stop just inside the arrival distance; the
+// thrust needed to reach it in one step decides between normal drive and
+// warp, and how hard to burn through the throttle.
+//
+// Returns the direction to face, the keys, warp and throttle to fly with,
+// and whether the ship has arrived. `constants` are the ship's flight
+// stats, as passed to stepShip().
+export function steer(ship, target, constants = SHIP_CONSTANTS) {
+  const dx = target.position.x - ship.position.x;
+  const dy = target.position.y - ship.position.y;
+  const dz = target.position.z - ship.position.z;
+  const distance = Math.hypot(dx, dy, dz);
+
+  const relativeSpeed = Math.hypot(
+    ship.velocity.x - target.velocity.x,
+    ship.velocity.y - target.velocity.y,
+    ship.velocity.z - target.velocity.z
+  );
+  if (distance < target.arrivalDistance && relativeSpeed < ARRIVAL_SPEED) {
+    return { arrived: true, distance };
+  }
+
+  // Drag removes velocity exponentially, so a coasting ship travels
+  // speed / dragRate further before it stops
+  const dragRate = -Math.log(constants.drag);
+
+  // Aim for the middle of the arrival zone so the approach doesn't stall
+  // just outside it
+  const toTarget =
+    distance > 0
+      ? { x: dx / distance, y: dy / distance, z: dz / distance }
+      : { x: 0, y: 0, z: -1 };
+  const approachSpeed =
+    dragRate * Math.max(0, distance - target.arrivalDistance / 2);
+  const desired = {
+    x: target.velocity.x + toTarget.x * approachSpeed,
+    y: target.velocity.y + toTarget.y * approachSpeed,
+    z: target.velocity.z + toTarget.z * approachSpeed,
+  };
+
+  // Acceleration that reaches the desired velocity after one step of drag
+  const keep = Math.pow(constants.drag, FIXED_TIMESTEP);
+  const acceleration = {
+    x: (desired.x / keep - ship.velocity.x) / FIXED_TIMESTEP,
+    y: (desired.y / keep - ship.velocity.y) / FIXED_TIMESTEP,
+    z: (desired.z / keep - ship.velocity.z) / FIXED_TIMESTEP,
+  };
+  const needed = Math.hypot(acceleration.x, acceleration.y, acceleration.z);
+
+  // Face the target where possible: burn forwards when the thrust points
+  // towards it and backwards when braking
+  const towards =
+    acceleration.x * toTarget.x +
+      acceleration.y * toTarget.y +
+      acceleration.z * toTarget.z >=
+    0;
+  const sign = towards ? 1 : -1;
+  const direction =
+    needed > 0
+      ? {
+          x: (acceleration.x / needed) * sign,
+          y: (acceleration.y / needed) * sign,
+          z: (acceleration.z / needed) * sign,
+        }
+      : toTarget;
+
+  if (needed * FIXED_TIMESTEP < VELOCITY_TOLERANCE) {
+    return {
+      arrived: false,
+      distance,
+      direction,
+      keys: { w: false, a: false, s: false, d: false, up: false, down: false },
+      warp: false,
+      throttle: 1,
+    };
+  }
+
+  // Normal drive where it's strong enough, warp for everything else. Until
+  // the drive has spooled up, normal thrust is all there is.
+  const warp = needed > constants.thrusterPower;
+  const engaged = warp && ship.warpDrive.phase === shipPhysics.WARP_ACTIVE;
+  const available = engaged
+    ? constants.thrusterPower * constants.warpSpeedMultiplier
+    : constants.thrusterPower;
+
+  return {
+    arrived: false,
+    distance,
+    direction,
+    keys: {
+      w: towards,
+      a: false,
+      s: !towards,
+      d: false,
+      up: false,
+      down: false,
+    },
+    warp,
+    throttle: Math.min(1, needed / available),
+  };
+}
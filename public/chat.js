@@ -0,0 +1,162 @@
+// Matches the server's limit, so the input stops where the server would
+// refuse the message
+const MAX_MESSAGE_LENGTH = 200;
+
+// Lines kept in the chat log
+const MAX_LINES = 8;
+
+const CHANNEL_TAGS = { global: "G", local: "L", direct: "DM" };
+const CHANNEL_COLORS = {
+  global: "#ffffff",
+  local: "#88ccff",
+  direct: "#ff88ff",
+};
+
+const HELP_TEXT =
+  'Enter to chat · /g global · /l local · /w name or /w "long name" to ' +
+  "message a pilot · /r to reply";
+
+// Split what the pilot typed into a chat request. Plain text goes to
+// `channel`; commands pick another. Returns null for a bad command.
+function parseChatInput(input, channel, replyTo) {
+  const global = input.match(/^\/g\s+(.+)$/);
+  if (global) return { channel: "global", text: global[1] };
+
+  const local = input.match(/^\/l\s+(.+)$/);
+  if (local) return { channel: "local", text: local[1] };
+
+  const direct = input.match(/^\/w\s+(?:"([^"]+)"|(\S+))\s+(.+)$/);
+  if (direct) {
+    return { channel: "direct", to: direct[1] || direct[2], text: direct[3] };
+  }
+
+  const reply = input.match(/^\/r\s+(.+)$/);
+  if (reply && replyTo) {
+    return { channel: "direct", to: replyTo, text: reply[1] };
+  }
+
+  if (input.startsWith("/")) return null;
+  return { channel, text: input };
+}
+
+// Chat overlay in the top left: the latest messages, and an input opened
+// with Enter. While it has focus, the game's key handlers ignore typing.
+export class ChatUI {
+  constructor(socket) {
+    this.socket = socket;
+    this.playerId = null;
+    this.channel = "global"; // Where plain text goes; /g and /l change it
+    this.replyTo = null; // Name of whoever last messaged us directly
+
+    this.container = document.createElement("div");
+    this.container.style.position = "absolute";
+    this.container.style.top = "20px";
+    this.container.style.left = "20px";
+    this.container.style.width = "380px";
+    this.container.style.color = "white";
+    this.container.style.fontFamily = "Arial, sans-serif";
+    this.container.style.fontSize = "13px";
+    this.container.style.zIndex = "100";
+
+    this.log = document.createElement("div");
+    this.log.style.padding = "5px 10px";
+    this.log.style.backgroundColor = "rgba(0, 0, 0, 0.4)";
+    this.log.style.borderRadius = "5px";
+    this.log.style.display = "none";
+    this.container.appendChild(this.log);
+
+    this.input = document.createElement("input");
+    this.input.type = "text";
+    this.input.maxLength = MAX_MESSAGE_LENGTH;
+    this.input.style.width = "100%";
+    this.input.style.boxSizing = "border-box";
+    this.input.style.marginTop = "5px";
+    this.input.style.display = "none";
+    this.input.addEventListener("keydown", (event) => {
+      if (event.key === "Enter") {
+        this.submit();
+        this.close();
+      } else if (event.key === "Escape") {
+        this.close();
+      }
+    });
+    this.container.appendChild(this.input);
+
+    this.hint = document.createElement("div");
+    this.hint.textContent = HELP_TEXT;
+    this.hint.style.color = "#aaaaaa";
+    this.hint.style.fontSize = "11px";
+    this.hint.style.marginTop = "3px";
+    this.hint.style.display = "none";
+    this.container.appendChild(this.hint);
+
+    document.body.appendChild(this.container);
+
+    this.socket.on("chatMessage", (message) => this.addMessage(message));
+  }
+
+  open() {
+    this.input.placeholder = `Message (${this.channel})`;
+    this.input.style.display = "block";
+    this.hint.style.display = "block";
+    this.input.focus();
+  }
+
+  close() {
+    this.input.value = "";
+    this.input.blur();
+    this.input.style.display = "none";
+    this.hint.style.display = "none";
+  }
+
+  setVisible(visible) {
+    this.container.style.display = visible ? "block" : "none";
+  }
+
+  submit() {
+    const text = this.input.value.trim();
+    if (text === "") return;
+
+    const request = parseChatInput(text, this.channel, this.replyTo);
+    if (!request) {
+      this.addNotice(HELP_TEXT);
+      return;
+    }
+    if (request.channel !== "direct") this.channel = request.channel;
+
+    this.socket.emit("chat", request, (reply) => {
+      if (!reply.ok) this.addNotice(reply.reason);
+    });
+  }
+
+  addMessage({ channel, fromId, from, to, text }) {
+    const mine = fromId === this.playerId;
+    if (channel === "direct" && !mine) this.replyTo = from;
+
+    let sender = from;
+    if (channel === "direct") sender = mine ? `To ${to}` : `From ${from}`;
+    this.addLine(
+      `[${CHANNEL_TAGS[channel]}] ${sender}: ${text}`,
+      CHANNEL_COLORS[channel]
+    );
+  }
+
+  // A line from the game rather than another pilot, such as a refusal or
+  // a finished contract
+  addNotice(text, isError = true) {
+    this.addLine(text, isError ? "#ff6666" : "#00ff88");
+  }
+
+  addLine(text, color) {
+    const line = document.createElement("div");
+    line.textContent = text;
+    line.style.color = color;
+    line.style.margin = "2px 0";
+    line.style.wordWrap = "break-word";
+    this.log.appendChild(line);
+    while (this.log.children.length > MAX_LINES) {
+      this.log.removeChild(this.log.firstChild);
+    }
+    this.log.style.display = "block";
+  }
+}
@@ -0,0 +1,222 @@
+import * as THREE from "three";
+
+const { galaxy: galaxyGenerator } = window.SpaceShared;
+
+// A galaxy is drawn as a point cloud once the viewer is within this many
+// galaxy sizes of it. Further out it is a single glowing sprite.
+const DETAIL_DISTANCE_FACTOR = 50;
+
+// Sprites are grouped by size, one draw call per group
+const SIZE_BUCKET = 1000000;
+
+// Soft round sprite used for every distant galaxy impostor
+function createGlowTexture() {
+  const canvas = document.createElement("canvas");
+  canvas.width = 64;
+  canvas.height = 64;
+
+  const context = canvas.getContext("2d");
+  const gradient = context.createRadialGradient(32, 32, 0, 32, 32, 32);
+  gradient.addColorStop(0, "rgba(255, 255, 255, 1)");
+  gradient.addColorStop(0.2, "rgba(255, 255, 255, 0.6)");
+  gradient.addColorStop(1, "rgba(255, 255, 255, 0)");
+  context.fillStyle = gradient;
+  context.fillRect(0, 0, 64, 64);
+
+  return new THREE.CanvasTexture(canvas);
+}
+
+// The thousands of distant galaxies. Far away, each is one point in a
+// shared sprite cloud; up close, its stars are generated in a worker and
+// drawn as a point cloud in place of the sprite.
+export class DistantGalaxies {
+  constructor(galaxies, parent) {
+    this.galaxies = galaxies;
+    this.parent = parent;
+    this.texture = createGlowTexture();
+
+    this.impostors = new Map(); // Galaxy index -> { points, slot, color }
+    this.detailed = new Map(); // Galaxy index -> container, or null if pending
+
+    this.createImpostors();
+
+    // Point clouds are generated off the main thread where possible
+    this.worker = null;
+    if (typeof Worker !== "undefined") {
+      this.worker = new Worker("public/galaxyWorker.js");
+      this.worker.onmessage = (event) => this.onPointsGenerated(event.data);
+    }
+  }
+
+  createImpostors() {
+    // Group galaxies by size so each group can share one material
+    const buckets = new Map();
+    this.galaxies.forEach((galaxy) => {
+      const bucket = Math.max(1, Math.ceil(galaxy.size / SIZE_BUCKET));
+      if (!buckets.has(bucket)) buckets.set(bucket, []);
+      buckets.get(bucket).push(galaxy);
+    });
+
+    buckets.forEach((galaxies, bucket) => {
+      const positions = new Float32Array(galaxies.length * 3);
+      const colors = new Float32Array(galaxies.length * 3);
+
+      galaxies.forEach((galaxy, slot) => {
+        const color = galaxyGenerator.distantGalaxyColor(galaxy);
+        positions[slot * 3] = galaxy.position.x;
+        positions[slot * 3 + 1] = galaxy.position.y;
+        positions[slot * 3 + 2] = galaxy.position.z;
+        colors[slot * 3] = color.r;
+        colors[slot * 3 + 1] = color.g;
+        colors[slot * 3 + 2] = color.b;
+      });
+
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute(
+        "position",
+        new THREE.BufferAttribute(positions, 3)
+      );
+      geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+
+      // Additive blending, so a black point draws nothing at all
+      const material = new THREE.PointsMaterial({
+        size: bucket * SIZE_BUCKET * 2,
+        map: this.texture,
+        vertexColors: true,
+        transparent: true,
+        opacity: 0.8,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending,
+        sizeAttenuation: true,
+      });
+
+      const points = new THREE.Points(geometry, material);
+      this.parent.add(points);
+
+      galaxies.forEach((galaxy, slot) => {
+        this.impostors.set(galaxy.index, {
+          points,
+          slot,
+          color: [colors[slot * 3], colors[slot * 3 + 1], colors[slot * 3 + 2]],
+        });
+      });
+    });
+  }
+
+  // Show or hide one galaxy's sprite
+  setImpostorVisible(index, visible) {
+    const { points, slot, color } = this.impostors.get(index);
+    const attribute = points.geometry.getAttribute("color");
+    if (visible) {
+      attribute.setXYZ(slot, color[0], color[1], color[2]);
+    } else {
+      attribute.setXYZ(slot, 0, 0, 0);
+    }
+    attribute.needsUpdate = true;
+  }
+
+  update(viewerPosition) {
+    this.galaxies.forEach((galaxy) => {
+      const distance = viewerPosition.distanceTo(galaxy.position);
+      const detailDistance = galaxy.size * DETAIL_DISTANCE_FACTOR;
+
+      if (!this.detailed.has(galaxy.index) && distance < detailDistance) {
+        this.requestDetail(galaxy);
+      } else if (
+        this.detailed.has(galaxy.index) &&
+        distance > detailDistance * 1.1
+      ) {
+        this.removeDetail(galaxy);
+      }
+    });
+  }
+
+  requestDetail(galaxy) {
+    this.detailed.set(galaxy.index, null);
+
+    if (this.worker) {
+      this.worker.postMessage(galaxy);
+    } else {
+      this.onPointsGenerated({
+        index: galaxy.index,
+        ...galaxyGenerator.generateDistantGalaxyPoints(galaxy),
+      });
+    }
+  }
+
+  onPointsGenerated(points) {
+    // Ignore results for galaxies we've since flown away from
+    if (this.detailed.get(points.index) !== null) return;
+
+    const galaxy = this.galaxies[points.index];
+    const container = this.createDetail(galaxy, points);
+    this.parent.add(container);
+    this.detailed.set(galaxy.index, container);
+    this.setImpostorVisible(galaxy.index, false);
+  }
+
+  removeDetail(galaxy) {
+    const container = this.detailed.get(galaxy.index);
+    this.detailed.delete(galaxy.index);
+    if (!container) return;
+
+    container.traverse((object) => {
+      if (object.geometry) object.geometry.dispose();
+      if (object.material) object.material.dispose();
+    });
+    this.parent.remove(container);
+    this.setImpostorVisible(galaxy.index, true);
+  }
+
+  createDetail(galaxy, points) {
+    const container = new THREE.Object3D();
+    container.position.set(
+      galaxy.position.x,
+      galaxy.position.y,
+      galaxy.position.z
+    );
+    container.rotation.set(
+      galaxy.rotation.x,
+      galaxy.rotation.y,
+      galaxy.rotation.z
+    );
+
+    const starsGeometry = new THREE.BufferGeometry();
+    starsGeometry.setAttribute(
+      "position",
+      new THREE.BufferAttribute(points.positions, 3)
+    );
+    starsGeometry.setAttribute(
+      "color",
+      new THREE.BufferAttribute(points.colors, 3)
+    );
+
+    const starsMaterial = new THREE.PointsMaterial({
+      size: 2000,
+      vertexColors: true,
+      transparent: true,
+      opacity: 0.8,
+      sizeAttenuation: true,
+    });
+    container.add(new THREE.Points(starsGeometry, starsMaterial));
+
+    // Disc galaxies have a bright core
+    if (points.coreRadius > 0) {
+      const core = new THREE.Mesh(
+        new THREE.SphereGeometry(points.coreRadius, 16, 16),
+        new THREE.MeshBasicMaterial({
+          color: new THREE.Color(
+            points.color.r,
+            points.color.g,
+            points.color.b
+          ),
+          transparent: true,
+          opacity: 0.7,
+        })
+      );
+      container.add(core);
+    }
+
+    return container;
+  }
+}
@@ -0,0 +1,387 @@
+const { starSystems: starSystemGenerator, galaxy: galaxyGenerator } =
+  window.SpaceShared;
+
+// Zoom limits, in screen pixels per world unit
+const MIN_SCALE = 0.00005;
+const MAX_SCALE = 2;
+
+// Tilt of the 3D view (0 is straight down onto the galactic plane)
+const TILT_3D = Math.PI / 3;
+
+// How close (in pixels) a click must be to a marker to select it
+const PICK_RADIUS = 12;
+
+// Every other spiral arm star is enough to show the shape of the galaxy
+const ARM_STAR_STRIDE = 2;
+
+// Full-screen map of the galaxy drawn on a 2D canvas from the same generated
+// data as the 3D scene. It can be viewed top-down or tilted, zoomed with the
+// wheel, panned by dragging, and clicking a star system or station makes it
+// the waypoint (shift-click adds it to the end of the route).
+export class GalaxyMap {
+  constructor(galaxyData, starSystems, { onSelect, describeCloseKey }) {
+    this.galaxyData = galaxyData;
+    this.starSystems = starSystems;
+    this.onSelect = onSelect;
+    this.describeCloseKey = describeCloseKey; // Whatever the map key is bound to
+    this.isOpen = false;
+
+    // View: the world point at the centre of the screen, zoom, and the
+    // tilt and rotation of the 3D view
+    this.center = { x: 0, y: 0, z: 0 };
+    this.scale = 0.0004;
+    this.tilt = 0;
+    this.viewYaw = 0;
+
+    this.armColors = galaxyGenerator.STAR_COLORS.map(
+      (hex) => `#${hex.toString(16).padStart(6, "0")}`
+    );
+
+    // Markers from the last draw, for picking
+    this.markers = [];
+
+    this.createElements();
+    this.setupInput();
+  }
+
+  createElements() {
+    this.container = document.createElement("div");
+    this.container.id = "galaxy-map";
+    this.container.style.position = "absolute";
+    this.container.style.top = "0";
+    this.container.style.left = "0";
+    this.container.style.width = "100%";
+    this.container.style.height = "100%";
+    this.container.style.zIndex = "150";
+    this.container.style.display = "none";
+
+    this.canvas = document.createElement("canvas");
+    this.canvas.style.display = "block";
+    this.canvas.style.backgroundColor = "rgba(0, 0, 5, 0.9)";
+    this.container.appendChild(this.canvas);
+    this.context = this.canvas.getContext("2d");
+
+    const toolbar = document.createElement("div");
+    toolbar.style.position = "absolute";
+    toolbar.style.top = "20px";
+    toolbar.style.left = "20px";
+    toolbar.style.color = "white";
+    toolbar.style.fontFamily = "Arial, sans-serif";
+
+    this.title = document.createElement("div");
+    this.title.style.marginBottom = "5px";
+    toolbar.appendChild(this.title);
+
+    const buttons = [
+      ["2D / 3D", () => this.toggleTilt()],
+      ["Centre on ship", () => this.centerOn(this.lastShipPosition)],
+      ["Clear route", () => this.onSelect(null, false)],
+    ];
+    buttons.forEach(([label, action]) => {
+      const button = document.createElement("button");
+      button.textContent = label;
+      button.style.marginRight = "5px";
+      button.addEventListener("click", action);
+      toolbar.appendChild(button);
+    });
+
+    this.info = document.createElement("div");
+    this.info.style.marginTop = "10px";
+    this.info.style.fontSize = "14px";
+    toolbar.appendChild(this.info);
+
+    this.container.appendChild(toolbar);
+    document.body.appendChild(this.container);
+  }
+
+  setupInput() {
+    // Drag to pan (or, with shift in the 3D view, to rotate)
+    let drag = null;
+    this.canvas.addEventListener("mousedown", (event) => {
+      drag = { x: event.clientX, y: event.clientY, moved: false };
+    });
+    window.addEventListener("mousemove", (event) => {
+      if (!drag) return;
+      const dx = event.clientX - drag.x;
+      const dy = event.clientY - drag.y;
+      if (Math.abs(dx) + Math.abs(dy) > 2) drag.moved = true;
+      drag.x = event.clientX;
+      drag.y = event.clientY;
+
+      if (event.shiftKey && this.tilt > 0) {
+        this.viewYaw += dx * 0.01;
+      } else {
+        this.pan(dx, dy);
+      }
+    });
+    window.addEventListener("mouseup", (event) => {
+      if (drag && !drag.moved) {
+        this.pick(event.clientX, event.clientY, event.shiftKey);
+      }
+      drag = null;
+    });
+
+    // Zoom in and out with the wheel
+    this.canvas.addEventListener(
+      "wheel",
+      (event) => {
+        event.preventDefault();
+        const factor = Math.pow(1.1, -Math.sign(event.deltaY));
+        this.scale = Math.min(
+          MAX_SCALE,
+          Math.max(MIN_SCALE, this.scale * factor)
+        );
+      },
+      { passive: false }
+    );
+  }
+
+  toggle(shipPosition) {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open(shipPosition);
+    }
+  }
+
+  open(shipPosition) {
+    this.isOpen = true;
+    this.title.textContent = `GALAXY MAP (${this.describeCloseKey()} to close)`;
+    this.container.style.display = "block";
+    this.centerOn(shipPosition);
+  }
+
+  close() {
+    this.isOpen = false;
+    this.container.style.display = "none";
+  }
+
+  toggleTilt() {
+    this.tilt = this.tilt > 0 ? 0 : TILT_3D;
+    if (this.tilt === 0) this.viewYaw = 0;
+  }
+
+  centerOn(position) {
+    if (!position) return;
+    this.center = { x: position.x, y: position.y, z: position.z };
+  }
+
+  // Move the view centre by a drag of (dx, dy) pixels
+  pan(dx, dy) {
+    const viewX = -dx / this.scale;
+    const viewZ = -dy / (this.scale * Math.cos(this.tilt));
+    const cos = Math.cos(this.viewYaw);
+    const sin = Math.sin(this.viewYaw);
+    this.center.x += viewX * cos + viewZ * sin;
+    this.center.z += -viewX * sin + viewZ * cos;
+  }
+
+  // World position to canvas pixels: turn by the view rotation, then tilt
+  // the galactic plane away from the viewer
+  project(position) {
+    const dx = position.x - this.center.x;
+    const dy = position.y - this.center.y;
+    const dz = position.z - this.center.z;
+
+    const cos = Math.cos(this.viewYaw);
+    const sin = Math.sin(this.viewYaw);
+    const rx = dx * cos - dz * sin;
+    const rz = dx * sin + dz * cos;
+    const sy = rz * Math.cos(this.tilt) - dy * Math.sin(this.tilt);
+
+    return {
+      x: this.canvas.width / 2 + rx * this.scale,
+      y: this.canvas.height / 2 + sy * this.scale,
+    };
+  }
+
+  // Select the nearest star system or station under the cursor
+  pick(x, y, append) {
+    let best = null;
+    let bestDistance = PICK_RADIUS;
+    this.markers.forEach((marker) => {
+      const distance = Math.hypot(marker.x - x, marker.y - y);
+      if (distance < bestDistance) {
+        best = marker;
+        bestDistance = distance;
+      }
+    });
+    if (best) this.onSelect(best.waypoint, append);
+  }
+
+  // Redraw the map around our ship (position and forward vector), the other
+  // ships we know about, the route ({ name, position } waypoints in order)
+  // and the orbit time
+  draw({ shipPosition, shipForward, otherShips, route, time }) {
+    if (!this.isOpen) return;
+    this.lastShipPosition = shipPosition;
+
+    if (
+      this.canvas.width !== window.innerWidth ||
+      this.canvas.height !== window.innerHeight
+    ) {
+      this.canvas.width = window.innerWidth;
+      this.canvas.height = window.innerHeight;
+    }
+
+    const context = this.context;
+    context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.markers = [];
+
+    this.drawGalaxy();
+
+    // Star systems and their stations
+    context.font = "12px Arial, sans-serif";
+    this.starSystems.forEach((system) => {
+      const point = this.project(system.position);
+      context.fillStyle = "#ffffaa";
+      context.beginPath();
+      context.arc(point.x, point.y, 4, 0, Math.PI * 2);
+      context.fill();
+      context.fillText(system.name, point.x + 7, point.y + 4);
+      this.markers.push({
+        ...point,
+        waypoint: { kind: "system", id: system.id, name: system.name },
+      });
+
+      // Stations only separate from their star when zoomed right in
+      if (this.scale < 0.005) return;
+      system.stations.forEach((station) => {
+        const stationPoint = this.project(
+          starSystemGenerator.stationPosition(system, station, time)
+        );
+        context.fillStyle = "#00ff88";
+        context.fillRect(stationPoint.x - 3, stationPoint.y - 3, 6, 6);
+        context.fillText(station.name, stationPoint.x + 7, stationPoint.y + 4);
+        this.markers.push({
+          ...stationPoint,
+          waypoint: {
+            kind: "station",
+            id: station.id,
+            name: station.name,
+          },
+        });
+      });
+    });
+
+    // Other ships
+    context.fillStyle = "#ff4444";
+    otherShips.forEach((position) => {
+      const point = this.project(position);
+      context.fillRect(point.x - 2, point.y - 2, 4, 4);
+    });
+
+    this.drawRoute(shipPosition, route);
+    this.drawShip(shipPosition, shipForward);
+    this.updateInfo(shipPosition, route);
+  }
+
+  drawGalaxy() {
+    const context = this.context;
+    const { coreStars, spiralArms, nebulae } = this.galaxyData;
+
+    // Nebulae as soft discs
+    nebulae.forEach((nebula) => {
+      const point = this.project(nebula.position);
+      const radius = Math.max(2, nebula.size * this.scale);
+      context.fillStyle = `#${nebula.color.toString(16).padStart(6, "0")}`;
+      context.globalAlpha = 0.15;
+      context.beginPath();
+      context.arc(point.x, point.y, radius, 0, Math.PI * 2);
+      context.fill();
+    });
+
+    // Spiral arms, coloured like the 3D stars
+    context.globalAlpha = 0.6;
+    const { positions, colorIndices } = spiralArms;
+    for (let i = 0; i < colorIndices.length; i += ARM_STAR_STRIDE) {
+      const point = this.project({
+        x: positions[i * 3],
+        y: positions[i * 3 + 1],
+        z: positions[i * 3 + 2],
+      });
+      context.fillStyle = this.armColors[colorIndices[i]];
+      context.fillRect(point.x, point.y, 1.5, 1.5);
+    }
+
+    // Bright galactic core
+    context.fillStyle = "#ffffcc";
+    const corePositions = coreStars.positions;
+    for (let i = 0; i < corePositions.length; i += 3 * ARM_STAR_STRIDE) {
+      const point = this.project({
+        x: corePositions[i],
+        y: corePositions[i + 1],
+        z: corePositions[i + 2],
+      });
+      context.fillRect(point.x, point.y, 1.5, 1.5);
+    }
+    context.globalAlpha = 1;
+  }
+
+  drawShip(position, forward) {
+    const context = this.context;
+    const point = this.project(position);
+    const ahead = this.project({
+      x: position.x + forward.x / this.scale,
+      y: position.y + forward.y / this.scale,
+      z: position.z + forward.z / this.scale,
+    });
+
+    // Heading line, scaled to a fixed length on screen
+    const angle = Math.atan2(ahead.y - point.y, ahead.x - point.x);
+    context.strokeStyle = "#00ff00";
+    context.lineWidth = 2;
+    context.beginPath();
+    context.moveTo(point.x, point.y);
+    context.lineTo(
+      point.x + Math.cos(angle) * 20,
+      point.y + Math.sin(angle) * 20
+    );
+    context.stroke();
+
+    context.fillStyle = "#00ff00";
+    context.beginPath();
+    context.arc(point.x, point.y, 5, 0, Math.PI * 2);
+    context.fill();
+  }
+
+  // Line from the ship through every waypoint, with a ring on each
+  drawRoute(shipPosition, route) {
+    const context = this.context;
+    context.strokeStyle = "#00ffff";
+    context.lineWidth = 1;
+
+    let from = this.project(shipPosition);
+    route.forEach(({ position }) => {
+      const point = this.project(position);
+      context.beginPath();
+      context.moveTo(from.x, from.y);
+      context.lineTo(point.x, point.y);
+      context.stroke();
+
+      context.beginPath();
+      context.arc(point.x, point.y, 10, 0, Math.PI * 2);
+      context.stroke();
+      from = point;
+    });
+  }
+
+  updateInfo(shipPosition, route) {
+    if (route.length === 0) {
+      this.info.textContent =
+        "Click a star system or station to set a waypoint, shift-click to add more";
+      return;
+    }
+
+    const { name, position } = route[0];
+    const distance = Math.hypot(
+      position.x - shipPosition.x,
+      position.y - shipPosition.y,
+      position.z - shipPosition.z
+    );
+    const more = route.length > 1 ? ` (+${route.length - 1} more)` : "";
+    this.info.textContent = `Next waypoint: ${name} · ${Math.round(
+      distance
+    ).toLocaleString()} u${more}`;
+  }
+}
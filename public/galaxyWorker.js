@@ -0,0 +1,14 @@
+// Generates distant galaxy point clouds off the main thread. Receives a
+// galaxy descriptor from generateDistantGalaxies() and posts back its points
+// with the arrays transferred rather than copied.
+importScripts("../shared/random.js", "../shared/galaxy.js");
+
+self.onmessage = (event) => {
+  const galaxy = event.data;
+  const points = self.SpaceShared.galaxy.generateDistantGalaxyPoints(galaxy);
+
+  self.postMessage({ index: galaxy.index, ...points }, [
+    points.positions.buffer,
+    points.colors.buffer,
+  ]);
+};
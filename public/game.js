@@ -1,59 +1,147 @@
 import * as THREE from "three";
 import { PointerLockControls } from "three/addons/controls/PointerLockControls.js";
+import { ServerClock, SnapshotBuffer } from "./snapshotInterpolation.js";
+import { StarSystemView } from "./starSystemView.js";
+import { DistantGalaxies } from "./distantGalaxies.js";
+import { GalaxyMap } from "./galaxyMap.js";
+import { steer, ARRIVAL_DISTANCE } from "./autopilot.js";
+import { StationUI } from "./stationUI.js";
+import { ChatUI } from "./chat.js";
+import { Nameplates } from "./nameplates.js";
+import { RosterPanel } from "./roster.js";
+import { MissionTracker, missionWaypoint } from "./missions.js";
+import { InputManager, ACTIONS } from "./input.js";
+import { OptionsScreen } from "./optionsScreen.js";
+import { WeaponEffects } from "./weaponEffects.js";
+import { Targeting } from "./targeting.js";
+import { createShipModel, disposeShipModel } from "./shipModels.js";
+import { LoginScreen, loadCredentials, saveCredentials } from "./login.js";
+
+const {
+  shipPhysics,
+  snapshotCodec,
+  galaxy: galaxyGenerator,
+  starSystems: starSystemGenerator,
+  docking,
+  collision,
+  combat,
+  ships,
+} = window.SpaceShared;
+
+// How fast the ship rolls while a roll key is held (radians per second)
+const ROLL_SPEED = 1.5;
+
+// Speed readout text for each warp drive phase
+const WARP_PHASE_LABELS = {
+  [shipPhysics.WARP_IDLE]: "NORMAL DRIVE",
+  [shipPhysics.WARP_SPOOLING]: "WARP DRIVE SPOOLING UP",
+  [shipPhysics.WARP_ACTIVE]: "WARP DRIVE ACTIVE",
+  [shipPhysics.WARP_COOLDOWN]: "WARP DRIVE COOLING DOWN",
+};
 
 class SpaceGame {
   constructor() {
     this.players = {};
+    this.playersByNetId = {};
     this.socket = io();
 
-    // Game state
-    this.keys = {
-      w: false,
-      a: false,
-      s: false,
-      d: false,
-      shift: false, // For warp speed
-    };
+    // Our account id and name. Nothing is simulated until the server has
+    // accepted our login and told us where our ship is.
+    this.playerId = null;
+    this.playerName = null;
+    this.loggedIn = false;
 
-    // Physics
+    // Keyboard, mouse and gamepad, mapped to rebindable actions
+    this.input = new InputManager();
+
+    // Physics (flight rules live in shared/shipPhysics.js)
     this.velocity = new THREE.Vector3(0, 0, 0);
-    this.acceleration = new THREE.Vector3(0, 0, 0);
-    this.thrusterPower = 0.01;
-    this.maxSpeed = 200; // 100x larger (was 2)
-    this.drag = 0.98; // Space has no drag, but a small amount helps gameplay
 
-    // Warp speed system
+    // Client-side prediction: inputs sent but not yet acknowledged
+    this.inputSeq = 0;
+    this.pendingInputs = [];
+
+    // Inputs are batched and sent at a lower rate than they are simulated
+    this.outgoingInputs = [];
+    this.inputSendInterval = 1000 / 30; // Milliseconds
+    this.lastInputSend = 0;
+
+    // Remote ships are rendered this far in the past (ms) so there is
+    // usually a pair of snapshots to interpolate between
+    this.interpolationDelay = 100;
+    this.serverClock = new ServerClock();
+
+    // Warp drive; energy and phase live in shipState.warpDrive
     this.warpActive = false;
-    this.warpSpeedMultiplier = 100000; // Set to exactly 1000x
-    this.maxStamina = 100;
-    this.currentStamina = 100;
-    this.staminaRegenRate = 5; // Per second
-    this.staminaUseRate = 20; // Per second
-    this.lastStaminaUpdate = 0;
+
+    // Hull integrity and shields from the server, stars that burn the hull,
+    // and the last collision to tell the pilot about
+    this.hull = null;
+    this.shield = null;
+    this.heatSources = [];
+    this.hazardMessage = null;
+    this.hazardMessageUntil = 0;
+
+    // Fixed-timestep simulation, interpolated for rendering
+    this.accumulator = 0;
+    this.lastFrameTime = null;
+    this.maxFrameTime = 0.25; // Avoid a spiral of death after a stall
+    this.currentSpeed = 0;
 
     // Add warp visual effects
     this.warpEffect = null;
-    this.normalMaxSpeed = 200; // Store the normal max speed
 
     // UI
     this.showUI = true;
 
     // Mouse control
-    this.mouseSensitivity = 0.002;
     this.isPointerLocked = false;
 
-    // Galaxy parameters
-    this.galaxyParams = {
-      starsCount: 15000,
-      galaxyRadius: 1000000, // 100x larger (was 1000)
-      galaxyThickness: 50000, // 100x larger (was 50)
-      spiralArms: 5,
-      spiralTightness: 0.7,
-      nebulaCount: 2000, // 10x more nebulae for the larger space
-      nebulaSize: 10000, // 100x larger (was 100)
-      dustLaneCount: 200, // 10x more dust lanes
-      dustLaneSize: 500, // 100x larger (was 0.5)
-    };
+    // Galaxy seed and parameters, published by the server on connect
+    this.galaxySeed = null;
+    this.galaxyParams = null;
+
+    // Star systems around the bright stars, and the views that draw them
+    this.starSystems = [];
+    this.starSystemViews = [];
+
+    // Distant galaxy sprites and the point clouds that replace them up close
+    this.distantGalaxies = null;
+
+    // Galaxy map overlay
+    this.galaxyMap = null;
+
+    // Navigation: waypoints to visit in order, and whether the autopilot is
+    // flying us to the first one
+    this.waypoints = [];
+    this.autopilot = false;
+
+    // Flight assist damps the ship's motion; off, it flies Newtonian
+    this.flightAssist = true;
+
+    // Docking: the station we're parked at, and the approach readout shown
+    // when a station is nearby
+    this.dockedAt = null;
+    this.dockingRequestPending = false;
+    this.dockingMessage = null;
+    this.approachDistance = 5000;
+
+    // Credits, cargo hold and ship stats, owned by the server
+    this.inventory = null;
+
+    // Accepted contracts and reputation, also owned by the server
+    this.missions = null;
+
+    // Flight stats of our loadout, for prediction. Replaced by the server's
+    // figures once the inventory arrives.
+    this.shipStats = ships.shipStats(ships.createShip());
+
+    // Floating origin: the scene is drawn around this true-space point, so
+    // everything near the ship has small coordinates on the GPU. True
+    // positions (shipState, snapshots) stay in full double precision.
+    this.worldOrigin = new THREE.Vector3();
+    this.rebaseDistance = 10000;
+    this.renderPosition = new THREE.Vector3(); // Interpolated, true space
 
     // Reference vectors
     this.worldUp = new THREE.Vector3(0, 1, 0);
@@ -76,8 +164,12 @@ class SpaceGame {
       1000000000000000 // 1000x larger (was 10000) to see very distant objects
     );
 
-    // Create renderer
-    this.renderer = new THREE.WebGLRenderer({ antialias: true });
+    // Create renderer. A logarithmic depth buffer keeps depth precision for
+    // both nearby ships and galaxies 1e10 units away.
+    this.renderer = new THREE.WebGLRenderer({
+      antialias: true,
+      logarithmicDepthBuffer: true,
+    });
     this.renderer.setSize(window.innerWidth, window.innerHeight);
     this.renderer.domElement.id = "game-canvas";
     document
@@ -92,334 +184,150 @@ class SpaceGame {
     directionalLight.position.set(1, 1, 1);
     this.scene.add(directionalLight);
 
-    // Create galaxy
-    this.createGalaxy();
+    // Everything placed in true galaxy coordinates lives under worldRoot,
+    // which is shifted to keep the floating origin at the scene origin
+    this.worldRoot = new THREE.Group();
+    this.scene.add(this.worldRoot);
 
-    // Create player ship
-    this.createPlayerShip();
+    // Laser beams and plasma bolts
+    this.weaponEffects = new WeaponEffects(this.worldRoot);
 
-    // Setup pointer lock
-    this.setupPointerLock();
-
-    // Start animation loop
-    this.animate();
-  }
-
-  createGalaxy() {
-    // Create distant background stars (tiny points)
-    this.createDistantStars();
+    // Callsigns over remote ships
+    this.nameplates = new Nameplates(this.camera);
 
-    // Create distant galaxies
-    this.createDistantGalaxies();
+    // Target lock: bracket, off-screen indicator and target panel
+    this.targeting = new Targeting(this.scene, this.camera, (kind) =>
+      this.findTargets(kind)
+    );
 
-    // Create galactic core (bright center)
-    this.createGalacticCore();
+    // The galaxy is created once the server sends its seed
 
-    // Create spiral arms with stars
-    this.createSpiralArms();
+    // Create player ship
+    this.createPlayerShip();
 
-    // Create nebulae (colorful gas clouds)
-    this.createNebulae();
+    // Create HUD
+    this.createUI();
 
-    // Create dust lanes (dark areas)
-    this.createDustLanes();
+    // Setup pointer lock
+    this.setupPointerLock();
 
-    // Create some closer stars with lens flares
-    this.createBrightStars();
-  }
+    // Pilot name prompt for the first login
+    this.loginScreen = new LoginScreen();
 
-  createDistantStars() {
-    const starsGeometry = new THREE.BufferGeometry();
-    const starsMaterial = new THREE.PointsMaterial({
-      color: 0xffffff,
-      size: 0.1, // 100x larger (was 0.1)
-      transparent: true,
-      opacity: 0.8,
-      sizeAttenuation: false,
+    // Station screen, shown instead of flight controls while docked
+    this.stationUI = new StationUI(this.socket, {
+      onUndock: () => this.requestUndock(),
+      onRefit: (reply) => {
+        this.hull = reply.hull;
+        this.shield = reply.shield;
+        Object.assign(this.shipState.warpDrive, reply.warpDrive);
+      },
+      onPlotCourse: (mission) => this.setWaypoint(missionWaypoint(mission)),
     });
 
-    const starsVertices = [];
-    const colors = [];
-
-    // Create different colored stars
-    const starColors = [
-      new THREE.Color(0xffffdd), // Yellow-white
-      new THREE.Color(0xffd6aa), // Orange-white
-      new THREE.Color(0xaaaaff), // Blue-white
-      new THREE.Color(0xddddff), // White-blue
-    ];
-
-    for (let i = 0; i < 50000; i++) {
-      // More stars for a larger universe
-      // Distribute stars in a sphere around the player
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(2 * Math.random() - 1);
-
-      // All stars are now positioned beyond the galaxy
-      const distance = 10000000000 + Math.random() * 3000000000; // 100x larger
-
-      const x = distance * Math.sin(phi) * Math.cos(theta);
-      const y = distance * Math.sin(phi) * Math.sin(theta);
-      const z = distance * Math.cos(phi);
-
-      starsVertices.push(x, y, z);
-
-      // Assign random star color
-      const color = starColors[Math.floor(Math.random() * starColors.length)];
-      colors.push(color.r, color.g, color.b);
-    }
-
-    starsGeometry.setAttribute(
-      "position",
-      new THREE.Float32BufferAttribute(starsVertices, 3)
-    );
-    starsGeometry.setAttribute(
-      "color",
-      new THREE.Float32BufferAttribute(colors, 3)
-    );
-
-    starsMaterial.vertexColors = true;
+    // Chat overlay; typing in it doesn't fly the ship
+    this.chat = new ChatUI(this.socket);
 
-    const distantStars = new THREE.Points(starsGeometry, starsMaterial);
-    this.scene.add(distantStars);
-  }
+    // Pilots online, shown while Tab is held
+    this.roster = new RosterPanel();
 
-  createDistantGalaxies() {
-    // Create several distant galaxies
-    for (let i = 0; i < 3000; i++) {
-      // More galaxies
-      // Random position far away from the player
-      const distance = 10000000000 + Math.random() * 3000000; // 100x larger
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(2 * Math.random() - 1);
-
-      const x = distance * Math.sin(phi) * Math.cos(theta);
-      const y = distance * Math.sin(phi) * Math.sin(theta);
-      const z = distance * Math.cos(phi);
-
-      // Create galaxy type (disc, elliptical, or irregular)
-      const galaxyType = Math.floor(Math.random() * 3);
-
-      // Create galaxy container
-      const galaxyContainer = new THREE.Object3D();
-      galaxyContainer.position.set(x, y, z);
-
-      // Random rotation
-      galaxyContainer.rotation.x = Math.random() * Math.PI * 2;
-      galaxyContainer.rotation.y = Math.random() * Math.PI * 2;
-      galaxyContainer.rotation.z = Math.random() * Math.PI * 2;
-
-      // Galaxy size
-      const galaxySize = Math.min(6000000, Math.random() * 100000000); // 100x larger
-
-      // Create galaxy based on type
-      if (galaxyType === 0) {
-        // Disc galaxy
-        this.createDiscGalaxy(galaxyContainer, galaxySize);
-      } else if (galaxyType === 1) {
-        // Elliptical galaxy
-        this.createEllipticalGalaxy(galaxyContainer, galaxySize);
-      } else {
-        // Irregular galaxy
-        this.createIrregularGalaxy(galaxyContainer, galaxySize);
-      }
-
-      this.scene.add(galaxyContainer);
-    }
-  }
+    // Contracts we've taken, shown with the time left on each
+    this.missionTracker = new MissionTracker();
 
-  createDiscGalaxy(container, size) {
-    // Create a disc-shaped galaxy with spiral arms
-    const starsGeometry = new THREE.BufferGeometry();
-    const starsMaterial = new THREE.PointsMaterial({
-      color: 0xffffff,
-      size: 2000, // 100x larger (was 20)
-      transparent: true,
-      opacity: 0.8,
-      sizeAttenuation: true,
+    // Key bindings and look settings
+    this.options = new OptionsScreen(this.input, {
+      onChange: () => this.renderControls(),
     });
 
-    const starsVertices = [];
-    const colors = [];
+    // Start animation loop
+    this.animate();
+  }
 
-    // Galaxy colors
-    const galaxyColor = new THREE.Color(
-      0.5 + Math.random() * 0.5,
-      0.5 + Math.random() * 0.5,
-      0.5 + Math.random() * 0.5
+  createGalaxy() {
+    // Rebuild the exact galaxy every other player sees from the shared seed
+    const data = galaxyGenerator.generateGalaxy(
+      this.galaxySeed,
+      this.galaxyParams
     );
 
-    // Create spiral arms
-    const arms = 2 + Math.floor(Math.random() * 4);
-    const armTightness = 0.5 + Math.random() * 1.5;
+    // Create distant background stars (tiny points)
+    this.createDistantStars(data.distantStars);
 
-    for (let i = 0; i < 5000; i++) {
-      const arm = Math.floor(Math.random() * arms);
-      const radius = Math.pow(Math.random(), 0.5) * size;
-      const angle = (arm / arms) * Math.PI * 2 + (armTightness * radius) / size;
+    // Create distant galaxies (sprites, with detail generated on approach)
+    this.distantGalaxies = new DistantGalaxies(
+      data.distantGalaxies,
+      this.worldRoot
+    );
 
-      const x = radius * Math.cos(angle + Math.random() * 0.3);
-      const z = radius * Math.sin(angle + Math.random() * 0.3);
-      const y = (Math.random() - 0.5) * size * 0.1;
+    // Create galactic core (bright center)
+    this.createGalacticCore(data.coreStars);
 
-      starsVertices.push(x, y, z);
-      colors.push(galaxyColor.r, galaxyColor.g, galaxyColor.b);
-    }
+    // Create spiral arms with stars
+    this.createSpiralArms(data.spiralArms);
 
-    starsGeometry.setAttribute(
-      "position",
-      new THREE.Float32BufferAttribute(starsVertices, 3)
-    );
-    starsGeometry.setAttribute(
-      "color",
-      new THREE.Float32BufferAttribute(colors, 3)
-    );
+    // Create nebulae (colorful gas clouds)
+    this.createNebulae(data.nebulae);
 
-    starsMaterial.vertexColors = true;
+    // Create dust lanes (dark areas)
+    this.createDustLanes(data.dustLanes);
 
-    const stars = new THREE.Points(starsGeometry, starsMaterial);
-    container.add(stars);
+    // Create some closer stars with lens flares
+    this.createBrightStars(data.brightStars);
 
-    // Add a bright core
-    const coreGeometry = new THREE.SphereGeometry(size * 0.1, 16, 16);
-    const coreMaterial = new THREE.MeshBasicMaterial({
-      color: galaxyColor,
-      transparent: true,
-      opacity: 0.7,
+    // The map is drawn from the same data
+    this.galaxyMap = new GalaxyMap(data, this.starSystems, {
+      onSelect: (waypoint, append) => this.setWaypoint(waypoint, append),
+      describeCloseKey: () => this.input.describeBindings("galaxyMap"),
     });
-    const core = new THREE.Mesh(coreGeometry, coreMaterial);
-    container.add(core);
   }
 
-  createEllipticalGalaxy(container, size) {
-    // Create an elliptical galaxy (more spherical)
-    const starsGeometry = new THREE.BufferGeometry();
-    const starsMaterial = new THREE.PointsMaterial({
-      color: 0xffffdd,
-      size: 2000, // 100x larger (was 20)
-      transparent: true,
-      opacity: 0.8,
-      sizeAttenuation: true,
-    });
-
-    const starsVertices = [];
-
-    // Galaxy color (ellipticals tend to be redder)
-    const galaxyColor = new THREE.Color(
-      0.8 + Math.random() * 0.2,
-      0.6 + Math.random() * 0.2,
-      0.5 + Math.random() * 0.2
-    );
-
-    // Elliptical shape parameters
-    const a = size;
-    const b = size * (0.7 + Math.random() * 0.3);
-    const c = size * (0.6 + Math.random() * 0.3);
-
-    for (let i = 0; i < 3000; i++) {
-      // Create elliptical distribution
-      const u = Math.random();
-      const v = Math.random();
-      const theta = 2 * Math.PI * u;
-      const phi = Math.acos(2 * v - 1);
+  // Expand per-point palette indices into a colour attribute
+  paletteColors(colorIndices, palette) {
+    const paletteColors = palette.map((hex) => new THREE.Color(hex));
+    const colors = new Float32Array(colorIndices.length * 3);
 
-      // Radius with higher concentration toward center
-      const r = Math.pow(Math.random(), 2) * size;
-
-      const x = r * Math.sin(phi) * Math.cos(theta) * (a / size);
-      const y = r * Math.sin(phi) * Math.sin(theta) * (b / size);
-      const z = r * Math.cos(phi) * (c / size);
-
-      starsVertices.push(x, y, z);
-    }
-
-    starsGeometry.setAttribute(
-      "position",
-      new THREE.Float32BufferAttribute(starsVertices, 3)
-    );
-
-    starsMaterial.color = galaxyColor;
+    colorIndices.forEach((index, i) => {
+      const color = paletteColors[index];
+      colors[i * 3] = color.r;
+      colors[i * 3 + 1] = color.g;
+      colors[i * 3 + 2] = color.b;
+    });
 
-    const stars = new THREE.Points(starsGeometry, starsMaterial);
-    container.add(stars);
+    return colors;
   }
 
-  createIrregularGalaxy(container, size) {
-    // Create an irregular galaxy with random clumps
+  createDistantStars(distantStars) {
     const starsGeometry = new THREE.BufferGeometry();
     const starsMaterial = new THREE.PointsMaterial({
       color: 0xffffff,
-      size: 2000, // 100x larger (was 20)
+      size: 0.1, // 100x larger (was 0.1)
       transparent: true,
       opacity: 0.8,
-      sizeAttenuation: true,
+      sizeAttenuation: false,
     });
 
-    const starsVertices = [];
-    const colors = [];
-
-    // Create random clumps
-    const clumpCount = 3 + Math.floor(Math.random() * 5);
-    const clumpCenters = [];
-    const clumpSizes = [];
-    const clumpColors = [];
-
-    for (let i = 0; i < clumpCount; i++) {
-      // Random position within the galaxy volume
-      const x = (Math.random() - 0.5) * size;
-      const y = (Math.random() - 0.5) * size;
-      const z = (Math.random() - 0.5) * size;
-
-      clumpCenters.push(new THREE.Vector3(x, y, z));
-      clumpSizes.push(size * 0.2 + Math.random() * size * 0.3);
-
-      // Random color for this clump
-      clumpColors.push(
-        new THREE.Color(
-          0.5 + Math.random() * 0.5,
-          0.5 + Math.random() * 0.5,
-          0.5 + Math.random() * 0.5
-        )
-      );
-    }
-
-    // Create stars, with higher probability near clump centers
-    for (let i = 0; i < 4000; i++) {
-      // Choose a random clump
-      const clumpIndex = Math.floor(Math.random() * clumpCount);
-      const clumpCenter = clumpCenters[clumpIndex];
-      const clumpSize = clumpSizes[clumpIndex];
-      const clumpColor = clumpColors[clumpIndex];
-
-      // Random position near the clump center
-      const radius = Math.pow(Math.random(), 0.5) * clumpSize;
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(2 * Math.random() - 1);
-
-      const x = clumpCenter.x + radius * Math.sin(phi) * Math.cos(theta);
-      const y = clumpCenter.y + radius * Math.sin(phi) * Math.sin(theta);
-      const z = clumpCenter.z + radius * Math.cos(phi);
-
-      starsVertices.push(x, y, z);
-      colors.push(clumpColor.r, clumpColor.g, clumpColor.b);
-    }
-
     starsGeometry.setAttribute(
       "position",
-      new THREE.Float32BufferAttribute(starsVertices, 3)
+      new THREE.BufferAttribute(distantStars.positions, 3)
     );
     starsGeometry.setAttribute(
       "color",
-      new THREE.Float32BufferAttribute(colors, 3)
+      new THREE.BufferAttribute(
+        this.paletteColors(
+          distantStars.colorIndices,
+          galaxyGenerator.STAR_COLORS
+        ),
+        3
+      )
     );
 
     starsMaterial.vertexColors = true;
 
-    const stars = new THREE.Points(starsGeometry, starsMaterial);
-    container.add(stars);
+    const distantStarsPoints = new THREE.Points(starsGeometry, starsMaterial);
+    this.worldRoot.add(distantStarsPoints);
   }
 
-  createGalacticCore() {
+  createGalacticCore(coreStarsData) {
     // Create a bright central core
     const coreGeometry = new THREE.SphereGeometry(3000, 32, 32); // 100x larger (was 30)
     const coreMaterial = new THREE.MeshBasicMaterial({
@@ -428,7 +336,7 @@ class SpaceGame {
       opacity: 0.1,
     });
     const core = new THREE.Mesh(coreGeometry, coreMaterial);
-    this.scene.add(core);
+    this.worldRoot.add(core);
 
     // Add a glow effect
     const glowGeometry = new THREE.SphereGeometry(4000, 32, 32); // 100x larger (was 40)
@@ -439,7 +347,7 @@ class SpaceGame {
       side: THREE.BackSide,
     });
     const glow = new THREE.Mesh(glowGeometry, glowMaterial);
-    this.scene.add(glow);
+    this.worldRoot.add(glow);
 
     // Add dense stars around the core
     const coreStarsGeometry = new THREE.BufferGeometry();
@@ -450,36 +358,15 @@ class SpaceGame {
       opacity: 0.8,
     });
 
-    const coreStarsVertices = [];
-    for (let i = 0; i < 5000; i++) {
-      const radius = 5000 * Math.random(); // 100x larger (was 50)
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.random() * Math.PI - Math.PI / 2;
-
-      const x = radius * Math.cos(theta) * Math.cos(phi);
-      const y = radius * Math.sin(phi) * 0.2; // Flatten in y direction
-      const z = radius * Math.sin(theta) * Math.cos(phi);
-
-      coreStarsVertices.push(x, y, z);
-    }
-
     coreStarsGeometry.setAttribute(
       "position",
-      new THREE.Float32BufferAttribute(coreStarsVertices, 3)
+      new THREE.BufferAttribute(coreStarsData.positions, 3)
     );
     const coreStars = new THREE.Points(coreStarsGeometry, coreStarsMaterial);
-    this.scene.add(coreStars);
+    this.worldRoot.add(coreStars);
   }
 
-  createSpiralArms() {
-    const {
-      galaxyRadius,
-      galaxyThickness,
-      spiralArms,
-      spiralTightness,
-      starsCount,
-    } = this.galaxyParams;
-
+  createSpiralArms(spiralArms) {
     // Create stars in spiral arms
     const armStarsGeometry = new THREE.BufferGeometry();
     const armStarsMaterial = new THREE.PointsMaterial({
@@ -490,159 +377,70 @@ class SpaceGame {
       sizeAttenuation: true,
     });
 
-    const colors = [];
-    const armStarsVertices = [];
-
-    // Create different colored stars
-    const starColors = [
-      new THREE.Color(0xffffdd), // Yellow-white
-      new THREE.Color(0xffd6aa), // Orange-white
-      new THREE.Color(0xaaaaff), // Blue-white
-      new THREE.Color(0xddddff), // White-blue
-    ];
-
-    for (let i = 0; i < starsCount; i++) {
-      // Determine which spiral arm this star belongs to
-      const armIndex = Math.floor(Math.random() * spiralArms);
-
-      // Calculate distance from center (with more stars toward the center)
-      const distance = Math.pow(Math.random(), 0.5) * galaxyRadius;
-
-      // Calculate angle based on distance and arm
-      const angle =
-        (armIndex / spiralArms) * Math.PI * 2 +
-        (spiralTightness * distance) / galaxyRadius;
-
-      // Add some randomness to the angle
-      const randomAngle = angle + (Math.random() * 0.5 - 0.25);
-
-      // Calculate position
-      const x = distance * Math.cos(randomAngle);
-      const z = distance * Math.sin(randomAngle);
-
-      // Y position (thickness of the galaxy)
-      const y =
-        (Math.random() - 0.5) *
-        galaxyThickness *
-        (1 - Math.pow(distance / galaxyRadius, 2) * 0.8); // Thinner at edges
-
-      armStarsVertices.push(x, y, z);
-
-      // Assign random star color
-      const color = starColors[Math.floor(Math.random() * starColors.length)];
-      colors.push(color.r, color.g, color.b);
-    }
-
     armStarsGeometry.setAttribute(
       "position",
-      new THREE.Float32BufferAttribute(armStarsVertices, 3)
+      new THREE.BufferAttribute(spiralArms.positions, 3)
     );
     armStarsGeometry.setAttribute(
       "color",
-      new THREE.Float32BufferAttribute(colors, 3)
+      new THREE.BufferAttribute(
+        this.paletteColors(
+          spiralArms.colorIndices,
+          galaxyGenerator.STAR_COLORS
+        ),
+        3
+      )
     );
 
     armStarsMaterial.vertexColors = true;
 
     const armStars = new THREE.Points(armStarsGeometry, armStarsMaterial);
-    this.scene.add(armStars);
+    this.worldRoot.add(armStars);
   }
 
-  createNebulae() {
-    const { nebulaCount, nebulaSize, galaxyRadius } = this.galaxyParams;
-
-    // Create nebulae (gas clouds)
-    const nebulaColors = [
-      0xff5a5a, // Red
-      0x5a5aff, // Blue
-      0x5affff, // Cyan
-      0xff5aff, // Purple
-    ];
-
-    for (let i = 0; i < nebulaCount; i++) {
-      // Position nebulae along spiral arms
-      const armIndex = Math.floor(Math.random() * this.galaxyParams.spiralArms);
-      const distance = Math.random() * galaxyRadius * 0.8;
-      const angle =
-        (armIndex / this.galaxyParams.spiralArms) * Math.PI * 2 +
-        (this.galaxyParams.spiralTightness * distance) / galaxyRadius;
-
-      // Add some randomness
-      const randomAngle = angle + (Math.random() * 0.3 - 0.15);
-
-      const x = distance * Math.cos(randomAngle);
-      const z = distance * Math.sin(randomAngle);
-      const y = (Math.random() - 0.5) * this.galaxyParams.galaxyThickness * 0.5;
-
+  createNebulae(nebulae) {
+    nebulae.forEach((nebulaData) => {
       // Create nebula
-      const size = nebulaSize * (0.5 + Math.random() * 0.5);
-      const nebulaGeometry = new THREE.SphereGeometry(size, 8, 8);
+      const nebulaGeometry = new THREE.SphereGeometry(nebulaData.size, 8, 8);
       const nebulaMaterial = new THREE.MeshBasicMaterial({
-        color: nebulaColors[Math.floor(Math.random() * nebulaColors.length)],
+        color: nebulaData.color,
         transparent: true,
         opacity: 0.15,
         depthWrite: false,
       });
 
       const nebula = new THREE.Mesh(nebulaGeometry, nebulaMaterial);
-      nebula.position.set(x, y, z);
-      this.scene.add(nebula);
-    }
+      nebula.position.set(
+        nebulaData.position.x,
+        nebulaData.position.y,
+        nebulaData.position.z
+      );
+      this.worldRoot.add(nebula);
+    });
   }
 
-  createDustLanes() {
-    const { dustLaneCount, dustLaneSize, galaxyRadius } = this.galaxyParams;
-
+  createDustLanes(dustLanes) {
     // Create dust lanes (dark areas in the galaxy)
     const dustGeometry = new THREE.BufferGeometry();
     const dustMaterial = new THREE.PointsMaterial({
       color: 0x000000,
-      size: dustLaneSize,
+      size: this.galaxyParams.dustLaneSize,
       transparent: true,
       opacity: 0.7,
       sizeAttenuation: true,
     });
 
-    const dustVertices = [];
-
-    for (let i = 0; i < dustLaneCount; i++) {
-      // Position dust along spiral arms but with an offset
-      const armIndex = Math.floor(Math.random() * this.galaxyParams.spiralArms);
-      const distance = 50 + Math.random() * (galaxyRadius * 0.9);
-      const angle =
-        (armIndex / this.galaxyParams.spiralArms) * Math.PI * 2 +
-        (this.galaxyParams.spiralTightness * distance) / galaxyRadius +
-        Math.PI / (this.galaxyParams.spiralArms * 2); // Offset from the arm
-
-      const x = distance * Math.cos(angle);
-      const z = distance * Math.sin(angle);
-      const y = (Math.random() - 0.5) * this.galaxyParams.galaxyThickness * 0.3;
-
-      dustVertices.push(x, y, z);
-    }
-
     dustGeometry.setAttribute(
       "position",
-      new THREE.Float32BufferAttribute(dustVertices, 3)
+      new THREE.BufferAttribute(dustLanes.positions, 3)
     );
     const dust = new THREE.Points(dustGeometry, dustMaterial);
-    this.scene.add(dust);
+    this.worldRoot.add(dust);
   }
 
-  createBrightStars() {
-    // Create a few very bright stars with lens flares
-    const textureLoader = new THREE.TextureLoader();
-
-    // Create 10 bright stars
-    for (let i = 0; i < 10; i++) {
-      // Random position within the galaxy but not too close to center
-      const distance =
-        10000 + Math.random() * this.galaxyParams.galaxyRadius * 0.7; // 100x larger
-      const angle = Math.random() * Math.PI * 2;
-      const x = distance * Math.cos(angle);
-      const z = distance * Math.sin(angle);
-      const y = (Math.random() - 0.5) * this.galaxyParams.galaxyThickness;
-
+  createBrightStars(brightStars) {
+    // Create a few very bright stars
+    brightStars.forEach((brightStar) => {
       // Create a bright point for the star
       const starGeometry = new THREE.SphereGeometry(100, 8, 8); // 100x larger (was 1)
       const starMaterial = new THREE.MeshBasicMaterial({
@@ -652,8 +450,12 @@ class SpaceGame {
       });
 
       const star = new THREE.Mesh(starGeometry, starMaterial);
-      star.position.set(x, y, z);
-      this.scene.add(star);
+      star.position.set(
+        brightStar.position.x,
+        brightStar.position.y,
+        brightStar.position.z
+      );
+      this.worldRoot.add(star);
 
       // Add a glow effect
       const glowGeometry = new THREE.SphereGeometry(200, 8, 8); // 100x larger (was 2)
@@ -666,7 +468,343 @@ class SpaceGame {
 
       const glow = new THREE.Mesh(glowGeometry, glowMaterial);
       star.add(glow);
+    });
+
+    // Each bright star is the centre of a star system, revealed on approach
+    this.starSystems = starSystemGenerator.generateStarSystems(
+      this.galaxySeed,
+      brightStars
+    );
+    this.starSystemViews = this.starSystems.map(
+      (system) => new StarSystemView(system, this.worldRoot)
+    );
+    this.heatSources = collision.heatSources(this.starSystems);
+  }
+
+  updateStarSystems() {
+    if (!this.shipContainer) return;
+
+    const time = starSystemGenerator.orbitTime(this.serverClock.now());
+    this.starSystemViews.forEach((view) => {
+      view.update(this.renderPosition, time);
+    });
+  }
+
+  // Log in with the saved name and token, asking for a name first if we
+  // don't have one yet
+  login(message) {
+    const credentials = loadCredentials();
+    if (!credentials.name || message) {
+      this.loginScreen.show(
+        credentials.name,
+        (name) => {
+          saveCredentials({ name, token: credentials.token || "" });
+          this.login();
+        },
+        message
+      );
+      return;
     }
+
+    this.socket.emit("login", credentials, (reply) => {
+      if (!reply.ok) {
+        this.login(reply.reason);
+        return;
+      }
+      saveCredentials({ name: reply.name, token: reply.token });
+      this.onLoggedIn(reply);
+    });
+  }
+
+  // Put our ship where the server says it is, which may be where we left
+  // it last session
+  onLoggedIn(reply) {
+    this.playerId = reply.id;
+    this.playerName = reply.name;
+    this.chat.playerId = reply.id;
+    this.roster.playerId = reply.id;
+    this.loggedIn = true;
+
+    // The server resends every ship in range after a login
+    Object.keys(this.players).forEach((playerId) => {
+      this.removeOtherPlayerShip(playerId);
+    });
+
+    this.pendingInputs = [];
+    this.outgoingInputs = [];
+    this.shipState.position.set(
+      reply.state.position.x,
+      reply.state.position.y,
+      reply.state.position.z
+    );
+    this.previousPosition.copy(this.shipState.position);
+    this.velocity.set(
+      reply.state.velocity.x,
+      reply.state.velocity.y,
+      reply.state.velocity.z
+    );
+    Object.assign(this.shipState.warpDrive, reply.state.warpDrive);
+    this.hull = reply.hull;
+    this.shield = reply.shield;
+
+    // Face the way we were when we logged out
+    this.attitude.quaternion.copy(reply.state.quaternion).normalize();
+
+    // Reopen the station screen if we logged out while docked
+    this.dockedAt = reply.dockedAt;
+    const docked = this.findStation(reply.dockedAt);
+    if (docked) {
+      this.stationUI.open(docked.station, docked.system);
+    } else {
+      this.stationUI.close();
+    }
+  }
+
+  findStation(stationId) {
+    for (const system of this.starSystems) {
+      const station = system.stations.find((s) => s.id === stationId);
+      if (station) return { system, station };
+    }
+    return null;
+  }
+
+  toggleOptions() {
+    this.options.toggle();
+
+    // Rebinding mouse buttons needs the pointer free
+    if (this.options.isOpen && this.isPointerLocked) {
+      document.exitPointerLock();
+    }
+  }
+
+  toggleGalaxyMap() {
+    if (!this.galaxyMap) return;
+
+    this.galaxyMap.toggle(this.renderPosition);
+
+    // The map needs the mouse for panning and picking
+    if (this.galaxyMap.isOpen && this.isPointerLocked) {
+      document.exitPointerLock();
+    }
+  }
+
+  // Replace the route with a waypoint, add one to the end, or clear the
+  // route when `waypoint` is null
+  setWaypoint(waypoint, append = false) {
+    if (!waypoint) {
+      this.waypoints = [];
+      this.autopilot = false;
+    } else if (append) {
+      this.waypoints.push(waypoint);
+    } else {
+      this.waypoints = [waypoint];
+    }
+  }
+
+  // Where a waypoint is at `time`, how fast it moves and how close the
+  // autopilot should bring us
+  waypointTarget(waypoint, time) {
+    if (waypoint.kind === "station") {
+      const { system, station } = this.findStation(waypoint.id);
+      const port = starSystemGenerator.stationPort(system, station, time);
+      return {
+        name: waypoint.name,
+        position: port.position,
+        velocity: port.velocity,
+        arrivalDistance: ARRIVAL_DISTANCE.station,
+      };
+    }
+
+    // Nebulae don't move, so the waypoint carries the cloud's centre
+    if (waypoint.kind === "nebula") {
+      return {
+        name: waypoint.name,
+        position: waypoint.position,
+        velocity: { x: 0, y: 0, z: 0 },
+        arrivalDistance: ARRIVAL_DISTANCE.nebula,
+      };
+    }
+
+    const system = this.starSystems.find((s) => s.id === waypoint.id);
+    return {
+      name: waypoint.name,
+      position: system.position,
+      velocity: { x: 0, y: 0, z: 0 },
+      arrivalDistance: ARRIVAL_DISTANCE.system,
+    };
+  }
+
+  toggleAutopilot() {
+    if (this.dockedAt) return;
+    this.autopilot = !this.autopilot && this.waypoints.length > 0;
+  }
+
+  // Autopilot input for one fixed step towards the next waypoint, or null
+  // if there is nothing to do this step. Turns the ship (and camera) to
+  // face the way it wants to burn.
+  autopilotInput() {
+    const time = starSystemGenerator.orbitTime(this.serverClock.now());
+    const target = this.waypointTarget(this.waypoints[0], time);
+    const result = steer(this.shipState, target, this.shipStats);
+
+    if (result.arrived) {
+      this.waypoints.shift();
+      if (this.waypoints.length === 0) this.autopilot = false;
+      return null;
+    }
+
+    const orientation = shipPhysics.orientationFromDirection(result.direction);
+    this.attitude.quaternion.copy(orientation.quaternion);
+    return result;
+  }
+
+  drawGalaxyMap() {
+    if (!this.galaxyMap || !this.galaxyMap.isOpen) return;
+
+    const time = starSystemGenerator.orbitTime(this.serverClock.now());
+    const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(
+      this.shipState.quaternion
+    );
+    this.galaxyMap.draw({
+      shipPosition: this.renderPosition,
+      shipForward: forward,
+      otherShips: Object.values(this.players).map(
+        (player) => player.ship.position
+      ),
+      route: this.waypoints.map((waypoint) =>
+        this.waypointTarget(waypoint, time)
+      ),
+      time,
+    });
+  }
+
+  // The station whose docking port is closest to our ship, if any
+  findNearestStation() {
+    const time = starSystemGenerator.orbitTime(this.serverClock.now());
+    let nearest = null;
+
+    this.starSystems.forEach((system) => {
+      system.stations.forEach((station) => {
+        const port = starSystemGenerator.stationPort(system, station, time);
+        const distance = this.shipState.position.distanceTo(port.position);
+        if (!nearest || distance < nearest.distance) {
+          nearest = { system, station, port, distance };
+        }
+      });
+    });
+
+    return nearest;
+  }
+
+  // Everything of a kind the targeting system can lock on to, in galaxy
+  // coordinates
+  findTargets(kind) {
+    const stationary = { x: 0, y: 0, z: 0 };
+
+    if (kind === "ship") {
+      return Object.entries(this.players)
+        .filter(([, player]) => player.state)
+        .map(([id, player]) => ({
+          id,
+          kind,
+          name: player.name,
+          position: player.ship.position,
+          velocity: player.state.velocity,
+          radius: collision.SHIP_RADIUS,
+        }));
+    }
+
+    if (kind === "station") {
+      const time = starSystemGenerator.orbitTime(this.serverClock.now());
+      const targets = [];
+      this.starSystems.forEach((system) => {
+        system.stations.forEach((station) => {
+          const port = starSystemGenerator.stationPort(system, station, time);
+          targets.push({
+            id: station.id,
+            kind,
+            name: station.name,
+            position: port.position,
+            velocity: port.velocity,
+            radius: station.radius,
+          });
+        });
+      });
+      return targets;
+    }
+
+    // Stars, including the galactic core
+    return this.heatSources.map((source, index) => ({
+      id: index,
+      kind,
+      name: source.name,
+      position: source.position,
+      velocity: stationary,
+      radius: source.radius,
+    }));
+  }
+
+  // Ask the server to dock at the nearest station. It makes the final call
+  // on range, speed and alignment.
+  requestDock() {
+    if (this.dockedAt || this.dockingRequestPending) return;
+
+    const nearest = this.findNearestStation();
+    if (!nearest) return;
+
+    this.dockingRequestPending = true;
+    this.dockingMessage = null;
+    this.socket.emit("requestDock", nearest.station.id, (reply) => {
+      this.dockingRequestPending = false;
+      if (!reply.ok) {
+        this.dockingMessage = reply.reason;
+        return;
+      }
+
+      this.dockedAt = nearest.station.id;
+      this.dockingMessage = null;
+      this.autopilot = false;
+
+      // The server drops everything we sent before docking
+      this.pendingInputs = [];
+      this.outgoingInputs = [];
+      this.velocity.set(0, 0, 0);
+      this.currentSpeed = 0;
+
+      // Hand the mouse back for the station screen
+      if (this.isPointerLocked) document.exitPointerLock();
+      this.stationUI.open(nearest.station, nearest.system);
+    });
+  }
+
+  requestUndock() {
+    if (!this.dockedAt) return;
+
+    this.socket.emit("undock", (reply) => {
+      if (!reply.ok) return;
+
+      this.dockedAt = null;
+      this.stationUI.close();
+
+      // Launch along the vector the server picked, facing away from the
+      // station
+      this.attitude.quaternion.copy(reply.state.quaternion);
+      this.shipState.position.set(
+        reply.state.position.x,
+        reply.state.position.y,
+        reply.state.position.z
+      );
+      this.previousPosition.copy(this.shipState.position);
+      this.velocity.set(
+        reply.state.velocity.x,
+        reply.state.velocity.y,
+        reply.state.velocity.z
+      );
+      Object.assign(this.shipState.warpDrive, reply.state.warpDrive);
+      this.pendingInputs = this.pendingInputs.filter(
+        (input) => input.seq > reply.ack
+      );
+    });
   }
 
   createPlayerShip() {
@@ -674,25 +812,29 @@ class SpaceGame {
     this.shipContainer = new THREE.Object3D();
     this.scene.add(this.shipContainer);
 
-    // Create a separate object for horizontal rotation (yaw)
-    this.yawObject = new THREE.Object3D();
-    this.shipContainer.add(this.yawObject);
-
-    // Create a separate object for vertical rotation (pitch)
-    this.pitchObject = new THREE.Object3D();
-    this.yawObject.add(this.pitchObject);
-
-    // Create ship object
-    const geometry = new THREE.ConeGeometry(0.5, 1, 8);
-    geometry.rotateX(Math.PI / 2); // Orient the cone to point forward
-
-    const material = new THREE.MeshPhongMaterial({ color: 0x00ff00 });
-    this.ship = new THREE.Mesh(geometry, material);
-    this.pitchObject.add(this.ship);
+    // The ship's full orientation, carrying the ship, camera and effects.
+    // Its quaternion is what we send to the server.
+    this.attitude = new THREE.Object3D();
+    this.shipContainer.add(this.attitude);
+
+    // Create ship object; it is rebuilt when the inventory says we fly
+    // another hull
+    this.ship = createShipModel(ships.STARTER_HULL);
+    this.attitude.add(this.ship);
+
+    // Physics state stepped by shipPhysics. The container is only moved
+    // to an interpolated position between the last two steps.
+    this.shipState = {
+      position: new THREE.Vector3(),
+      velocity: this.velocity,
+      quaternion: new THREE.Quaternion(),
+      warpDrive: shipPhysics.createWarpDrive(),
+    };
+    this.previousPosition = new THREE.Vector3();
 
     // Position camera behind the ship
     this.camera.position.set(0, 0.5, 3);
-    this.pitchObject.add(this.camera);
+    this.attitude.add(this.camera);
 
     // Create warp speed visual effect (initially invisible)
     const warpGeometry = new THREE.CylinderGeometry(0.5, 3, 20, 16, 1, true);
@@ -706,7 +848,7 @@ class SpaceGame {
     this.warpEffect = new THREE.Mesh(warpGeometry, warpMaterial);
     this.warpEffect.rotation.x = Math.PI / 2; // Align with ship
     this.warpEffect.position.z = -10; // Position behind the ship
-    this.pitchObject.add(this.warpEffect);
+    this.attitude.add(this.warpEffect);
   }
 
   setupPointerLock() {
@@ -714,67 +856,175 @@ class SpaceGame {
 
     // Request pointer lock when canvas is clicked
     canvas.addEventListener("click", () => {
-      if (!this.isPointerLocked) {
+      if (!this.isPointerLocked && !this.dockedAt) {
         canvas.requestPointerLock();
       }
     });
 
     // Handle pointer lock change
     document.addEventListener("pointerlockchange", () => {
-      if (document.pointerLockElement === canvas) {
-        this.isPointerLocked = true;
-        document.addEventListener(
-          "mousemove",
-          this.onMouseMove.bind(this),
-          false
-        );
-      } else {
-        this.isPointerLocked = false;
-        document.removeEventListener(
-          "mousemove",
-          this.onMouseMove.bind(this),
-          false
-        );
-      }
+      this.isPointerLocked = document.pointerLockElement === canvas;
     });
 
+    // Mouse look, only while the pointer is locked
+    document.addEventListener("mousemove", (event) => this.onMouseMove(event));
+
     // Handle pointer lock error
     document.addEventListener("pointerlockerror", () => {
       console.error("Pointer lock error");
     });
+
+    // The right button fires by default, so keep the menu out of the way
+    canvas.addEventListener("contextmenu", (event) => event.preventDefault());
   }
 
   onMouseMove(event) {
-    if (!this.isPointerLocked) return;
+    if (!this.isPointerLocked || this.dockedAt) return;
 
-    // Get mouse movement delta
-    const movementX = event.movementX || 0;
-    const movementY = event.movementY || 0;
+    // Taking the controls back from the autopilot
+    this.autopilot = false;
 
-    // Apply yaw rotation (left/right) to the yaw object
-    this.yawObject.rotation.y -= movementX * this.mouseSensitivity;
+    this.turnShip(
+      this.input.mouseLook(event.movementX || 0, event.movementY || 0)
+    );
+  }
 
-    // Apply pitch rotation (up/down) to the pitch object
-    this.pitchObject.rotation.x -= movementY * this.mouseSensitivity;
+  // Turn the ship by yaw, pitch and roll (radians) about its own axes, so
+  // it can loop and roll freely like a spacecraft
+  turnShip({ yaw, pitch, roll = 0 }) {
+    this.attitude.rotateY(yaw);
+    this.attitude.rotateX(pitch);
+    this.attitude.rotateZ(roll);
 
-    // Clamp the pitch rotation to avoid flipping
-    this.pitchObject.rotation.x = Math.max(
-      -Math.PI / 2 + 0.1,
-      Math.min(Math.PI / 2 - 0.1, this.pitchObject.rotation.x)
-    );
+    // Keep rounding errors from building up over many small turns
+    this.attitude.quaternion.normalize();
   }
 
-  createOtherPlayerShip(playerId) {
-    const geometry = new THREE.ConeGeometry(0.5, 1, 8);
-    geometry.rotateX(Math.PI / 2);
+  // Gamepad look and rolling, once per frame
+  updateLook(deltaTime) {
+    if (!this.loggedIn || this.dockedAt) return;
+
+    const look = this.input.gamepadLook(deltaTime);
+    const roll = this.input.roll();
+    if (look.yaw === 0 && look.pitch === 0 && roll === 0) return;
+
+    this.autopilot = false;
+    this.turnShip({ ...look, roll: -roll * ROLL_SPEED * deltaTime });
+  }
+
+  // Swap our own ship's model for another hull's
+  setShipModel(hullType) {
+    if (this.ship.userData.hullType === hullType) return;
+
+    this.attitude.remove(this.ship);
+    disposeShipModel(this.ship);
+    this.ship = createShipModel(hullType);
+    this.attitude.add(this.ship);
+  }
 
-    const material = new THREE.MeshPhongMaterial({ color: 0xff0000 });
-    const ship = new THREE.Mesh(geometry, material);
-    this.scene.add(ship);
+  createOtherPlayerShip(playerId, netId, hullType, name) {
+    const ship = createShipModel(hullType);
+    this.worldRoot.add(ship);
 
     this.players[playerId] = {
       ship: ship,
+      netId: netId,
+      name: name,
+      state: null, // Latest full state, that snapshot deltas apply to
+      snapshots: new SnapshotBuffer(),
     };
+    this.playersByNetId[netId] = this.players[playerId];
+  }
+
+  removeOtherPlayerShip(playerId) {
+    const player = this.players[playerId];
+    if (!player) return;
+
+    this.worldRoot.remove(player.ship);
+    disposeShipModel(player.ship);
+    delete this.playersByNetId[player.netId];
+    delete this.players[playerId];
+  }
+
+  // Buffer a timestamped full server state for a remote ship
+  addPlayerSnapshot(playerInfo) {
+    const player = this.players[playerInfo.id];
+    if (!player) return;
+
+    this.serverClock.observe(playerInfo.t);
+    player.state = {
+      position: { ...playerInfo.position },
+      quaternion: { ...playerInfo.quaternion },
+      velocity: { ...playerInfo.velocity },
+    };
+    player.snapshots.push({ time: playerInfo.t, ...player.state });
+  }
+
+  // Apply a batched world snapshot from the server
+  applyWorldSnapshot(data) {
+    const snapshot = snapshotCodec.decodeSnapshot(data);
+    this.serverClock.observe(snapshot.time);
+
+    if (snapshot.self) {
+      this.reconcile(snapshot.ack, snapshot.self);
+      this.hull = snapshot.self.hull;
+      this.shield = snapshot.self.shield;
+    }
+
+    // Merge the changed fields into each ship's last known state
+    snapshot.entries.forEach((entry) => {
+      const player = this.playersByNetId[entry.netId];
+      if (!player) return;
+
+      player.state = { ...player.state };
+      if (entry.position) player.state.position = entry.position;
+      if (entry.quaternion) player.state.quaternion = entry.quaternion;
+      if (entry.velocity) player.state.velocity = entry.velocity;
+    });
+
+    // Ships left out of the snapshot haven't changed, but still need a
+    // sample at this time so interpolation doesn't start extrapolating
+    Object.values(this.players).forEach((player) => {
+      if (!player.state) return;
+      player.snapshots.push({ time: snapshot.time, ...player.state });
+    });
+  }
+
+  // Rewind our predicted ship to the authoritative server state and replay
+  // the inputs the server hasn't processed yet
+  reconcile(ack, serverState) {
+    if (!this.shipState) return;
+
+    // Drop inputs the server has already applied
+    this.pendingInputs = this.pendingInputs.filter((input) => input.seq > ack);
+
+    this.shipState.position.set(
+      serverState.position.x,
+      serverState.position.y,
+      serverState.position.z
+    );
+    this.velocity.set(
+      serverState.velocity.x,
+      serverState.velocity.y,
+      serverState.velocity.z
+    );
+    Object.assign(this.shipState.warpDrive, serverState.warpDrive);
+    this.pendingInputs.forEach((input) => {
+      shipPhysics.stepShip(
+        this.shipState,
+        input,
+        shipPhysics.FIXED_TIMESTEP,
+        this.shipStats
+      );
+    });
+  }
+
+  updateRemotePlayers() {
+    const renderTime = this.serverClock.now() - this.interpolationDelay;
+
+    Object.values(this.players).forEach((player) => {
+      player.snapshots.sample(renderTime, player.ship);
+    });
   }
 
   setupEventListeners() {
@@ -785,247 +1035,384 @@ class SpaceGame {
       this.renderer.setSize(window.innerWidth, window.innerHeight);
     });
 
-    // Keyboard controls for thrusters
-    document.addEventListener("keydown", (event) => {
-      if (event.key.toLowerCase() === "w") this.keys.w = true;
-      if (event.key.toLowerCase() === "a") this.keys.a = true;
-      if (event.key.toLowerCase() === "s") this.keys.s = true;
-      if (event.key.toLowerCase() === "d") this.keys.d = true;
-      if (event.key === "Shift") this.keys.shift = true;
-
-      // Toggle UI visibility with H key
-      if (event.key.toLowerCase() === "h") {
-        this.showUI = !this.showUI;
-        this.updateUIVisibility();
-      }
+    // One-off actions; thrust, warp and firing are read every step
+    this.input.on("autopilot", () => this.toggleAutopilot());
+    this.input.on("galaxyMap", () => this.toggleGalaxyMap());
+    this.input.on("dock", () => this.requestDock());
+    this.input.on("cycleTarget", () => {
+      this.targeting.cycle(this.renderPosition);
+    });
+    this.input.on("options", () => this.toggleOptions());
+    this.input.on("flightAssist", () => {
+      this.flightAssist = !this.flightAssist;
     });
 
-    document.addEventListener("keyup", (event) => {
-      if (event.key.toLowerCase() === "w") this.keys.w = false;
-      if (event.key.toLowerCase() === "a") this.keys.a = false;
-      if (event.key.toLowerCase() === "s") this.keys.s = false;
-      if (event.key.toLowerCase() === "d") this.keys.d = false;
-      if (event.key === "Shift") this.keys.shift = false;
+    // Show who is online while the roster key is held
+    this.input.on("roster", () => this.roster.show());
+    this.input.onRelease("roster", () => this.roster.hide());
+
+    // Keys held down when the chat opens would stay pressed while typing,
+    // so let go of them
+    this.input.on("chat", () => {
+      if (!this.loggedIn) return;
+      this.input.releaseAll();
+      this.chat.open();
+    });
+
+    this.input.on("toggleUI", () => {
+      this.showUI = !this.showUI;
+      this.updateUIVisibility();
     });
   }
 
   setupSocketListeners() {
-    // Get current players when joining
-    this.socket.on("currentPlayers", (players) => {
-      Object.keys(players).forEach((id) => {
-        if (id !== this.socket.id) {
-          this.createOtherPlayerShip(id);
-          this.players[id].ship.position.set(
-            players[id].position.x,
-            players[id].position.y,
-            players[id].position.z
-          );
-
-          // Set quaternion for rotation
-          const quaternion = new THREE.Quaternion(
-            players[id].quaternion._x,
-            players[id].quaternion._y,
-            players[id].quaternion._z,
-            players[id].quaternion._w
-          );
-          this.players[id].ship.quaternion.copy(quaternion);
-        }
-      });
+    // Log in on every (re)connect so the server can resume our ship
+    this.socket.on("connect", () => this.login());
+    this.socket.on("disconnect", () => {
+      this.loggedIn = false;
     });
 
-    // Handle new player joining
-    this.socket.on("newPlayer", (playerInfo) => {
-      this.createOtherPlayerShip(playerInfo.id);
+    // Build the shared galaxy from the server's seed
+    this.socket.on("galaxy", ({ seed, params }) => {
+      if (this.galaxySeed !== null) return;
+      this.galaxySeed = seed;
+      this.galaxyParams = params;
+      this.createGalaxy();
     });
 
-    // Update other player positions
-    this.socket.on("playerMoved", (playerInfo) => {
-      if (this.players[playerInfo.id]) {
-        this.players[playerInfo.id].ship.position.set(
-          playerInfo.position.x,
-          playerInfo.position.y,
-          playerInfo.position.z
-        );
+    // A ship came into range (or joined near us)
+    this.socket.on("playerEntered", (playerInfo) => {
+      if (this.players[playerInfo.id]) return;
+      this.createOtherPlayerShip(
+        playerInfo.id,
+        playerInfo.netId,
+        playerInfo.hullType,
+        playerInfo.name
+      );
+      this.addPlayerSnapshot(playerInfo);
+    });
 
-        // Set quaternion for rotation
-        const quaternion = new THREE.Quaternion(
-          playerInfo.quaternion._x,
-          playerInfo.quaternion._y,
-          playerInfo.quaternion._z,
-          playerInfo.quaternion._w
-        );
-        this.players[playerInfo.id].ship.quaternion.copy(quaternion);
-      }
+    // Our contracts, sent whenever one is taken, finished or failed
+    this.socket.on("missions", (missions) => {
+      this.missions = missions;
+      this.stationUI.setMissions(missions);
     });
 
-    // Remove disconnected players
-    this.socket.on("playerDisconnected", (playerId) => {
-      if (this.players[playerId]) {
-        this.scene.remove(this.players[playerId].ship);
-        delete this.players[playerId];
-      }
+    this.socket.on("missionCompleted", ({ mission, reward, reputation }) => {
+      this.chat.addNotice(
+        `Contract complete: ${mission.title} · +${reward} cr · ` +
+          `reputation ${reputation}`,
+        false
+      );
     });
-  }
 
-  updateShipPhysics() {
-    if (!this.shipContainer) return;
+    this.socket.on("missionFailed", ({ mission, reputation }) => {
+      this.chat.addNotice(
+        `Contract failed: ${mission.title} · reputation ${reputation}`
+      );
+    });
 
-    // Reset acceleration
-    this.acceleration.set(0, 0, 0);
+    // Who is online, sent whenever someone joins, leaves or changes ship
+    this.socket.on("roster", (roster) => this.roster.setRoster(roster));
+
+    // A ship we can see was refitted with another hull
+    this.socket.on("shipChanged", ({ playerId, hullType }) => {
+      const player = this.players[playerId];
+      if (!player) return;
+
+      const ship = createShipModel(hullType);
+      ship.position.copy(player.ship.position);
+      ship.quaternion.copy(player.ship.quaternion);
+      this.worldRoot.remove(player.ship);
+      disposeShipModel(player.ship);
+      this.worldRoot.add(ship);
+      player.ship = ship;
+    });
 
-    // Get ship's direction vectors based on the pitch object's orientation
-    const shipForward = new THREE.Vector3(0, 0, -1);
-    shipForward.applyQuaternion(this.pitchObject.quaternion);
-    shipForward.applyQuaternion(this.yawObject.quaternion);
+    // Batched updates for every other ship plus our own server state
+    this.socket.on("worldSnapshot", (data) => {
+      this.applyWorldSnapshot(data);
+    });
 
-    const shipRight = new THREE.Vector3(1, 0, 0);
-    shipRight.applyQuaternion(this.pitchObject.quaternion);
-    shipRight.applyQuaternion(this.yawObject.quaternion);
+    // The server refused an input, so it must not be replayed
+    this.socket.on("inputRejected", ({ seq }) => {
+      this.pendingInputs = this.pendingInputs.filter(
+        (input) => input.seq !== seq
+      );
+    });
 
-    const shipUp = new THREE.Vector3(0, 1, 0);
-    shipUp.applyQuaternion(this.pitchObject.quaternion);
-    shipUp.applyQuaternion(this.yawObject.quaternion);
+    // Our credits, cargo or ship changed
+    this.socket.on("inventory", (inventory) => {
+      this.inventory = inventory;
+      this.shipStats = inventory.ship;
+      this.setShipModel(inventory.ship.hull);
+      this.updateCargoDisplay();
+      this.stationUI.setInventory(inventory);
+    });
 
-    // Handle warp speed
-    const now = performance.now();
-    const deltaTime = (now - this.lastStaminaUpdate) / 1000; // Convert to seconds
-    this.lastStaminaUpdate = now;
+    // A ship (possibly ours) hit something
+    this.socket.on("collision", ({ playerId, name, damage, position }) => {
+      this.showImpact(position, 5);
+      if (playerId !== this.playerId) return;
 
-    // Previous warp state for transition effects
-    const wasWarping = this.warpActive;
+      this.flashScreen();
+      this.showHazardMessage(
+        `Collided with ${name} · ${Math.round(damage)} hull damage`
+      );
+    });
 
-    // Check if warp is active
-    this.warpActive = this.keys.shift && this.currentStamina > 0;
-
-    // Update stamina
-    // if (this.warpActive) {
-    //   // Drain stamina when warping
-    //   this.currentStamina = Math.max(
-    //     0,
-    //     this.currentStamina - this.staminaUseRate * deltaTime
-    //   );
-    if (this.warpActive) {
-      // Drain stamina when warping
-      this.currentStamina = 1;
-
-      // Update UI
-      if (this.staminaBar) {
-        this.staminaBar.style.width = `${this.currentStamina}%`;
-        this.staminaBar.style.backgroundColor = "rgba(0, 255, 255, 0.7)"; // Cyan when active
+    this.socket.on("shipDestroyed", ({ playerId, cause, position }) => {
+      this.showImpact(position, 40);
+      if (playerId === this.playerId) {
+        this.showHazardMessage(`Ship destroyed by ${cause}`);
       }
+    });
 
-      // Set max speed to warp speed
-      this.maxSpeed = this.normalMaxSpeed * this.warpSpeedMultiplier;
+    this.socket.on("laserFired", ({ from, to }) => {
+      this.weaponEffects.addBeam(from, to, performance.now());
+    });
 
-      // Show warp effect
-      if (this.warpEffect) {
-        // Fade in effect if just starting warp
-        if (!wasWarping) {
-          this.fadeInWarpEffect();
-        }
-        this.warpEffect.material.opacity = 0.7;
-      }
-    } else {
-      // Regenerate stamina when not warping
-      this.currentStamina = Math.min(
-        this.maxStamina,
-        this.currentStamina + this.staminaRegenRate * deltaTime
+    this.socket.on("projectileFired", (projectile) => {
+      this.weaponEffects.addBolt(projectile);
+    });
+
+    this.socket.on("projectileRemoved", ({ id, position }) => {
+      this.weaponEffects.removeBolt(id);
+      this.showImpact(position, 3);
+    });
+
+    this.socket.on("shipHit", ({ playerId, position }) => {
+      this.showImpact(position, 4);
+      if (playerId === this.playerId) this.flashScreen();
+    });
+
+    // Our ship was destroyed and has been rebuilt at the spawn point
+    this.socket.on("respawned", (respawn) => {
+      this.autopilot = false;
+      this.attitude.quaternion.identity();
+      this.shipState.position.set(
+        respawn.state.position.x,
+        respawn.state.position.y,
+        respawn.state.position.z
+      );
+      this.previousPosition.copy(this.shipState.position);
+      this.velocity.set(
+        respawn.state.velocity.x,
+        respawn.state.velocity.y,
+        respawn.state.velocity.z
       );
+      Object.assign(this.shipState.warpDrive, respawn.state.warpDrive);
+      this.hull = respawn.hull;
+      this.shield = respawn.shield;
+      this.pendingInputs = this.pendingInputs.filter(
+        (input) => input.seq > respawn.ack
+      );
+    });
 
-      // Update UI
-      if (this.staminaBar) {
-        this.staminaBar.style.width = `${this.currentStamina}%`;
+    // Remove ships that went out of range or disconnected
+    this.socket.on("playerLeft", (playerId) => {
+      this.removeOtherPlayerShip(playerId);
+    });
+  }
 
-        // Change color based on stamina level
-        if (this.currentStamina < 30) {
-          this.staminaBar.style.backgroundColor = "rgba(255, 0, 0, 0.7)"; // Red when low
-        } else {
-          this.staminaBar.style.backgroundColor = "rgba(0, 255, 0, 0.7)"; // Green when recharging
-        }
-      }
+  // Advance our ship by one fixed step of `deltaTime` seconds
+  updateShipPhysics(deltaTime) {
+    if (!this.shipContainer) return;
 
-      // Reset max speed to normal
-      this.maxSpeed = this.normalMaxSpeed;
+    // Remember where we were so rendering can interpolate
+    this.previousPosition.copy(this.shipState.position);
 
-      // Hide warp effect
-      if (this.warpEffect && wasWarping) {
-        this.fadeOutWarpEffect();
-      }
-    }
+    // Docked ships are held by the station; snapshots keep us in its port
+    if (!this.loggedIn || this.dockedAt) return;
+
+    // Previous warp state for transition effects
+    const wasWarping = this.warpActive;
 
-    // Calculate thrust power (normal or warp)
-    let currentThrusterPower = this.thrusterPower;
-    if (this.warpActive) {
-      currentThrusterPower *= this.warpSpeedMultiplier;
+    // Any thrust takes the controls back from the autopilot
+    const thrust = this.input.thrust();
+    if (thrust.forward !== 0 || thrust.right !== 0 || thrust.up !== 0) {
+      this.autopilot = false;
     }
 
-    // Apply thrust based on key presses
-    // Forward/backward thrust (W/S)
-    if (this.keys.w) {
-      this.acceleration.addScaledVector(shipForward, currentThrusterPower);
+    // The autopilot flies for us while engaged
+    const pilot = this.autopilot ? this.autopilotInput() : null;
+
+    const { quaternion } = this.attitude;
+
+    // Build this frame's input intent
+    const input = {
+      seq: this.inputSeq++,
+      keys: pilot
+        ? pilot.keys
+        : {
+            w: thrust.forward > 0,
+            a: thrust.right < 0,
+            s: thrust.forward < 0,
+            d: thrust.right > 0,
+            up: thrust.up > 0,
+            down: thrust.up < 0,
+          },
+      warp: pilot ? pilot.warp : this.input.isDown("warp"),
+      // The autopilot plans its braking around the assist's drag
+      flightAssist: pilot ? true : this.flightAssist,
+      // A half-pushed stick gives part thrust
+      throttle: pilot ? pilot.throttle : this.manualThrottle(thrust),
+      fire: {
+        laser: this.input.isDown("fireLaser"),
+        plasma: this.input.isDown("firePlasma"),
+      },
+      // Where we're seeing other ships, so the server can aim where we did
+      viewTime: this.serverClock.now() - this.interpolationDelay,
+      quaternion: {
+        x: quaternion.x,
+        y: quaternion.y,
+        z: quaternion.z,
+        w: quaternion.w,
+      },
+    };
+
+    // Predict locally with the same rules the server applies
+    this.currentSpeed = shipPhysics.stepShip(
+      this.shipState,
+      input,
+      deltaTime,
+      this.shipStats
+    );
+    this.pendingInputs.push(input);
+    this.outgoingInputs.push(snapshotCodec.packInput(input));
+
+    // The drive only engages once it has spooled up
+    this.warpActive =
+      this.shipState.warpDrive.phase === shipPhysics.WARP_ACTIVE;
+    if (this.warpActive && !wasWarping) {
+      this.fadeInWarpEffect();
+    } else if (!this.warpActive && wasWarping) {
+      this.fadeOutWarpEffect();
     }
-    if (this.keys.s) {
-      this.acceleration.addScaledVector(shipForward, -currentThrusterPower);
+  }
+
+  // Keys always give full thrust; the strongest stick axis sets the throttle
+  manualThrottle(thrust) {
+    const strongest = Math.max(
+      Math.abs(thrust.forward),
+      Math.abs(thrust.right),
+      Math.abs(thrust.up)
+    );
+    return strongest > 0 ? strongest : 1;
+  }
+
+  // Send the batched inputs to the server, which owns the real simulation
+  flushInputs(now) {
+    if (this.outgoingInputs.length === 0) return;
+    if (now - this.lastInputSend < this.inputSendInterval) return;
+
+    this.socket.emit("playerInputs", this.outgoingInputs);
+    this.outgoingInputs = [];
+    this.lastInputSend = now;
+  }
+
+  // Move the floating origin to the ship once it strays too far, so scene
+  // coordinates near the camera never get large enough to lose precision
+  updateFloatingOrigin() {
+    if (
+      this.renderPosition.distanceTo(this.worldOrigin) < this.rebaseDistance
+    ) {
+      return;
     }
 
-    // Left/right thrust (A/D)
-    if (this.keys.a) {
-      this.acceleration.addScaledVector(shipRight, -currentThrusterPower);
+    this.worldOrigin.copy(this.renderPosition);
+    this.worldRoot.position.copy(this.worldOrigin).negate();
+  }
+
+  animate() {
+    requestAnimationFrame(this.animate.bind(this));
+
+    // Accumulate real time and consume it in fixed simulation steps
+    const now = performance.now();
+    if (this.lastFrameTime === null) this.lastFrameTime = now;
+    const frameTime = Math.min(
+      this.maxFrameTime,
+      (now - this.lastFrameTime) / 1000
+    );
+    this.lastFrameTime = now;
+    this.accumulator += frameTime;
+
+    // Gamepad buttons and sticks, then turning from the stick and roll keys
+    this.input.poll();
+    this.updateLook(frameTime);
+
+    const step = shipPhysics.FIXED_TIMESTEP;
+    while (this.accumulator >= step) {
+      this.updateShipPhysics(step);
+      this.accumulator -= step;
     }
-    if (this.keys.d) {
-      this.acceleration.addScaledVector(shipRight, currentThrusterPower);
+    this.flushInputs(now);
+
+    // Render the ship between the last two steps
+    if (this.shipContainer) {
+      this.renderPosition.lerpVectors(
+        this.previousPosition,
+        this.shipState.position,
+        this.accumulator / step
+      );
+      this.updateFloatingOrigin();
+      this.shipContainer.position.subVectors(
+        this.renderPosition,
+        this.worldOrigin
+      );
     }
 
-    // Update velocity based on acceleration
-    this.velocity.add(this.acceleration);
+    // Interpolate remote ships between server snapshots
+    this.updateRemotePlayers();
 
-    // Apply drag
-    this.velocity.multiplyScalar(this.drag);
+    // Move planets and stations along their orbits
+    this.updateStarSystems();
 
-    // Limit maximum speed
-    const currentSpeed = this.velocity.length();
-    if (currentSpeed > this.maxSpeed) {
-      this.velocity.normalize().multiplyScalar(this.maxSpeed);
-    }
+    // Redraw the galaxy map if it's open
+    this.drawGalaxyMap();
+
+    // Swap distant galaxy sprites for point clouds as we approach
+    if (this.distantGalaxies) this.distantGalaxies.update(this.renderPosition);
 
-    // Update position based on velocity
-    this.shipContainer.position.add(this.velocity);
+    // Fade laser beams and move plasma bolts
+    this.weaponEffects.update(now, this.serverClock.now());
 
     // Update speed display in UI
-    this.updateSpeedDisplay(currentSpeed);
+    this.updateSpeedDisplay(this.currentSpeed);
+    this.updateWarpDisplay();
+    this.updateHullDisplay();
+    this.updateWeaponsDisplay();
 
-    // Get the combined quaternion of the ship for sending to server
-    const combinedQuaternion = new THREE.Quaternion();
-    combinedQuaternion.multiplyQuaternions(
-      this.yawObject.quaternion,
-      this.pitchObject.quaternion
-    );
+    // Warn about stars heating the hull and recent collisions
+    this.updateHazardDisplay();
 
-    // Send position and rotation update to server
-    this.socket.emit("playerMovement", {
-      position: {
-        x: this.shipContainer.position.x,
-        y: this.shipContainer.position.y,
-        z: this.shipContainer.position.z,
-      },
-      quaternion: {
-        _x: combinedQuaternion.x,
-        _y: combinedQuaternion.y,
-        _z: combinedQuaternion.z,
-        _w: combinedQuaternion.w,
-      },
-      velocity: {
-        x: this.velocity.x,
-        y: this.velocity.y,
-        z: this.velocity.z,
-      },
+    // Show the approach readout when near a station
+    this.updateDockingDisplay();
+
+    // Show distance and ETA to the next waypoint
+    this.updateNavigationDisplay();
+
+    // Label remote ships with their callsigns
+    this.nameplates.update(this.players, {
+      shipPosition: this.renderPosition,
+      worldOrigin: this.worldOrigin,
+      visible: this.showUI,
     });
-  }
 
-  animate() {
-    requestAnimationFrame(this.animate.bind(this));
+    // Time left on our contracts
+    this.missionTracker.update(this.missions, {
+      now: this.serverClock.now(),
+      visible: this.showUI,
+    });
 
-    this.updateShipPhysics();
+    // Track the locked target
+    this.targeting.update({
+      shipPosition: this.renderPosition,
+      shipVelocity: this.velocity,
+      worldOrigin: this.worldOrigin,
+      showUI: this.showUI,
+      cycleKey: this.input.describeBindings("cycleTarget"),
+    });
 
     this.renderer.render(this.scene, this.camera);
   }
@@ -1055,65 +1442,176 @@ class SpaceGame {
     controlsList.style.margin = "0";
     controlsList.style.listStyleType = "none";
 
+    this.controlsList = controlsList;
+    this.renderControls();
+    this.uiContainer.appendChild(controlsList);
+
+    // Warp drive energy bar
+    const energyContainer = document.createElement("div");
+    energyContainer.style.marginTop = "15px";
+
+    const energyLabel = document.createElement("div");
+    energyLabel.textContent = "Warp Drive Energy";
+    energyLabel.style.marginBottom = "5px";
+    energyContainer.appendChild(energyLabel);
+
+    const energyBarContainer = document.createElement("div");
+    energyBarContainer.style.width = "200px";
+    energyBarContainer.style.height = "15px";
+    energyBarContainer.style.backgroundColor = "rgba(50, 50, 50, 0.7)";
+    energyBarContainer.style.borderRadius = "3px";
+    energyBarContainer.style.overflow = "hidden";
+
+    this.energyBar = document.createElement("div");
+    this.energyBar.style.width = "100%";
+    this.energyBar.style.height = "100%";
+    this.energyBar.style.backgroundColor = "rgba(0, 255, 0, 0.7)";
+    this.energyBar.style.transition = "width 0.2s, background-color 0.3s";
+    this.energyBar.style.borderRadius = "3px";
+
+    energyBarContainer.appendChild(this.energyBar);
+    energyContainer.appendChild(energyBarContainer);
+
+    this.uiContainer.appendChild(energyContainer);
+
+    // Shield bar
+    const shieldContainer = document.createElement("div");
+    shieldContainer.style.marginTop = "15px";
+
+    const shieldLabel = document.createElement("div");
+    shieldLabel.textContent = "Shields";
+    shieldLabel.style.marginBottom = "5px";
+    shieldContainer.appendChild(shieldLabel);
+
+    const shieldBarContainer = document.createElement("div");
+    shieldBarContainer.style.width = "200px";
+    shieldBarContainer.style.height = "15px";
+    shieldBarContainer.style.backgroundColor = "rgba(50, 50, 50, 0.7)";
+    shieldBarContainer.style.borderRadius = "3px";
+    shieldBarContainer.style.overflow = "hidden";
+
+    this.shieldBar = document.createElement("div");
+    this.shieldBar.style.width = "100%";
+    this.shieldBar.style.height = "100%";
+    this.shieldBar.style.backgroundColor = "rgba(0, 136, 255, 0.7)";
+    this.shieldBar.style.transition = "width 0.2s";
+    this.shieldBar.style.borderRadius = "3px";
+
+    shieldBarContainer.appendChild(this.shieldBar);
+    shieldContainer.appendChild(shieldBarContainer);
+
+    this.uiContainer.appendChild(shieldContainer);
+
+    // Hull integrity bar
+    const hullContainer = document.createElement("div");
+    hullContainer.style.marginTop = "15px";
+
+    const hullLabel = document.createElement("div");
+    hullLabel.textContent = "Hull Integrity";
+    hullLabel.style.marginBottom = "5px";
+    hullContainer.appendChild(hullLabel);
+
+    const hullBarContainer = document.createElement("div");
+    hullBarContainer.style.width = "200px";
+    hullBarContainer.style.height = "15px";
+    hullBarContainer.style.backgroundColor = "rgba(50, 50, 50, 0.7)";
+    hullBarContainer.style.borderRadius = "3px";
+    hullBarContainer.style.overflow = "hidden";
+
+    this.hullBar = document.createElement("div");
+    this.hullBar.style.width = "100%";
+    this.hullBar.style.height = "100%";
+    this.hullBar.style.backgroundColor = "rgba(0, 255, 0, 0.7)";
+    this.hullBar.style.transition = "width 0.2s, background-color 0.3s";
+    this.hullBar.style.borderRadius = "3px";
+
+    hullBarContainer.appendChild(this.hullBar);
+    hullContainer.appendChild(hullBarContainer);
+
+    this.uiContainer.appendChild(hullContainer);
+
+    // Whether weapons are online
+    this.weaponsStatus = document.createElement("div");
+    this.weaponsStatus.style.marginTop = "10px";
+    this.weaponsStatus.style.fontSize = "14px";
+    this.uiContainer.appendChild(this.weaponsStatus);
+
+    // Credits and cargo hold
+    const cargoContainer = document.createElement("div");
+    cargoContainer.style.marginTop = "15px";
+
+    const cargoLabel = document.createElement("div");
+    cargoLabel.textContent = "Cargo";
+    cargoLabel.style.marginBottom = "5px";
+    cargoContainer.appendChild(cargoLabel);
+
+    this.cargoDisplay = document.createElement("div");
+    this.cargoDisplay.style.fontSize = "14px";
+    cargoContainer.appendChild(this.cargoDisplay);
+
+    this.uiContainer.appendChild(cargoContainer);
+    this.updateCargoDisplay();
+
+    // Add to document
+    document.body.appendChild(this.uiContainer);
+  }
+
+  updateCargoDisplay() {
+    if (!this.cargoDisplay) return;
+    if (!this.inventory) {
+      this.cargoDisplay.textContent = "Waiting for server...";
+      return;
+    }
+
+    const { credits, cargoUsed, cargo, missionCargo, ship } = this.inventory;
+    const items = [...cargo, ...missionCargo]
+      .map((item) => `<div>${item.quantity} × ${item.name}</div>`)
+      .join("");
+
+    this.cargoDisplay.innerHTML = `
+      <div>${ship.name}</div>
+      <div>Credits: ${credits.toLocaleString()} cr</div>
+      <div>Hold: ${cargoUsed} / ${ship.cargoCapacity}</div>
+      <div style="color: #aaaaaa;">${items || "Empty hold"}</div>
+    `;
+  }
+
+  // The controls list follows the pilot's current bindings
+  renderControls() {
     const controls = [
-      "W - Forward thrust",
-      "S - Backward thrust",
-      "A - Left thrust",
-      "D - Right thrust",
-      "Mouse - Steer ship",
-      "Shift - Warp speed (1000x, uses stamina)",
-      "H - Toggle UI visibility",
+      ...ACTIONS.map(
+        (action) =>
+          `${this.input.describeBindings(action.id)} - ${action.label}`
+      ),
+      "Mouse / right stick - Steer ship",
       "Click - Lock/unlock mouse",
     ];
 
+    this.controlsList.innerHTML = "";
     controls.forEach((control) => {
       const item = document.createElement("li");
       item.textContent = control;
       item.style.margin = "5px 0";
-      controlsList.appendChild(item);
+      this.controlsList.appendChild(item);
     });
-
-    this.uiContainer.appendChild(controlsList);
-
-    // Stamina bar
-    const staminaContainer = document.createElement("div");
-    staminaContainer.style.marginTop = "15px";
-
-    const staminaLabel = document.createElement("div");
-    staminaLabel.textContent = "Warp Drive Energy";
-    staminaLabel.style.marginBottom = "5px";
-    staminaContainer.appendChild(staminaLabel);
-
-    const staminaBarContainer = document.createElement("div");
-    staminaBarContainer.style.width = "200px";
-    staminaBarContainer.style.height = "15px";
-    staminaBarContainer.style.backgroundColor = "rgba(50, 50, 50, 0.7)";
-    staminaBarContainer.style.borderRadius = "3px";
-    staminaBarContainer.style.overflow = "hidden";
-
-    this.staminaBar = document.createElement("div");
-    this.staminaBar.style.width = "100%";
-    this.staminaBar.style.height = "100%";
-    this.staminaBar.style.backgroundColor = "rgba(0, 255, 0, 0.7)";
-    this.staminaBar.style.transition = "width 0.2s, background-color 0.3s";
-    this.staminaBar.style.borderRadius = "3px";
-
-    staminaBarContainer.appendChild(this.staminaBar);
-    staminaContainer.appendChild(staminaBarContainer);
-
-    this.uiContainer.appendChild(staminaContainer);
-
-    // Add to document
-    document.body.appendChild(this.uiContainer);
   }
 
   updateUIVisibility() {
     if (this.showUI) {
       this.uiContainer.style.display = "block";
+      this.chat.setVisible(true);
       if (this.speedDisplay) this.speedDisplay.style.display = "block";
+      if (this.dockingDisplay) this.dockingDisplay.style.display = "block";
+      if (this.navigationDisplay) {
+        this.navigationDisplay.style.display = "block";
+      }
     } else {
       this.uiContainer.style.display = "none";
+      this.chat.setVisible(false);
       if (this.speedDisplay) this.speedDisplay.style.display = "none";
+      if (this.dockingDisplay) this.dockingDisplay.style.display = "none";
+      if (this.navigationDisplay) this.navigationDisplay.style.display = "none";
+      if (this.hazardDisplay) this.hazardDisplay.style.display = "none";
     }
   }
 
@@ -1180,13 +1678,298 @@ class SpaceGame {
       <div style="font-size: 12px; color: ${
         this.warpActive ? "#00ffff" : "#aaaaaa"
       };">
-        ${this.warpActive ? "WARP DRIVE ACTIVE" : "NORMAL DRIVE"}
+        ${WARP_PHASE_LABELS[this.shipState.warpDrive.phase]}
+      </div>
+      <div style="font-size: 12px; color: ${
+        this.flightAssist ? "#aaaaaa" : "#ffaa00"
+      };">
+        FLIGHT ASSIST ${this.flightAssist ? "ON" : "OFF"}
       </div>
     `;
 
     // Update visibility
     this.speedDisplay.style.display = this.showUI ? "block" : "none";
   }
+
+  // Energy bar: cyan while warping, amber while the drive spools up or
+  // cools down, red when nearly empty and green otherwise
+  updateWarpDisplay() {
+    if (!this.energyBar) return;
+    const drive = this.shipState.warpDrive;
+    const capacity = this.shipStats.warp.capacity;
+
+    let color = "rgba(0, 255, 0, 0.7)";
+    if (drive.phase === shipPhysics.WARP_ACTIVE) {
+      color = "rgba(0, 255, 255, 0.7)";
+    } else if (drive.phase !== shipPhysics.WARP_IDLE) {
+      color = "rgba(255, 170, 0, 0.7)";
+    } else if (drive.energy < capacity * 0.3) {
+      color = "rgba(255, 0, 0, 0.7)";
+    }
+
+    this.energyBar.style.width = `${(drive.energy / capacity) * 100}%`;
+    this.energyBar.style.backgroundColor = color;
+  }
+
+  updateHullDisplay() {
+    if (!this.hullBar || this.hull === null || !this.inventory) return;
+    const fraction = this.hull / this.inventory.ship.maxHull;
+    this.shieldBar.style.width = `${
+      (this.shield / this.inventory.ship.maxShield) * 100
+    }%`;
+
+    let color = "rgba(0, 255, 0, 0.7)";
+    if (fraction < 0.3) {
+      color = "rgba(255, 0, 0, 0.7)";
+    } else if (fraction < 0.6) {
+      color = "rgba(255, 170, 0, 0.7)";
+    }
+
+    this.hullBar.style.width = `${fraction * 100}%`;
+    this.hullBar.style.backgroundColor = color;
+  }
+
+  // Weapons are offline inside station safe zones
+  updateWeaponsDisplay() {
+    if (!this.weaponsStatus || !this.loggedIn) return;
+
+    const time = starSystemGenerator.orbitTime(this.serverClock.now());
+    const stationPositions = [];
+    this.starSystems.forEach((system) => {
+      system.stations.forEach((station) => {
+        stationPositions.push(
+          starSystemGenerator.stationPosition(system, station, time)
+        );
+      });
+    });
+
+    const safe =
+      Boolean(this.dockedAt) ||
+      combat.inSafeZone(this.shipState.position, stationPositions);
+    this.weaponsStatus.textContent = safe
+      ? "Weapons offline (station safe zone)"
+      : "Weapons online";
+    this.weaponsStatus.style.color = safe ? "#aaaaaa" : "#ff6666";
+  }
+
+  // Show a collision or destruction notice for a few seconds
+  showHazardMessage(text) {
+    this.hazardMessage = text;
+    this.hazardMessageUntil = performance.now() + 3000;
+  }
+
+  // Warning banner: recent collisions, and heat from any star we're too
+  // close to, using the same heat zones the server burns hulls in
+  updateHazardDisplay() {
+    if (!this.hazardDisplay) {
+      this.hazardDisplay = document.createElement("div");
+      this.hazardDisplay.style.position = "absolute";
+      this.hazardDisplay.style.top = "20px";
+      this.hazardDisplay.style.left = "50%";
+      this.hazardDisplay.style.transform = "translateX(-50%)";
+      this.hazardDisplay.style.color = "#ff6666";
+      this.hazardDisplay.style.fontFamily = "Arial, sans-serif";
+      this.hazardDisplay.style.fontWeight = "bold";
+      this.hazardDisplay.style.textAlign = "center";
+      this.hazardDisplay.style.padding = "10px";
+      this.hazardDisplay.style.backgroundColor = "rgba(0, 0, 0, 0.5)";
+      this.hazardDisplay.style.borderRadius = "5px";
+      this.hazardDisplay.style.zIndex = "100";
+      document.body.appendChild(this.hazardDisplay);
+    }
+
+    const lines = [];
+    const heat =
+      this.loggedIn && !this.dockedAt
+        ? collision.heatAt(this.shipState.position, this.heatSources)
+        : null;
+    if (heat) {
+      lines.push(
+        `WARNING: HULL HEATING · ${heat.source.name} · ${Math.round(
+          heat.intensity * 100
+        )}%`
+      );
+    }
+    if (this.hazardMessage && performance.now() < this.hazardMessageUntil) {
+      lines.push(this.hazardMessage);
+    }
+
+    // Lines can name other pilots, so they're set as text, never markup
+    this.hazardDisplay.replaceChildren(
+      ...lines.map((line) => {
+        const row = document.createElement("div");
+        row.textContent = line;
+        return row;
+      })
+    );
+    this.hazardDisplay.style.display =
+      lines.length > 0 && this.showUI ? "block" : "none";
+  }
+
+  // Brief red flash over the whole screen when our ship hits something
+  flashScreen() {
+    if (!this.flashOverlay) {
+      this.flashOverlay = document.createElement("div");
+      this.flashOverlay.style.position = "absolute";
+      this.flashOverlay.style.top = "0";
+      this.flashOverlay.style.left = "0";
+      this.flashOverlay.style.width = "100%";
+      this.flashOverlay.style.height = "100%";
+      this.flashOverlay.style.backgroundColor = "rgb(255, 0, 0)";
+      this.flashOverlay.style.pointerEvents = "none";
+      this.flashOverlay.style.zIndex = "90";
+      this.flashOverlay.style.opacity = "0";
+      document.body.appendChild(this.flashOverlay);
+    }
+
+    this.flashOverlay.style.transition = "none";
+    this.flashOverlay.style.opacity = "0.4";
+    requestAnimationFrame(() => {
+      this.flashOverlay.style.transition = "opacity 0.5s";
+      this.flashOverlay.style.opacity = "0";
+    });
+  }
+
+  // Expanding, fading fireball at a world position
+  showImpact(position, size) {
+    const impact = new THREE.Mesh(
+      new THREE.SphereGeometry(1, 8, 8),
+      new THREE.MeshBasicMaterial({
+        color: 0xffaa33,
+        transparent: true,
+        opacity: 0.9,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
+      })
+    );
+    impact.position.set(position.x, position.y, position.z);
+    impact.scale.setScalar(size * 0.2);
+    this.worldRoot.add(impact);
+
+    const grow = () => {
+      impact.scale.multiplyScalar(1.08);
+      impact.material.opacity -= 0.03;
+      if (impact.material.opacity > 0) {
+        requestAnimationFrame(grow);
+        return;
+      }
+      this.worldRoot.remove(impact);
+      impact.geometry.dispose();
+      impact.material.dispose();
+    };
+    grow();
+  }
+
+  // Approach mode: distance, closing speed and docking status for the
+  // nearest station, checked with the same rules the server uses
+  updateDockingDisplay() {
+    if (!this.dockingDisplay) {
+      this.dockingDisplay = document.createElement("div");
+      this.dockingDisplay.style.position = "absolute";
+      this.dockingDisplay.style.top = "120px";
+      this.dockingDisplay.style.right = "20px";
+      this.dockingDisplay.style.color = "white";
+      this.dockingDisplay.style.fontFamily = "Arial, sans-serif";
+      this.dockingDisplay.style.padding = "10px";
+      this.dockingDisplay.style.backgroundColor = "rgba(0, 0, 0, 0.5)";
+      this.dockingDisplay.style.borderRadius = "5px";
+      this.dockingDisplay.style.zIndex = "100";
+      document.body.appendChild(this.dockingDisplay);
+    }
+
+    const nearest = this.dockedAt ? null : this.findNearestStation();
+    if (!nearest || nearest.distance > this.approachDistance) {
+      this.dockingDisplay.style.display = "none";
+      this.dockingMessage = null;
+      return;
+    }
+
+    const { station, port, distance } = nearest;
+    const relativeSpeed = this.velocity.distanceTo(port.velocity);
+    const check = docking.checkDocking(this.shipState, port);
+    const status = check.ok
+      ? `Press ${this.input.describeBindings("dock")} to dock`
+      : check.reason;
+    const color = check.ok ? "#00ff88" : "#aaaaaa";
+
+    this.dockingDisplay.innerHTML = `
+      <div style="font-size: 14px;">APPROACH: ${station.name}</div>
+      <div style="font-size: 12px;">
+        Distance ${Math.round(distance).toLocaleString()} u ·
+        Closing ${Math.round(relativeSpeed)} u/s
+        (max ${docking.DOCKING_MAX_SPEED})
+      </div>
+      <div style="font-size: 12px; color: ${color};">${status}</div>
+      <div style="font-size: 12px; color: #ff6666;">
+        ${this.dockingMessage || ""}
+      </div>
+    `;
+    this.dockingDisplay.style.display = this.showUI ? "block" : "none";
+  }
+
+  // Distance, closing speed and ETA to the next waypoint
+  updateNavigationDisplay() {
+    if (!this.navigationDisplay) {
+      this.navigationDisplay = document.createElement("div");
+      this.navigationDisplay.style.position = "absolute";
+      this.navigationDisplay.style.top = "220px";
+      this.navigationDisplay.style.right = "20px";
+      this.navigationDisplay.style.color = "white";
+      this.navigationDisplay.style.fontFamily = "Arial, sans-serif";
+      this.navigationDisplay.style.padding = "10px";
+      this.navigationDisplay.style.backgroundColor = "rgba(0, 0, 0, 0.5)";
+      this.navigationDisplay.style.borderRadius = "5px";
+      this.navigationDisplay.style.zIndex = "100";
+      document.body.appendChild(this.navigationDisplay);
+    }
+
+    if (this.waypoints.length === 0) {
+      this.navigationDisplay.style.display = "none";
+      return;
+    }
+
+    const time = starSystemGenerator.orbitTime(this.serverClock.now());
+    const target = this.waypointTarget(this.waypoints[0], time);
+    const toTarget = new THREE.Vector3(
+      target.position.x,
+      target.position.y,
+      target.position.z
+    ).sub(this.renderPosition);
+    const distance = toTarget.length();
+
+    // Speed towards the waypoint, relative to it
+    const closingSpeed = new THREE.Vector3(
+      this.velocity.x - target.velocity.x,
+      this.velocity.y - target.velocity.y,
+      this.velocity.z - target.velocity.z
+    ).dot(toTarget.normalize());
+
+    let eta = "--";
+    if (closingSpeed > 1) {
+      const seconds = Math.round(distance / closingSpeed);
+      eta =
+        seconds >= 60
+          ? `${Math.floor(seconds / 60)}m ${seconds % 60}s`
+          : `${seconds}s`;
+    }
+
+    this.navigationDisplay.innerHTML = `
+      <div style="font-size: 14px;">WAYPOINT: ${target.name}</div>
+      <div style="font-size: 12px;">
+        Distance ${Math.round(distance).toLocaleString()} u · ETA ${eta}
+      </div>
+      <div style="font-size: 12px; color: ${
+        this.autopilot ? "#00ffff" : "#aaaaaa"
+      };">
+        ${
+          this.autopilot
+            ? "AUTOPILOT ENGAGED"
+            : `Press ${this.input.describeBindings("autopilot")} for autopilot`
+        }
+      </div>
+    `;
+    this.navigationDisplay.style.display = this.showUI ? "block" : "none";
+  }
 }
 
 // Initialize the game when the page loads
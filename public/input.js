@@ -0,0 +1,355 @@
+// Where the pilot's key bindings and look settings are remembered
+const SETTINGS_KEY = "spaceGame.input";
+
+// Everything the pilot can bind, with the default bindings. Bindings are
+// KeyboardEvent.code values, so they follow key positions whatever the
+// keyboard layout, or "Mouse0" to "Mouse2" for the mouse buttons.
+export const ACTIONS = [
+  { id: "thrustForward", label: "Forward thrust", defaults: ["KeyW"] },
+  { id: "thrustBackward", label: "Backward thrust", defaults: ["KeyS"] },
+  { id: "strafeLeft", label: "Left thrust", defaults: ["KeyA"] },
+  { id: "strafeRight", label: "Right thrust", defaults: ["KeyD"] },
+  { id: "thrustUp", label: "Up thrust", defaults: ["Space"] },
+  { id: "thrustDown", label: "Down thrust", defaults: ["KeyC"] },
+  { id: "rollLeft", label: "Roll left", defaults: ["KeyQ"] },
+  { id: "rollRight", label: "Roll right", defaults: ["KeyE"] },
+  {
+    id: "warp",
+    label: "Warp drive (spools up, uses energy)",
+    defaults: ["ShiftLeft", "ShiftRight"],
+  },
+  {
+    id: "flightAssist",
+    label: "Flight assist on/off (off: no drag)",
+    defaults: ["KeyV"],
+  },
+  { id: "fireLaser", label: "Fire laser", defaults: ["Mouse0"] },
+  { id: "firePlasma", label: "Fire plasma cannon", defaults: ["Mouse2"] },
+  { id: "dock", label: "Dock at nearby station", defaults: ["KeyF"] },
+  {
+    id: "galaxyMap",
+    label: "Galaxy map (click to set waypoints)",
+    defaults: ["KeyM"],
+  },
+  { id: "autopilot", label: "Autopilot to waypoint", defaults: ["KeyG"] },
+  {
+    id: "cycleTarget",
+    label: "Cycle targets (ship, station, star)",
+    defaults: ["KeyT"],
+  },
+  { id: "roster", label: "Pilots online (hold)", defaults: ["Tab"] },
+  {
+    id: "chat",
+    label: "Chat (/g global, /l local, /w name, /r reply)",
+    defaults: ["Enter"],
+  },
+  { id: "toggleUI", label: "Toggle UI visibility", defaults: ["KeyH"] },
+  { id: "options", label: "Controls and options", defaults: ["KeyO"] },
+];
+
+// Buttons on a standard-layout gamepad and the actions they perform
+export const GAMEPAD_BUTTONS = {
+  0: "thrustUp", // A
+  1: "thrustDown", // B
+  2: "warp", // X
+  3: "cycleTarget", // Y
+  4: "rollLeft", // Left bumper
+  5: "rollRight", // Right bumper
+  6: "firePlasma", // Left trigger
+  7: "fireLaser", // Right trigger
+  8: "galaxyMap", // Back
+  9: "autopilot", // Start
+  12: "dock", // D-pad up
+  13: "flightAssist", // D-pad down
+};
+
+// Left stick thrusts and strafes, right stick looks around
+const AXIS_STRAFE = 0;
+const AXIS_THRUST = 1;
+const AXIS_YAW = 2;
+const AXIS_PITCH = 3;
+
+// Stick deflection ignored as drift
+const DEADZONE = 0.15;
+
+const DEFAULT_SETTINGS = {
+  mouseSensitivity: 0.002, // Radians per pixel
+  gamepadLookSpeed: 2, // Radians per second at full deflection
+  invertY: false,
+};
+
+function defaultBindings() {
+  const bindings = {};
+  ACTIONS.forEach((action) => {
+    bindings[action.id] = [...action.defaults];
+  });
+  return bindings;
+}
+
+// Saved settings, with defaults for anything missing (including actions
+// added since they were saved)
+function loadSettings() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+  } catch (error) {
+    console.error("Ignoring unreadable input settings", error);
+  }
+  return {
+    ...DEFAULT_SETTINGS,
+    ...saved,
+    bindings: { ...defaultBindings(), ...saved.bindings },
+  };
+}
+
+// Readable name for a binding, such as "W", "Left Shift" or "Right click"
+export function describeCode(code) {
+  const mouse = ["Left click", "Middle click", "Right click"];
+  if (code.startsWith("Mouse")) return mouse[Number(code.slice(5))] || code;
+  if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+  if (/^Digit\d$/.test(code)) return code.slice(5);
+  return code
+    .replace(/^(Shift|Control|Alt|Meta)(Left|Right)$/, "$2 $1")
+    .replace(/^Arrow(\w+)$/, "$1 arrow");
+}
+
+// Pulls stick deflection inside the deadzone to zero and rescales the rest
+// to run from 0 to 1
+function applyDeadzone(value) {
+  if (Math.abs(value) < DEADZONE) return 0;
+  return (Math.sign(value) * (Math.abs(value) - DEADZONE)) / (1 - DEADZONE);
+}
+
+function clamp(value) {
+  return Math.max(-1, Math.min(1, value));
+}
+
+// Keyboard, mouse and gamepad input mapped to actions. Continuous actions
+// (thrust, warp, firing) are read with isDown() and the axis methods;
+// one-off actions (docking, the map) call handlers registered with on().
+// Typing into a text field never triggers anything.
+export class InputManager {
+  constructor() {
+    this.settings = loadSettings();
+    this.held = new Set(); // Codes held down
+    this.handlers = {}; // Action -> { press: [], release: [] }
+    this.gamepad = null; // Last poll: { axes, buttons }
+    this.capture = null; // Called with the next code pressed, when rebinding
+
+    document.addEventListener("keydown", (event) => this.onKeyDown(event));
+    document.addEventListener("keyup", (event) => this.release(event.code));
+
+    // Mouse buttons only count as triggers while the pointer is captured,
+    // so clicking to capture it doesn't fire
+    document.addEventListener("mousedown", (event) => {
+      const code = `Mouse${event.button}`;
+      if (this.capture) {
+        this.finishCapture(code);
+      } else if (document.pointerLockElement) {
+        this.press(code);
+      }
+    });
+    document.addEventListener("mouseup", (event) => {
+      this.release(`Mouse${event.button}`);
+    });
+
+    // Keys let go while the window is in the background never send keyup
+    window.addEventListener("blur", () => this.releaseAll());
+  }
+
+  onKeyDown(event) {
+    if (this.capture) {
+      event.preventDefault();
+      this.finishCapture(event.code === "Escape" ? null : event.code);
+      return;
+    }
+    if (event.target instanceof HTMLInputElement) return;
+
+    if (this.actionsFor(event.code).length > 0) event.preventDefault();
+    if (!event.repeat) this.press(event.code);
+  }
+
+  press(code) {
+    const wasDown = this.actionsFor(code).filter((id) => this.isDown(id));
+    this.held.add(code);
+    this.actionsFor(code).forEach((id) => {
+      if (!wasDown.includes(id)) this.emit(id, "press");
+    });
+  }
+
+  release(code) {
+    if (!this.held.has(code)) return;
+    this.held.delete(code);
+    this.actionsFor(code).forEach((id) => {
+      if (!this.isDown(id)) this.emit(id, "release");
+    });
+  }
+
+  // Let go of everything, e.g. when the chat takes over the keyboard
+  releaseAll() {
+    [...this.held].forEach((code) => this.release(code));
+  }
+
+  actionsFor(code) {
+    return Object.keys(this.settings.bindings).filter((id) =>
+      this.settings.bindings[id].includes(code)
+    );
+  }
+
+  on(action, handler) {
+    this.handlersFor(action).press.push(handler);
+  }
+
+  onRelease(action, handler) {
+    this.handlersFor(action).release.push(handler);
+  }
+
+  handlersFor(action) {
+    if (!this.handlers[action]) {
+      this.handlers[action] = { press: [], release: [] };
+    }
+    return this.handlers[action];
+  }
+
+  emit(action, kind) {
+    const handlers = this.handlers[action];
+    if (handlers) handlers[kind].forEach((handler) => handler());
+  }
+
+  isDown(action) {
+    const bindings = this.settings.bindings[action] || [];
+    if (bindings.some((code) => this.held.has(code))) return true;
+    return this.gamepadDown(action);
+  }
+
+  gamepadDown(action) {
+    if (!this.gamepad) return false;
+    return Object.keys(GAMEPAD_BUTTONS).some(
+      (index) =>
+        GAMEPAD_BUTTONS[index] === action && this.gamepad.buttons[index]
+    );
+  }
+
+  // Read the first connected gamepad, and run handlers for buttons pressed
+  // or released since the last poll. Call once per frame.
+  poll() {
+    const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+    const pad = [...pads].find((candidate) => candidate && candidate.connected);
+    const previous = this.gamepad;
+    if (!pad) {
+      this.gamepad = null;
+      return;
+    }
+
+    const wasDown = {};
+    Object.values(GAMEPAD_BUTTONS).forEach((action) => {
+      wasDown[action] = this.isDown(action);
+    });
+    this.gamepad = {
+      axes: pad.axes.map(applyDeadzone),
+      buttons: pad.buttons.map((button) => button.pressed),
+    };
+    if (!previous) return;
+
+    Object.values(GAMEPAD_BUTTONS).forEach((action) => {
+      const down = this.isDown(action);
+      if (down && !wasDown[action]) this.emit(action, "press");
+      if (!down && wasDown[action]) this.emit(action, "release");
+    });
+  }
+
+  axis(index) {
+    return this.gamepad ? this.gamepad.axes[index] || 0 : 0;
+  }
+
+  // -1 to 1 when both keys of a pair are bound
+  keyAxis(positive, negative) {
+    return (this.isDown(positive) ? 1 : 0) - (this.isDown(negative) ? 1 : 0);
+  }
+
+  // Thrust along each ship axis, from -1 to 1: keys give full thrust and
+  // the left stick anything in between
+  thrust() {
+    return {
+      forward: clamp(
+        this.keyAxis("thrustForward", "thrustBackward") - this.axis(AXIS_THRUST)
+      ),
+      right: clamp(
+        this.keyAxis("strafeRight", "strafeLeft") + this.axis(AXIS_STRAFE)
+      ),
+      up: this.keyAxis("thrustUp", "thrustDown"),
+    };
+  }
+
+  // Roll direction, -1 (left) to 1 (right)
+  roll() {
+    return this.keyAxis("rollRight", "rollLeft");
+  }
+
+  // Change in yaw and pitch (radians) for a mouse movement in pixels
+  mouseLook(movementX, movementY) {
+    const { mouseSensitivity, invertY } = this.settings;
+    return {
+      yaw: -movementX * mouseSensitivity,
+      pitch: -movementY * mouseSensitivity * (invertY ? -1 : 1),
+    };
+  }
+
+  // Change in yaw and pitch (radians) from the right stick over `deltaTime`
+  // seconds
+  gamepadLook(deltaTime) {
+    const { gamepadLookSpeed, invertY } = this.settings;
+    const turn = gamepadLookSpeed * deltaTime;
+    return {
+      yaw: -this.axis(AXIS_YAW) * turn,
+      pitch: -this.axis(AXIS_PITCH) * turn * (invertY ? -1 : 1),
+    };
+  }
+
+  // Rebinding: the next key or mouse button pressed goes to `callback`
+  // (null if the pilot pressed Escape to cancel)
+  captureNext(callback) {
+    this.releaseAll();
+    this.capture = callback;
+  }
+
+  finishCapture(code) {
+    const callback = this.capture;
+    this.capture = null;
+    callback(code);
+  }
+
+  // Bind an action to a single code, taking it away from any other action
+  rebind(action, code) {
+    const { bindings } = this.settings;
+    Object.keys(bindings).forEach((id) => {
+      bindings[id] = bindings[id].filter((bound) => bound !== code);
+    });
+    bindings[action] = [code];
+    this.save();
+  }
+
+  setSetting(name, value) {
+    this.settings[name] = value;
+    this.save();
+  }
+
+  resetDefaults() {
+    this.settings = {
+      ...DEFAULT_SETTINGS,
+      bindings: defaultBindings(),
+    };
+    this.save();
+  }
+
+  save() {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+  }
+
+  describeBindings(action) {
+    const bindings = this.settings.bindings[action] || [];
+    return bindings.length > 0
+      ? bindings.map(describeCode).join(" / ")
+      : "Unbound";
+  }
+}
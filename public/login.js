@@ -0,0 +1,83 @@
+// Where the pilot's name and login token are remembered between sessions
+const NAME_KEY = "spaceGame.name";
+const TOKEN_KEY = "spaceGame.token";
+
+export function loadCredentials() {
+  return {
+    name: localStorage.getItem(NAME_KEY),
+    token: localStorage.getItem(TOKEN_KEY),
+  };
+}
+
+export function saveCredentials({ name, token }) {
+  localStorage.setItem(NAME_KEY, name);
+  localStorage.setItem(TOKEN_KEY, token);
+}
+
+// Asks for a pilot name before the first login, or again if the server
+// refused the last one
+export class LoginScreen {
+  constructor() {
+    this.onSubmit = null;
+
+    this.container = document.createElement("div");
+    this.container.id = "login-screen";
+    this.container.style.position = "absolute";
+    this.container.style.top = "50%";
+    this.container.style.left = "50%";
+    this.container.style.transform = "translate(-50%, -50%)";
+    this.container.style.color = "white";
+    this.container.style.fontFamily = "Arial, sans-serif";
+    this.container.style.padding = "20px";
+    this.container.style.backgroundColor = "rgba(0, 10, 20, 0.85)";
+    this.container.style.border = "1px solid rgba(0, 255, 136, 0.5)";
+    this.container.style.borderRadius = "5px";
+    this.container.style.zIndex = "300";
+    this.container.style.display = "none";
+
+    const title = document.createElement("h2");
+    title.textContent = "Callsign";
+    title.style.margin = "0 0 10px 0";
+    this.container.appendChild(title);
+
+    const form = document.createElement("form");
+    this.nameInput = document.createElement("input");
+    this.nameInput.type = "text";
+    this.nameInput.maxLength = 20;
+    this.nameInput.style.marginRight = "5px";
+    form.appendChild(this.nameInput);
+
+    const button = document.createElement("button");
+    button.type = "submit";
+    button.textContent = "Launch";
+    form.appendChild(button);
+
+    form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      const name = this.nameInput.value.trim();
+      if (!name || !this.onSubmit) return;
+      this.hide();
+      this.onSubmit(name);
+    });
+    this.container.appendChild(form);
+
+    this.message = document.createElement("div");
+    this.message.style.color = "#ff6666";
+    this.message.style.marginTop = "10px";
+    this.container.appendChild(this.message);
+
+    document.body.appendChild(this.container);
+  }
+
+  show(defaultName, onSubmit, message = "") {
+    this.onSubmit = onSubmit;
+    this.nameInput.value = defaultName || "";
+    this.message.textContent = message;
+    this.container.style.display = "block";
+    this.nameInput.focus();
+  }
+
+  hide() {
+    this.container.style.display = "none";
+  }
+}
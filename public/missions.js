@@ -0,0 +1,80 @@
+// Seconds left shown in red once a contract gets this close to its deadline
+const WARNING_SECONDS = 60;
+
+// "12m 05s", or "45s" under a minute
+export function formatDuration(seconds) {
+  const whole = Math.max(0, Math.floor(seconds));
+  if (whole < 60) return `${whole}s`;
+  return `${Math.floor(whole / 60)}m ${String(whole % 60).padStart(2, "0")}s`;
+}
+
+// Where a contract leads, e.g. "Belis Port, Koron system"
+export function describeDestination(destination) {
+  return destination.kind === "station"
+    ? `${destination.name}, ${destination.systemName} system`
+    : destination.name;
+}
+
+// An autopilot waypoint for a contract's destination
+export function missionWaypoint({ destination }) {
+  if (destination.kind === "station") {
+    return { kind: "station", id: destination.id, name: destination.name };
+  }
+  return {
+    kind: "nebula",
+    id: destination.id,
+    name: destination.name,
+    position: destination.position,
+  };
+}
+
+// Accepted contracts and the time left on each, under the other readouts
+// on the right
+export class MissionTracker {
+  constructor() {
+    this.container = document.createElement("div");
+    this.container.style.position = "absolute";
+    this.container.style.top = "320px";
+    this.container.style.right = "20px";
+    this.container.style.maxWidth = "280px";
+    this.container.style.color = "white";
+    this.container.style.fontFamily = "Arial, sans-serif";
+    this.container.style.padding = "10px";
+    this.container.style.backgroundColor = "rgba(0, 0, 0, 0.5)";
+    this.container.style.borderRadius = "5px";
+    this.container.style.zIndex = "100";
+    this.container.style.display = "none";
+    document.body.appendChild(this.container);
+  }
+
+  // `log` is the mission log from the server ({ reputation, active }) and
+  // `now` the server time in ms
+  update(log, { now, visible }) {
+    if (!log || log.active.length === 0 || !visible) {
+      this.container.style.display = "none";
+      return;
+    }
+
+    const rows = log.active
+      .map((mission) => {
+        const left = (mission.deadline - now) / 1000;
+        const color = left < WARNING_SECONDS ? "#ff6666" : "#aaaaaa";
+        return `
+          <div style="margin-top: 5px;">${mission.title}</div>
+          <div style="font-size: 12px; color: ${color};">
+            ${describeDestination(mission.destination)} ·
+            ${formatDuration(left)} left
+          </div>
+        `;
+      })
+      .join("");
+
+    this.container.innerHTML = `
+      <div style="font-size: 14px;">
+        CONTRACTS · Reputation ${log.reputation}
+      </div>
+      ${rows}
+    `;
+    this.container.style.display = "block";
+  }
+}
@@ -0,0 +1,107 @@
+import * as THREE from "three";
+
+// Nameplates are fully opaque out to FADE_START units and fade away by
+// MAX_RANGE
+const FADE_START = 2000;
+const MAX_RANGE = 50000;
+
+// Text shrinks with distance between these sizes (px)
+const MAX_FONT_SIZE = 14;
+const MIN_FONT_SIZE = 10;
+
+// Distance at which the text starts shrinking
+const SHRINK_START = 500;
+
+// How far (px) above the ship the plate sits
+const PLATE_OFFSET = 18;
+
+function formatDistance(distance) {
+  return distance >= 1000
+    ? `${(distance / 1000).toFixed(1)}k`
+    : `${Math.round(distance)}`;
+}
+
+// Callsigns and distances floating over remote ships, drawn as HTML so the
+// text stays crisp at any range
+export class Nameplates {
+  constructor(camera) {
+    this.camera = camera;
+    this.plates = new Map(); // Player id -> element
+
+    this.container = document.createElement("div");
+    this.container.style.position = "absolute";
+    this.container.style.top = "0";
+    this.container.style.left = "0";
+    this.container.style.width = "100%";
+    this.container.style.height = "100%";
+    this.container.style.pointerEvents = "none";
+    this.container.style.overflow = "hidden";
+    this.container.style.zIndex = "50";
+    document.body.appendChild(this.container);
+  }
+
+  createPlate() {
+    const plate = document.createElement("div");
+    plate.style.position = "absolute";
+    plate.style.color = "white";
+    plate.style.fontFamily = "Arial, sans-serif";
+    plate.style.whiteSpace = "nowrap";
+    plate.style.textAlign = "center";
+    plate.style.textShadow = "0 0 3px black";
+    this.container.appendChild(plate);
+    return plate;
+  }
+
+  // Place a plate over every remote ship. `players` maps ids to
+  // { ship, name }, with ships in galaxy coordinates.
+  update(players, { shipPosition, worldOrigin, visible }) {
+    this.plates.forEach((plate, id) => {
+      if (players[id]) return;
+      this.container.removeChild(plate);
+      this.plates.delete(id);
+    });
+    this.container.style.display = visible ? "block" : "none";
+    if (!visible) return;
+
+    const halfWidth = window.innerWidth / 2;
+    const halfHeight = window.innerHeight / 2;
+    const projected = new THREE.Vector3();
+
+    Object.entries(players).forEach(([id, player]) => {
+      if (!this.plates.has(id)) this.plates.set(id, this.createPlate());
+      const plate = this.plates.get(id);
+
+      const distance = player.ship.position.distanceTo(shipPosition);
+      projected.copy(player.ship.position).sub(worldOrigin);
+      projected.project(this.camera);
+      if (
+        distance > MAX_RANGE ||
+        projected.z > 1 ||
+        Math.abs(projected.x) > 1 ||
+        Math.abs(projected.y) > 1
+      ) {
+        plate.style.display = "none";
+        return;
+      }
+
+      const fade = Math.min(
+        1,
+        Math.max(0, (MAX_RANGE - distance) / (MAX_RANGE - FADE_START))
+      );
+      const fontSize = Math.max(
+        MIN_FONT_SIZE,
+        Math.min(MAX_FONT_SIZE, MAX_FONT_SIZE * (SHRINK_START / distance))
+      );
+
+      plate.textContent = `${player.name} · ${formatDistance(distance)}`;
+      plate.style.display = "block";
+      plate.style.opacity = fade;
+      plate.style.fontSize = `${fontSize}px`;
+      plate.style.left = `${halfWidth + projected.x * halfWidth}px`;
+      plate.style.top = `${
+        halfHeight - projected.y * halfHeight - PLATE_OFFSET
+      }px`;
+      plate.style.transform = "translate(-50%, -100%)";
+    });
+  }
+}
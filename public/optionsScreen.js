@@ -0,0 +1,191 @@
+import { ACTIONS, GAMEPAD_BUTTONS } from "./input.js";
+
+const GAMEPAD_BUTTON_NAMES = {
+  0: "A",
+  1: "B",
+  2: "X",
+  3: "Y",
+  4: "Left bumper",
+  5: "Right bumper",
+  6: "Left trigger",
+  7: "Right trigger",
+  8: "Back",
+  9: "Start",
+  12: "D-pad up",
+  13: "D-pad down",
+};
+
+// Controls and options: rebind any action, adjust look sensitivity and
+// invert Y. Changes are saved as they're made.
+export class OptionsScreen {
+  constructor(input, { onChange }) {
+    this.input = input;
+    this.onChange = onChange;
+    this.isOpen = false;
+
+    this.container = document.createElement("div");
+    this.container.id = "options-screen";
+    this.container.style.position = "absolute";
+    this.container.style.top = "50%";
+    this.container.style.left = "50%";
+    this.container.style.transform = "translate(-50%, -50%)";
+    this.container.style.minWidth = "480px";
+    this.container.style.maxHeight = "90%";
+    this.container.style.overflowY = "auto";
+    this.container.style.color = "white";
+    this.container.style.fontFamily = "Arial, sans-serif";
+    this.container.style.padding = "20px";
+    this.container.style.backgroundColor = "rgba(0, 10, 20, 0.9)";
+    this.container.style.border = "1px solid rgba(0, 255, 136, 0.5)";
+    this.container.style.borderRadius = "5px";
+    this.container.style.zIndex = "250";
+    this.container.style.display = "none";
+
+    const title = document.createElement("h2");
+    title.textContent = "Controls";
+    title.style.margin = "0 0 10px 0";
+    this.container.appendChild(title);
+
+    this.bindingTable = document.createElement("table");
+    this.bindingTable.style.width = "100%";
+    this.bindingTable.style.borderCollapse = "collapse";
+    this.container.appendChild(this.bindingTable);
+
+    this.mouseSlider = this.addSlider(
+      "Mouse sensitivity",
+      "mouseSensitivity",
+      0.0005,
+      0.006,
+      0.0005
+    );
+    this.gamepadSlider = this.addSlider(
+      "Gamepad look speed",
+      "gamepadLookSpeed",
+      0.5,
+      5,
+      0.25
+    );
+
+    const invertRow = document.createElement("label");
+    invertRow.style.display = "block";
+    invertRow.style.marginTop = "10px";
+    this.invertCheckbox = document.createElement("input");
+    this.invertCheckbox.type = "checkbox";
+    this.invertCheckbox.style.marginRight = "5px";
+    this.invertCheckbox.addEventListener("change", () => {
+      this.input.setSetting("invertY", this.invertCheckbox.checked);
+    });
+    invertRow.appendChild(this.invertCheckbox);
+    invertRow.appendChild(document.createTextNode("Invert Y axis"));
+    this.container.appendChild(invertRow);
+
+    // The gamepad layout is fixed; list it so pilots know what's where
+    const gamepadHelp = document.createElement("div");
+    gamepadHelp.style.marginTop = "10px";
+    gamepadHelp.style.color = "#aaaaaa";
+    gamepadHelp.style.fontSize = "12px";
+    const buttons = Object.keys(GAMEPAD_BUTTONS).map((index) => {
+      const action = ACTIONS.find((a) => a.id === GAMEPAD_BUTTONS[index]);
+      return `${GAMEPAD_BUTTON_NAMES[index]}: ${action.label}`;
+    });
+    gamepadHelp.textContent =
+      "Gamepad: left stick thrust and strafe, right stick look. " +
+      `${buttons.join(" · ")}`;
+    this.container.appendChild(gamepadHelp);
+
+    const resetButton = document.createElement("button");
+    resetButton.textContent = "Reset to defaults";
+    resetButton.style.marginTop = "15px";
+    resetButton.style.marginRight = "5px";
+    resetButton.addEventListener("click", () => {
+      this.input.resetDefaults();
+      this.render();
+    });
+    this.container.appendChild(resetButton);
+
+    const closeButton = document.createElement("button");
+    closeButton.textContent = "Close";
+    closeButton.addEventListener("click", () => this.close());
+    this.container.appendChild(closeButton);
+
+    document.body.appendChild(this.container);
+  }
+
+  addSlider(label, setting, min, max, step) {
+    const row = document.createElement("label");
+    row.style.display = "block";
+    row.style.marginTop = "10px";
+    row.textContent = `${label} `;
+
+    const slider = document.createElement("input");
+    slider.type = "range";
+    slider.min = String(min);
+    slider.max = String(max);
+    slider.step = String(step);
+    slider.style.verticalAlign = "middle";
+    slider.addEventListener("input", () => {
+      this.input.setSetting(setting, parseFloat(slider.value));
+    });
+    row.appendChild(slider);
+    this.container.appendChild(row);
+    return slider;
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  open() {
+    this.isOpen = true;
+    this.container.style.display = "block";
+    this.render();
+  }
+
+  close() {
+    this.isOpen = false;
+    this.container.style.display = "none";
+  }
+
+  render() {
+    const { settings } = this.input;
+    this.mouseSlider.value = String(settings.mouseSensitivity);
+    this.gamepadSlider.value = String(settings.gamepadLookSpeed);
+    this.invertCheckbox.checked = settings.invertY;
+
+    this.bindingTable.innerHTML = "";
+    ACTIONS.forEach((action) => {
+      const row = document.createElement("tr");
+
+      const label = document.createElement("td");
+      label.textContent = action.label;
+      label.style.padding = "2px 10px 2px 0";
+      row.appendChild(label);
+
+      const binding = document.createElement("td");
+      binding.textContent = this.input.describeBindings(action.id);
+      binding.style.color = "#00ff88";
+      row.appendChild(binding);
+
+      const buttonCell = document.createElement("td");
+      const button = document.createElement("button");
+      button.textContent = "Rebind";
+      button.addEventListener("click", () => {
+        button.textContent = "Press a key…";
+        this.input.captureNext((code) => {
+          if (code) this.input.rebind(action.id, code);
+          this.render();
+        });
+      });
+      buttonCell.appendChild(button);
+      row.appendChild(buttonCell);
+
+      this.bindingTable.appendChild(row);
+    });
+
+    this.onChange();
+  }
+}
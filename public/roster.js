@@ -0,0 +1,76 @@
+const { ships } = window.SpaceShared;
+
+// List of every pilot online, shown while Tab is held
+export class RosterPanel {
+  constructor() {
+    this.roster = [];
+    this.playerId = null;
+
+    this.container = document.createElement("div");
+    this.container.style.position = "absolute";
+    this.container.style.top = "50%";
+    this.container.style.left = "50%";
+    this.container.style.transform = "translate(-50%, -50%)";
+    this.container.style.minWidth = "300px";
+    this.container.style.color = "white";
+    this.container.style.fontFamily = "Arial, sans-serif";
+    this.container.style.padding = "15px 20px";
+    this.container.style.backgroundColor = "rgba(0, 10, 20, 0.85)";
+    this.container.style.border = "1px solid rgba(0, 255, 136, 0.5)";
+    this.container.style.borderRadius = "5px";
+    this.container.style.zIndex = "150";
+    this.container.style.display = "none";
+
+    this.title = document.createElement("h3");
+    this.title.style.margin = "0 0 10px 0";
+    this.container.appendChild(this.title);
+
+    this.list = document.createElement("table");
+    this.list.style.width = "100%";
+    this.list.style.borderCollapse = "collapse";
+    this.container.appendChild(this.list);
+
+    document.body.appendChild(this.container);
+  }
+
+  // `roster` is [{ id, name, hullType }] from the server
+  setRoster(roster) {
+    this.roster = roster;
+    this.render();
+  }
+
+  show() {
+    this.container.style.display = "block";
+  }
+
+  hide() {
+    this.container.style.display = "none";
+  }
+
+  render() {
+    this.title.textContent = `Pilots online (${this.roster.length})`;
+    this.list.innerHTML = "";
+
+    [...this.roster]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach((pilot) => {
+        const hull = ships.findHull(pilot.hullType);
+        const row = document.createElement("tr");
+
+        const name = document.createElement("td");
+        name.textContent =
+          pilot.id === this.playerId ? `${pilot.name} (you)` : pilot.name;
+        name.style.padding = "2px 0";
+        if (pilot.id === this.playerId) name.style.color = "#00ff88";
+        row.appendChild(name);
+
+        const ship = document.createElement("td");
+        ship.textContent = hull ? hull.name : "";
+        ship.style.color = "#aaaaaa";
+        ship.style.textAlign = "right";
+        row.appendChild(ship);
+
+        this.list.appendChild(row);
+      });
+  }
+}
@@ -0,0 +1,74 @@
+import * as THREE from "three";
+
+const { ships } = window.SpaceShared;
+
+// Meshes for each hull model, built from primitives. Every model points its
+// nose down -Z and is about a unit long, like the original cone.
+const MODEL_BUILDERS = {
+  shuttle(material) {
+    const body = new THREE.ConeGeometry(0.5, 1, 8);
+    body.rotateX(-Math.PI / 2);
+    return [new THREE.Mesh(body, material)];
+  },
+
+  // Long, thin and fast
+  dart(material) {
+    const body = new THREE.ConeGeometry(0.25, 1.4, 6);
+    body.rotateX(-Math.PI / 2);
+
+    const fins = new THREE.BoxGeometry(0.9, 0.05, 0.3);
+    fins.translate(0, 0, 0.5);
+
+    return [new THREE.Mesh(body, material), new THREE.Mesh(fins, material)];
+  },
+
+  // A cone with swept wings either side
+  fighter(material) {
+    const body = new THREE.ConeGeometry(0.35, 1.1, 8);
+    body.rotateX(-Math.PI / 2);
+
+    const wings = new THREE.BoxGeometry(1.6, 0.06, 0.45);
+    wings.translate(0, 0, 0.25);
+
+    const tail = new THREE.BoxGeometry(0.06, 0.4, 0.3);
+    tail.translate(0, 0.2, 0.45);
+
+    return [
+      new THREE.Mesh(body, material),
+      new THREE.Mesh(wings, material),
+      new THREE.Mesh(tail, material),
+    ];
+  },
+
+  // A boxy cargo hold behind a short cockpit
+  hauler(material) {
+    const hold = new THREE.BoxGeometry(0.8, 0.7, 1.2);
+    hold.translate(0, 0, 0.2);
+
+    const cockpit = new THREE.ConeGeometry(0.3, 0.5, 8);
+    cockpit.rotateX(-Math.PI / 2);
+    cockpit.translate(0, 0, -0.65);
+
+    return [new THREE.Mesh(hold, material), new THREE.Mesh(cockpit, material)];
+  },
+};
+
+// A ship mesh for a hull type, in the hull's colour. Unknown hulls get the
+// starter hull's model.
+export function createShipModel(hullType) {
+  const hull = ships.findHull(hullType) || ships.findHull(ships.STARTER_HULL);
+  const material = new THREE.MeshPhongMaterial({ color: hull.color });
+
+  const model = new THREE.Group();
+  MODEL_BUILDERS[hull.model](material).forEach((mesh) => model.add(mesh));
+  model.userData.hullType = hull.id;
+  return model;
+}
+
+// Free a model's geometry and material once it's been removed
+export function disposeShipModel(model) {
+  model.traverse((object) => {
+    if (object.geometry) object.geometry.dispose();
+    if (object.material) object.material.dispose();
+  });
+}
@@ -0,0 +1,112 @@
+import * as THREE from "three";
+
+// Tracks the offset between our clock and the server's so that server
+// timestamps can be compared with performance.now()
+export class ServerClock {
+  constructor() {
+    this.offset = null;
+    this.driftRate = 0.01; // How quickly slower packets pull the offset back
+  }
+
+  observe(serverTime) {
+    const sample = serverTime - performance.now();
+
+    if (this.offset === null || sample > this.offset) {
+      // The fastest packet we've seen is the best estimate of the offset
+      this.offset = sample;
+    } else {
+      // Let the estimate drift towards later samples to follow clock skew
+      this.offset += (sample - this.offset) * this.driftRate;
+    }
+  }
+
+  now() {
+    return performance.now() + (this.offset || 0);
+  }
+}
+
+// Buffers timestamped server snapshots of one remote ship and samples them
+// at a render time in the past, interpolating between the two snapshots
+// around it and dead-reckoning from velocity when updates are late
+export class SnapshotBuffer {
+  constructor(options = {}) {
+    this.snapshots = [];
+    this.maxSnapshots = options.maxSnapshots || 32;
+    this.maxExtrapolation = options.maxExtrapolation || 500; // Milliseconds
+  }
+
+  push(snapshot) {
+    const newest = this.snapshots[this.snapshots.length - 1];
+
+    // Ignore duplicates and anything that arrives out of order
+    if (newest && snapshot.time <= newest.time) return;
+
+    this.snapshots.push({
+      time: snapshot.time,
+      position: new THREE.Vector3(
+        snapshot.position.x,
+        snapshot.position.y,
+        snapshot.position.z
+      ),
+      quaternion: new THREE.Quaternion(
+        snapshot.quaternion.x,
+        snapshot.quaternion.y,
+        snapshot.quaternion.z,
+        snapshot.quaternion.w
+      ),
+      velocity: new THREE.Vector3(
+        snapshot.velocity.x,
+        snapshot.velocity.y,
+        snapshot.velocity.z
+      ),
+    });
+
+    if (this.snapshots.length > this.maxSnapshots) {
+      this.snapshots.shift();
+    }
+  }
+
+  // Write the state at `renderTime` into `object`'s position and quaternion.
+  // Returns false if there is nothing to sample yet.
+  sample(renderTime, object) {
+    const snapshots = this.snapshots;
+    if (snapshots.length === 0) return false;
+
+    const oldest = snapshots[0];
+    const newest = snapshots[snapshots.length - 1];
+
+    // Too early: hold the oldest state we have
+    if (renderTime <= oldest.time) {
+      object.position.copy(oldest.position);
+      object.quaternion.copy(oldest.quaternion);
+      return true;
+    }
+
+    // Too late: dead-reckon from the newest state's velocity
+    if (renderTime >= newest.time) {
+      const ahead = Math.min(renderTime - newest.time, this.maxExtrapolation);
+      object.position
+        .copy(newest.position)
+        .addScaledVector(newest.velocity, ahead / 1000);
+      object.quaternion.copy(newest.quaternion);
+      return true;
+    }
+
+    // Find the pair of snapshots around the render time
+    let index = snapshots.length - 1;
+    while (index > 0 && snapshots[index - 1].time > renderTime) {
+      index--;
+    }
+    const from = snapshots[index - 1];
+    const to = snapshots[index];
+    const alpha = (renderTime - from.time) / (to.time - from.time);
+
+    object.position.lerpVectors(from.position, to.position, alpha);
+    object.quaternion.slerpQuaternions(from.quaternion, to.quaternion, alpha);
+
+    // Drop snapshots that can no longer be needed
+    if (index > 1) snapshots.splice(0, index - 1);
+
+    return true;
+  }
+}
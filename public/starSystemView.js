@@ -0,0 +1,205 @@
+import * as THREE from "three";
+
+const { starSystems: starSystemGenerator } = window.SpaceShared;
+
+// Distance from the star at which the system starts to fade in, and where
+// it is fully visible. Past the reveal distance only the star is drawn.
+const REVEAL_DISTANCE = 150000;
+const FULL_DETAIL_DISTANCE = 100000;
+
+// Moons are only drawn when the viewer is this close to their planet
+const MOON_DETAIL_DISTANCE = 10000;
+
+// Points used to draw each orbit line
+const ORBIT_SEGMENTS = 128;
+
+// Draws the planets, moons, orbits and stations of one star system around
+// its bright star, building them only when the viewer gets close enough
+export class StarSystemView {
+  constructor(system, parent) {
+    this.system = system;
+    this.revealed = false;
+
+    this.group = new THREE.Group();
+    this.group.position.set(
+      system.position.x,
+      system.position.y,
+      system.position.z
+    );
+    parent.add(this.group);
+
+    this.materials = [];
+    this.planets = [];
+    this.stations = [];
+  }
+
+  update(viewerPosition, time) {
+    const distance = viewerPosition.distanceTo(this.group.position);
+
+    if (!this.revealed && distance < REVEAL_DISTANCE) {
+      this.reveal();
+    } else if (this.revealed && distance > REVEAL_DISTANCE * 1.1) {
+      this.conceal();
+    }
+    if (!this.revealed) return;
+
+    // Fade the system in between the reveal and full detail distances
+    const fade = THREE.MathUtils.clamp(
+      (REVEAL_DISTANCE - distance) / (REVEAL_DISTANCE - FULL_DETAIL_DISTANCE),
+      0,
+      1
+    );
+    this.materials.forEach((material) => {
+      material.opacity = fade * material.userData.baseOpacity;
+      material.visible = fade > 0;
+    });
+
+    // Move every body along its orbit (positions are relative to the star)
+    const planetOffsets = {};
+    this.planets.forEach(({ planet, mesh, moons }) => {
+      const offset = starSystemGenerator.orbitPosition(planet.orbit, time);
+      planetOffsets[planet.id] = offset;
+      mesh.position.set(offset.x, offset.y, offset.z);
+
+      // Moons only appear up close
+      const planetDistance = viewerPosition.distanceTo(
+        new THREE.Vector3(offset.x, offset.y, offset.z).add(this.group.position)
+      );
+      const showMoons = planetDistance < MOON_DETAIL_DISTANCE;
+      moons.forEach(({ moon, mesh: moonMesh }) => {
+        moonMesh.visible = showMoons;
+        if (!showMoons) return;
+        const moonOffset = starSystemGenerator.orbitPosition(moon.orbit, time);
+        moonMesh.position.set(moonOffset.x, moonOffset.y, moonOffset.z);
+      });
+    });
+
+    this.stations.forEach(({ station, mesh }) => {
+      const center = planetOffsets[station.parentId];
+      const offset = starSystemGenerator.orbitPosition(station.orbit, time);
+      mesh.position.set(
+        center.x + offset.x,
+        center.y + offset.y,
+        center.z + offset.z
+      );
+
+      // Face the docking port away from the planet
+      mesh.lookAt(mesh.position.clone().add(this.group.position).add(offset));
+    });
+  }
+
+  // Track a material so it fades with the rest of the system
+  fadingMaterial(material, baseOpacity = 1) {
+    material.transparent = true;
+    material.userData.baseOpacity = baseOpacity;
+    this.materials.push(material);
+    return material;
+  }
+
+  reveal() {
+    this.revealed = true;
+
+    // The star lights its own planets
+    this.light = new THREE.PointLight(0xffffdd, 2, 0, 0);
+    this.group.add(this.light);
+
+    this.system.planets.forEach((planet) => {
+      const mesh = new THREE.Mesh(
+        new THREE.SphereGeometry(planet.radius, 32, 16),
+        this.fadingMaterial(
+          new THREE.MeshPhongMaterial({ color: planet.color })
+        )
+      );
+      this.group.add(mesh);
+      this.group.add(this.createOrbitLine(planet.orbit, 0x335577));
+
+      const moons = planet.moons.map((moon) => {
+        const moonMesh = new THREE.Mesh(
+          new THREE.SphereGeometry(moon.radius, 16, 8),
+          this.fadingMaterial(
+            new THREE.MeshPhongMaterial({ color: moon.color })
+          )
+        );
+        moonMesh.visible = false;
+        mesh.add(moonMesh);
+        return { moon, mesh: moonMesh };
+      });
+
+      this.planets.push({ planet, mesh, moons });
+    });
+
+    this.system.stations.forEach((station) => {
+      const mesh = this.createStationMesh(station);
+      this.group.add(mesh);
+      this.stations.push({ station, mesh });
+    });
+  }
+
+  conceal() {
+    this.revealed = false;
+
+    // Dispose of everything built by reveal()
+    this.group.traverse((object) => {
+      if (object.geometry) object.geometry.dispose();
+    });
+    this.materials.forEach((material) => material.dispose());
+    this.group.clear();
+
+    this.materials = [];
+    this.planets = [];
+    this.stations = [];
+    this.light = null;
+  }
+
+  createOrbitLine(orbit, color) {
+    // Sample one full period of the orbit
+    const points = [];
+    for (let i = 0; i < ORBIT_SEGMENTS; i++) {
+      const time = (i / ORBIT_SEGMENTS) * orbit.period;
+      const point = starSystemGenerator.orbitPosition(orbit, time);
+      points.push(new THREE.Vector3(point.x, point.y, point.z));
+    }
+
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    const material = this.fadingMaterial(
+      new THREE.LineBasicMaterial({ color }),
+      0.5
+    );
+    return new THREE.LineLoop(geometry, material);
+  }
+
+  createStationMesh(station) {
+    const container = new THREE.Object3D();
+    container.userData.stationId = station.id;
+
+    // Habitat ring
+    const ring = new THREE.Mesh(
+      new THREE.TorusGeometry(station.radius, station.radius * 0.15, 8, 32),
+      this.fadingMaterial(new THREE.MeshPhongMaterial({ color: 0xcccccc }))
+    );
+    container.add(ring);
+
+    // Central hub, pointing along the docking axis
+    const hub = new THREE.Mesh(
+      new THREE.CylinderGeometry(
+        station.radius * 0.2,
+        station.radius * 0.2,
+        station.radius * 1.2,
+        12
+      ),
+      this.fadingMaterial(new THREE.MeshPhongMaterial({ color: 0x8899aa }))
+    );
+    hub.rotation.x = Math.PI / 2;
+    container.add(hub);
+
+    // Beacon so stations are easy to spot
+    const beacon = new THREE.Mesh(
+      new THREE.SphereGeometry(station.radius * 0.1, 8, 8),
+      this.fadingMaterial(new THREE.MeshBasicMaterial({ color: 0x00ff88 }))
+    );
+    beacon.position.z = station.radius * 0.6;
+    container.add(beacon);
+
+    return container;
+  }
+}
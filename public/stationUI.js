@@ -0,0 +1,516 @@
+import { formatDuration, describeDestination } from "./missions.js";
+
+const { ships } = window.SpaceShared;
+
+// How each component bonus reads in the shipyard
+const BONUS_LABELS = {
+  thrusterPower: "thrust",
+  maxSpeed: "top speed",
+  cargoCapacity: "hold",
+  maxShield: "shields",
+  warpCapacity: "warp energy",
+  warpDrainRate: "warp drain/s",
+  warpSpoolUpTime: "warp spool-up s",
+};
+
+function describeBonuses(bonuses) {
+  return Object.keys(bonuses)
+    .map((stat) => {
+      const value = bonuses[stat];
+      return `${value > 0 ? "+" : ""}${value} ${BONUS_LABELS[stat]}`;
+    })
+    .join(", ");
+}
+
+// Station screen shown while docked: the station's market, buying and
+// selling, refuelling the warp drive, the shipyard, the contract board and
+// the button to launch back into space
+export class StationUI {
+  constructor(socket, { onUndock, onRefit, onPlotCourse }) {
+    this.socket = socket;
+    this.onUndock = onUndock;
+    this.onRefit = onRefit;
+    this.onPlotCourse = onPlotCourse;
+    this.station = null;
+    this.system = null;
+    this.market = null;
+    this.inventory = null;
+    this.offers = null;
+    this.missions = null; // Our mission log from the server
+
+    this.container = document.createElement("div");
+    this.container.id = "station-ui";
+    this.container.style.position = "absolute";
+    this.container.style.top = "50%";
+    this.container.style.left = "50%";
+    this.container.style.transform = "translate(-50%, -50%)";
+    this.container.style.minWidth = "480px";
+    this.container.style.color = "white";
+    this.container.style.fontFamily = "Arial, sans-serif";
+    this.container.style.padding = "20px";
+    this.container.style.backgroundColor = "rgba(0, 10, 20, 0.85)";
+    this.container.style.border = "1px solid rgba(0, 255, 136, 0.5)";
+    this.container.style.borderRadius = "5px";
+    this.container.style.zIndex = "200";
+    this.container.style.display = "none";
+
+    this.title = document.createElement("h2");
+    this.title.style.margin = "0 0 5px 0";
+    this.container.appendChild(this.title);
+
+    this.subtitle = document.createElement("div");
+    this.subtitle.style.color = "#aaaaaa";
+    this.subtitle.style.marginBottom = "15px";
+    this.container.appendChild(this.subtitle);
+
+    this.marketTable = document.createElement("table");
+    this.marketTable.style.width = "100%";
+    this.marketTable.style.borderCollapse = "collapse";
+    this.container.appendChild(this.marketTable);
+
+    // Quantity used by every buy and sell button
+    const quantityRow = document.createElement("div");
+    quantityRow.style.marginTop = "15px";
+    quantityRow.textContent = "Quantity ";
+    this.quantityInput = document.createElement("input");
+    this.quantityInput.type = "number";
+    this.quantityInput.min = "1";
+    this.quantityInput.value = "10";
+    this.quantityInput.style.width = "80px";
+    quantityRow.appendChild(this.quantityInput);
+    this.container.appendChild(quantityRow);
+
+    // Credits and free space, so pilots know what they can afford
+    this.wallet = document.createElement("div");
+    this.wallet.style.marginTop = "10px";
+    this.container.appendChild(this.wallet);
+
+    // Hulls for sale, and components to install in our slots
+    const shipyardTitle = document.createElement("h3");
+    shipyardTitle.textContent = "Shipyard";
+    shipyardTitle.style.margin = "15px 0 5px 0";
+    this.container.appendChild(shipyardTitle);
+
+    this.hullTable = document.createElement("table");
+    this.hullTable.style.width = "100%";
+    this.hullTable.style.borderCollapse = "collapse";
+    this.container.appendChild(this.hullTable);
+
+    this.componentTable = document.createElement("table");
+    this.componentTable.style.width = "100%";
+    this.componentTable.style.borderCollapse = "collapse";
+    this.componentTable.style.marginTop = "10px";
+    this.container.appendChild(this.componentTable);
+
+    // Contracts on offer here, and the ones we've taken
+    const contractsTitle = document.createElement("h3");
+    contractsTitle.textContent = "Contracts";
+    contractsTitle.style.margin = "15px 0 5px 0";
+    this.container.appendChild(contractsTitle);
+
+    this.reputation = document.createElement("div");
+    this.reputation.style.color = "#aaaaaa";
+    this.container.appendChild(this.reputation);
+
+    this.offerTable = document.createElement("table");
+    this.offerTable.style.width = "100%";
+    this.offerTable.style.borderCollapse = "collapse";
+    this.container.appendChild(this.offerTable);
+
+    this.activeTable = document.createElement("table");
+    this.activeTable.style.width = "100%";
+    this.activeTable.style.borderCollapse = "collapse";
+    this.activeTable.style.marginTop = "10px";
+    this.container.appendChild(this.activeTable);
+
+    this.message = document.createElement("div");
+    this.message.style.minHeight = "20px";
+    this.message.style.marginTop = "10px";
+    this.container.appendChild(this.message);
+
+    const refuelButton = document.createElement("button");
+    refuelButton.textContent = "Refuel warp drive";
+    refuelButton.style.marginTop = "10px";
+    refuelButton.style.marginRight = "5px";
+    refuelButton.addEventListener("click", () => this.refuel());
+    this.container.appendChild(refuelButton);
+
+    const undockButton = document.createElement("button");
+    undockButton.textContent = "Undock";
+    undockButton.style.marginTop = "10px";
+    undockButton.addEventListener("click", () => this.onUndock());
+    this.container.appendChild(undockButton);
+
+    document.body.appendChild(this.container);
+  }
+
+  open(station, system) {
+    this.station = station;
+    this.system = system;
+    this.title.textContent = station.name;
+    this.subtitle.textContent = `${system.name} system`;
+    this.message.textContent = "";
+    this.marketTable.innerHTML = "";
+    this.offers = null;
+    this.container.style.display = "block";
+    this.renderWallet();
+    this.renderShipyard();
+    this.renderMissions();
+    this.refreshMarket();
+    this.refreshOffers();
+  }
+
+  close() {
+    this.station = null;
+    this.system = null;
+    this.market = null;
+    this.offers = null;
+    this.container.style.display = "none";
+  }
+
+  refreshMarket() {
+    const station = this.station;
+    this.socket.emit("getMarket", station.id, (reply) => {
+      if (this.station !== station) return;
+      if (!reply.ok) {
+        this.showMessage(reply.reason, true);
+        return;
+      }
+      this.renderMarket(reply.market);
+    });
+  }
+
+  setInventory(inventory) {
+    this.inventory = inventory;
+    this.renderWallet();
+    this.renderShipyard();
+    if (this.market) this.renderMarket(this.market);
+  }
+
+  renderWallet() {
+    if (!this.inventory) return;
+    const { credits, cargoUsed, ship } = this.inventory;
+    this.wallet.textContent =
+      `Credits: ${credits.toLocaleString()} cr · ` +
+      `Hold: ${cargoUsed} / ${ship.cargoCapacity}`;
+  }
+
+  renderShipyard() {
+    if (!this.inventory) return;
+    const { ship } = this.inventory;
+    const tradeIn = Math.floor(
+      ships.HULLS[ship.hull].price * ships.RESALE_FRACTION
+    );
+
+    this.hullTable.innerHTML = `
+      <tr style="color: #aaaaaa; text-align: left;">
+        <th>Hull</th><th>Price</th><th>Hold</th><th>Armour</th>
+        <th>Shields</th><th>Slots</th><th></th>
+      </tr>
+    `;
+    Object.values(ships.HULLS).forEach((hull) => {
+      const slots = Object.keys(hull.slots)
+        .filter((slot) => hull.slots[slot] > 0)
+        .map((slot) => `${hull.slots[slot]} ${slot}`)
+        .join(", ");
+      const row = document.createElement("tr");
+      row.innerHTML = `
+        <td>${hull.name}</td>
+        <td>${Math.max(0, hull.price - tradeIn)}</td>
+        <td>${hull.stats.cargoCapacity}</td>
+        <td>${hull.stats.maxHull}</td>
+        <td>${hull.stats.maxShield}</td>
+        <td>${slots}</td>
+      `;
+
+      const action = document.createElement("td");
+      if (hull.id === ship.hull) {
+        action.textContent = "Current";
+        action.style.color = "#00ff88";
+      } else {
+        const button = document.createElement("button");
+        button.textContent = "Buy";
+        button.addEventListener("click", () => this.buyHull(hull.id));
+        action.appendChild(button);
+      }
+      row.appendChild(action);
+      this.hullTable.appendChild(row);
+    });
+
+    this.componentTable.innerHTML = `
+      <tr style="color: #aaaaaa; text-align: left;">
+        <th>Component</th><th>Slot</th><th>Price</th><th>Effect</th>
+        <th>Fitted</th><th></th>
+      </tr>
+    `;
+    Object.values(ships.COMPONENTS).forEach((component) => {
+      const fitted = ship.components.filter((id) => id === component.id);
+      const row = document.createElement("tr");
+      row.innerHTML = `
+        <td>${component.name}</td>
+        <td>${component.slot}</td>
+        <td>${component.price}</td>
+        <td>${describeBonuses(component.bonuses)}</td>
+        <td>${fitted.length}</td>
+      `;
+
+      const actions = document.createElement("td");
+      const install = document.createElement("button");
+      install.textContent = "Install";
+      install.addEventListener("click", () =>
+        this.refit("installComponent", component.id)
+      );
+      actions.appendChild(install);
+      if (fitted.length > 0) {
+        const remove = document.createElement("button");
+        remove.textContent = "Remove";
+        remove.style.marginLeft = "5px";
+        remove.addEventListener("click", () =>
+          this.refit("removeComponent", component.id)
+        );
+        actions.appendChild(remove);
+      }
+      row.appendChild(actions);
+      this.componentTable.appendChild(row);
+    });
+  }
+
+  buyHull(hullId) {
+    this.refit("buyHull", hullId, (reply) => {
+      const { name } = ships.HULLS[hullId];
+      return `Bought a ${name} for ${reply.cost} cr`;
+    });
+  }
+
+  // Send a shipyard request; the server replies with the ship's new hull,
+  // shields and warp drive, and our inventory follows separately
+  refit(event, id, describe) {
+    const station = this.station;
+    this.socket.emit(event, id, (reply) => {
+      if (this.station !== station) return;
+      if (!reply.ok) {
+        this.showMessage(reply.reason, true);
+        return;
+      }
+
+      this.onRefit(reply);
+      if (describe) {
+        this.showMessage(describe(reply));
+      } else if (reply.refund !== undefined) {
+        this.showMessage(`Sold back for ${reply.refund} cr`);
+      } else {
+        this.showMessage(`Installed for ${reply.cost} cr`);
+      }
+    });
+  }
+
+  setMissions(missions) {
+    this.missions = missions;
+    this.renderMissions();
+  }
+
+  refreshOffers() {
+    const station = this.station;
+    this.socket.emit("getMissions", station.id, (reply) => {
+      if (this.station !== station) return;
+      if (!reply.ok) {
+        this.showMessage(reply.reason, true);
+        return;
+      }
+      this.offers = reply.offers;
+      this.renderMissions();
+    });
+  }
+
+  renderMissions() {
+    if (!this.station || !this.missions) return;
+    const { reputation, active, maxActive } = this.missions;
+    this.reputation.textContent =
+      `Reputation: ${reputation} · ` +
+      `Contracts taken: ${active.length} / ${maxActive}`;
+
+    this.offerTable.innerHTML = `
+      <tr style="color: #aaaaaa; text-align: left;">
+        <th>Offer</th><th>Reward</th><th>Time</th><th></th>
+      </tr>
+    `;
+    (this.offers || []).forEach((offer) => {
+      const row = document.createElement("tr");
+      row.innerHTML = `
+        <td>
+          ${offer.title}
+          <div style="font-size: 12px; color: #aaaaaa;">
+            ${describeDestination(offer.destination)}
+          </div>
+        </td>
+        <td>${offer.reward} cr</td>
+        <td>${formatDuration(offer.timeLimit)}</td>
+      `;
+
+      const action = document.createElement("td");
+      if (reputation < offer.minReputation) {
+        action.textContent = `Needs ${offer.minReputation} rep`;
+        action.style.color = "#aaaaaa";
+      } else {
+        const button = document.createElement("button");
+        button.textContent = "Accept";
+        button.addEventListener("click", () => this.acceptMission(offer.id));
+        action.appendChild(button);
+      }
+      row.appendChild(action);
+      this.offerTable.appendChild(row);
+    });
+
+    this.activeTable.innerHTML = "";
+    if (active.length === 0) return;
+    this.activeTable.innerHTML = `
+      <tr style="color: #aaaaaa; text-align: left;">
+        <th>Accepted</th><th>Reward</th><th></th>
+      </tr>
+    `;
+    active.forEach((mission) => {
+      const row = document.createElement("tr");
+      row.innerHTML = `
+        <td>
+          ${mission.title}
+          <div style="font-size: 12px; color: #aaaaaa;">
+            ${describeDestination(mission.destination)}
+          </div>
+        </td>
+        <td>${mission.reward} cr</td>
+      `;
+
+      const actions = document.createElement("td");
+      const plot = document.createElement("button");
+      plot.textContent = "Plot course";
+      plot.addEventListener("click", () => {
+        this.onPlotCourse(mission);
+        this.showMessage(`Course plotted to ${mission.destination.name}`);
+      });
+      actions.appendChild(plot);
+
+      const abandon = document.createElement("button");
+      abandon.textContent = "Abandon";
+      abandon.style.marginLeft = "5px";
+      abandon.addEventListener("click", () => this.abandonMission(mission));
+      actions.appendChild(abandon);
+      row.appendChild(actions);
+      this.activeTable.appendChild(row);
+    });
+  }
+
+  acceptMission(offerId) {
+    const station = this.station;
+    this.socket.emit("acceptMission", offerId, (reply) => {
+      if (this.station !== station) return;
+      if (!reply.ok) {
+        this.showMessage(reply.reason, true);
+        return;
+      }
+      this.offers = reply.offers;
+      this.renderMissions();
+      this.showMessage(`Accepted: ${reply.mission.title}`);
+    });
+  }
+
+  // Our mission log follows separately
+  abandonMission(mission) {
+    this.socket.emit("abandonMission", mission.id, (reply) => {
+      if (!reply.ok) {
+        this.showMessage(reply.reason, true);
+        return;
+      }
+      this.showMessage(`Abandoned: ${mission.title}`);
+    });
+  }
+
+  // Units of a commodity in our hold
+  held(commodityId) {
+    if (!this.inventory) return 0;
+    const item = this.inventory.cargo.find((c) => c.id === commodityId);
+    return item ? item.quantity : 0;
+  }
+
+  renderMarket(market) {
+    this.market = market;
+    this.subtitle.textContent = `${this.system.name} system · ${market.economy} economy`;
+    this.marketTable.innerHTML = `
+      <tr style="color: #aaaaaa; text-align: left;">
+        <th>Commodity</th><th>Stock</th><th>Buy</th><th>Sell</th><th>Held</th>
+        <th></th>
+      </tr>
+    `;
+
+    market.commodities.forEach((commodity) => {
+      const row = document.createElement("tr");
+      row.innerHTML = `
+        <td>${commodity.name}</td>
+        <td>${commodity.stock}</td>
+        <td>${commodity.buyPrice}</td>
+        <td>${commodity.sellPrice}</td>
+        <td>${this.held(commodity.id)}</td>
+      `;
+
+      const actions = document.createElement("td");
+      ["buy", "sell"].forEach((action) => {
+        const button = document.createElement("button");
+        button.textContent = action === "buy" ? "Buy" : "Sell";
+        button.style.marginLeft = "5px";
+        button.addEventListener("click", () =>
+          this.trade(commodity.id, action)
+        );
+        actions.appendChild(button);
+      });
+      row.appendChild(actions);
+
+      this.marketTable.appendChild(row);
+    });
+  }
+
+  trade(commodityId, action) {
+    const station = this.station;
+    const order = {
+      stationId: station.id,
+      commodityId,
+      quantity: parseInt(this.quantityInput.value, 10),
+      action,
+    };
+
+    this.socket.emit("trade", order, (reply) => {
+      if (this.station !== station) return;
+      if (!reply.ok) {
+        this.showMessage(reply.reason, true);
+        return;
+      }
+
+      const { quantity, total } = reply.trade;
+      this.showMessage(
+        `${action === "buy" ? "Bought" : "Sold"} ${quantity} for ${total} cr`
+      );
+      this.renderMarket(reply.market);
+    });
+  }
+
+  // Buy as much warp drive energy as we can afford
+  refuel() {
+    const station = this.station;
+    this.socket.emit("refuel", (reply) => {
+      if (this.station !== station) return;
+      if (!reply.ok) {
+        this.showMessage(reply.reason, true);
+        return;
+      }
+      this.showMessage(
+        `Refuelled ${Math.round(reply.energy)} energy for ${reply.cost} cr`
+      );
+
+      // The fuel came off the station's market
+      this.refreshMarket();
+    });
+  }
+
+  showMessage(text, isError = false) {
+    this.message.textContent = text;
+    this.message.style.color = isError ? "#ff6666" : "#00ff88";
+  }
+}
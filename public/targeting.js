@@ -0,0 +1,256 @@
+import * as THREE from "three";
+
+const { combat } = window.SpaceShared;
+
+// The order the target key cycles through: nearest of each kind in turn
+export const TARGET_KINDS = ["ship", "station", "star"];
+
+const KIND_LABELS = { ship: "SHIP", station: "STATION", star: "STAR" };
+
+const BRACKET_COLOR = 0xffaa00;
+
+// The bracket covers this fraction of the view's height whatever the
+// distance, but never less than the object itself
+const BRACKET_SCREEN_SIZE = 0.03;
+
+// Off-screen indicators sit this far (px) inside the screen edge
+const EDGE_MARGIN = 30;
+
+// Corner brackets around a unit square, drawn as line segments
+function createBracket() {
+  const corner = 0.4;
+  const points = [];
+  [
+    [-1, -1],
+    [1, -1],
+    [1, 1],
+    [-1, 1],
+  ].forEach(([x, y]) => {
+    points.push(new THREE.Vector3(x, y, 0));
+    points.push(new THREE.Vector3(x - x * corner, y, 0));
+    points.push(new THREE.Vector3(x, y, 0));
+    points.push(new THREE.Vector3(x, y - y * corner, 0));
+  });
+
+  const bracket = new THREE.LineSegments(
+    new THREE.BufferGeometry().setFromPoints(points),
+    new THREE.LineBasicMaterial({
+      color: BRACKET_COLOR,
+      depthTest: false,
+      transparent: true,
+    })
+  );
+  bracket.renderOrder = 1;
+  bracket.visible = false;
+  return bracket;
+}
+
+// Target selection and its readouts: a bracket around the target in the
+// scene, an arrow on the screen edge when it's out of view, and a panel
+// with its distance and relative motion.
+//
+// `findTargets(kind)` lists everything of a kind that can be targeted, as
+// [{ id, kind, name, position, velocity, radius }] in galaxy coordinates.
+export class Targeting {
+  constructor(scene, camera, findTargets) {
+    this.scene = scene;
+    this.camera = camera;
+    this.findTargets = findTargets;
+    this.selected = null; // { kind, id }
+
+    this.bracket = createBracket();
+    this.scene.add(this.bracket);
+    this.createElements();
+  }
+
+  createElements() {
+    this.panel = document.createElement("div");
+    this.panel.style.position = "absolute";
+    this.panel.style.bottom = "20px";
+    this.panel.style.right = "20px";
+    this.panel.style.minWidth = "200px";
+    this.panel.style.color = "white";
+    this.panel.style.fontFamily = "Arial, sans-serif";
+    this.panel.style.padding = "10px";
+    this.panel.style.backgroundColor = "rgba(0, 0, 0, 0.5)";
+    this.panel.style.borderRadius = "5px";
+    this.panel.style.zIndex = "100";
+    this.panel.style.display = "none";
+    document.body.appendChild(this.panel);
+
+    this.panelHeader = document.createElement("div");
+    this.panelHeader.style.fontSize = "12px";
+    this.panelHeader.style.color = "#ffaa00";
+    this.panel.appendChild(this.panelHeader);
+
+    // Ship targets are named by their pilots, so the name is only ever set
+    // as text
+    this.panelName = document.createElement("div");
+    this.panelName.style.fontSize = "16px";
+    this.panelName.style.fontWeight = "bold";
+    this.panel.appendChild(this.panelName);
+
+    this.panelDetails = document.createElement("div");
+    this.panel.appendChild(this.panelDetails);
+
+    this.edgeIndicator = document.createElement("div");
+    this.edgeIndicator.textContent = "▲";
+    this.edgeIndicator.style.position = "absolute";
+    this.edgeIndicator.style.color = "#ffaa00";
+    this.edgeIndicator.style.fontSize = "24px";
+    this.edgeIndicator.style.pointerEvents = "none";
+    this.edgeIndicator.style.zIndex = "100";
+    this.edgeIndicator.style.display = "none";
+    document.body.appendChild(this.edgeIndicator);
+  }
+
+  // Select the nearest target of the next kind that has any, starting from
+  // the kind after the current target's
+  cycle(shipPosition) {
+    const start = this.selected
+      ? TARGET_KINDS.indexOf(this.selected.kind) + 1
+      : 0;
+
+    for (let i = 0; i < TARGET_KINDS.length; i++) {
+      const kind = TARGET_KINDS[(start + i) % TARGET_KINDS.length];
+      const nearest = this.nearest(kind, shipPosition);
+      if (nearest) {
+        this.selected = { kind, id: nearest.id };
+        return;
+      }
+    }
+    this.clear();
+  }
+
+  nearest(kind, shipPosition) {
+    let best = null;
+    let bestDistance = Infinity;
+    this.findTargets(kind).forEach((target) => {
+      const distance = shipPosition.distanceTo(target.position);
+      if (distance < bestDistance) {
+        best = target;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  clear() {
+    this.selected = null;
+  }
+
+  // The selected target's current state, or null if it has gone
+  current() {
+    if (!this.selected) return null;
+    const { kind, id } = this.selected;
+    return this.findTargets(kind).find((target) => target.id === id) || null;
+  }
+
+  // Refresh the bracket, edge indicator and panel. `worldOrigin` is the
+  // floating origin the scene is drawn around, and `cycleKey` names
+  // whatever the target key is bound to.
+  update({ shipPosition, shipVelocity, worldOrigin, showUI, cycleKey }) {
+    const target = this.current();
+    if (!target) {
+      // The ship was destroyed or went out of range
+      this.selected = null;
+      this.bracket.visible = false;
+      this.panel.style.display = "none";
+      this.edgeIndicator.style.display = "none";
+      return;
+    }
+
+    const position = new THREE.Vector3(
+      target.position.x,
+      target.position.y,
+      target.position.z
+    );
+    const offset = position.clone().sub(shipPosition);
+    const distance = offset.length();
+    const relativeVelocity = new THREE.Vector3(
+      target.velocity.x - shipVelocity.x,
+      target.velocity.y - shipVelocity.y,
+      target.velocity.z - shipVelocity.z
+    );
+    const closingSpeed =
+      distance > 0 ? -relativeVelocity.dot(offset) / distance : 0;
+
+    this.updateBracket(target, position.sub(worldOrigin), distance);
+    this.updatePanel(
+      target,
+      distance,
+      relativeVelocity,
+      closingSpeed,
+      cycleKey
+    );
+    this.panel.style.display = showUI ? "block" : "none";
+    if (!showUI) this.edgeIndicator.style.display = "none";
+  }
+
+  // Face the camera and keep a constant size on screen
+  updateBracket(target, scenePosition, distance) {
+    const size = Math.max(target.radius * 1.3, distance * BRACKET_SCREEN_SIZE);
+    this.bracket.position.copy(scenePosition);
+    this.camera.getWorldQuaternion(this.bracket.quaternion);
+    this.bracket.scale.setScalar(size);
+
+    // Project into normalized device coordinates to see if it's on screen
+    const projected = scenePosition.clone().project(this.camera);
+    const behind = projected.z > 1;
+    const onScreen =
+      !behind && Math.abs(projected.x) <= 1 && Math.abs(projected.y) <= 1;
+
+    this.bracket.visible = onScreen;
+    if (onScreen) {
+      this.edgeIndicator.style.display = "none";
+      return;
+    }
+
+    // Points behind the camera project mirrored, so flip them back
+    let x = behind ? -projected.x : projected.x;
+    let y = behind ? -projected.y : projected.y;
+    const scale = 1 / Math.max(Math.abs(x), Math.abs(y), 1e-6);
+    x *= scale;
+    y *= scale;
+
+    const halfWidth = window.innerWidth / 2 - EDGE_MARGIN;
+    const halfHeight = window.innerHeight / 2 - EDGE_MARGIN;
+    const angle = Math.atan2(x * halfWidth, y * halfHeight);
+    this.edgeIndicator.style.left = `${
+      window.innerWidth / 2 + x * halfWidth
+    }px`;
+    this.edgeIndicator.style.top = `${
+      window.innerHeight / 2 - y * halfHeight
+    }px`;
+    this.edgeIndicator.style.transform = `translate(-50%, -50%) rotate(${angle}rad)`;
+    this.edgeIndicator.style.display = "block";
+  }
+
+  updatePanel(target, distance, relativeVelocity, closingSpeed, cycleKey) {
+    const laser = combat.WEAPONS.laser;
+    const inRange = target.kind === "ship" && distance <= laser.range;
+
+    this.panelHeader.textContent = `TARGET · ${
+      KIND_LABELS[target.kind]
+    } (${cycleKey} to cycle)`;
+    this.panelName.textContent = target.name;
+    this.panelDetails.innerHTML = `
+      <div style="font-size: 12px;">
+        Distance ${Math.round(distance).toLocaleString()} u
+      </div>
+      <div style="font-size: 12px;">
+        Relative velocity ${Math.round(
+          relativeVelocity.length()
+        ).toLocaleString()} u/s
+      </div>
+      <div style="font-size: 12px; color: ${
+        closingSpeed > 0 ? "#ffaa00" : "#aaaaaa"
+      };">
+        Closing ${Math.round(closingSpeed).toLocaleString()} u/s
+      </div>
+      <div style="font-size: 12px; color: #ff6666;">
+        ${inRange ? "IN LASER RANGE" : ""}
+      </div>
+    `;
+  }
+}
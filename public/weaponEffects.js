@@ -0,0 +1,102 @@
+import * as THREE from "three";
+
+const { combat } = window.SpaceShared;
+
+// How long a laser beam stays on screen (ms)
+const BEAM_DURATION = 150;
+
+const BOLT_COLOR = 0x66ffcc;
+const LASER_COLOR = 0xff3344;
+
+// Laser beams and plasma bolts fired by any ship we can see. The server
+// decides what they hit; this only draws them. Everything lives under
+// `parent` in world coordinates.
+export class WeaponEffects {
+  constructor(parent) {
+    this.parent = parent;
+    this.beams = []; // { line, firedAt }
+    this.bolts = new Map(); // Projectile id -> { mesh, position, velocity, time, expiresAt }
+
+    this.boltGeometry = new THREE.SphereGeometry(
+      combat.WEAPONS.plasma.radius,
+      8,
+      8
+    );
+    this.boltMaterial = new THREE.MeshBasicMaterial({
+      color: BOLT_COLOR,
+      transparent: true,
+      opacity: 0.9,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+    });
+  }
+
+  addBeam(from, to, now) {
+    const geometry = new THREE.BufferGeometry().setFromPoints([
+      new THREE.Vector3(from.x, from.y, from.z),
+      new THREE.Vector3(to.x, to.y, to.z),
+    ]);
+    const line = new THREE.Line(
+      geometry,
+      new THREE.LineBasicMaterial({
+        color: LASER_COLOR,
+        transparent: true,
+        opacity: 1,
+        blending: THREE.AdditiveBlending,
+      })
+    );
+    this.parent.add(line);
+    this.beams.push({ line, firedAt: now });
+  }
+
+  // A bolt the server launched at `time` (server ms); it is drawn moving in
+  // a straight line until the server says it's gone
+  addBolt({ id, position, velocity, time }) {
+    const mesh = new THREE.Mesh(this.boltGeometry, this.boltMaterial);
+    this.parent.add(mesh);
+    this.bolts.set(id, {
+      mesh,
+      position,
+      velocity,
+      time,
+      expiresAt: time + combat.WEAPONS.plasma.lifetime * 1000,
+    });
+  }
+
+  removeBolt(id) {
+    const bolt = this.bolts.get(id);
+    if (!bolt) return;
+    this.parent.remove(bolt.mesh);
+    this.bolts.delete(id);
+  }
+
+  // Fade beams and move bolts. `now` is local time for the beams and
+  // `serverTime` the server clock for the bolts.
+  update(now, serverTime) {
+    this.beams = this.beams.filter(({ line, firedAt }) => {
+      const age = now - firedAt;
+      if (age < BEAM_DURATION) {
+        line.material.opacity = 1 - age / BEAM_DURATION;
+        return true;
+      }
+      this.parent.remove(line);
+      line.geometry.dispose();
+      line.material.dispose();
+      return false;
+    });
+
+    this.bolts.forEach((bolt, id) => {
+      // Missed removals shouldn't leave bolts flying forever
+      if (serverTime > bolt.expiresAt) {
+        this.removeBolt(id);
+        return;
+      }
+      const elapsed = Math.max(0, serverTime - bolt.time) / 1000;
+      bolt.mesh.position.set(
+        bolt.position.x + bolt.velocity.x * elapsed,
+        bolt.position.y + bolt.velocity.y * elapsed,
+        bolt.position.z + bolt.velocity.z * elapsed
+      );
+    });
+  }
+}
@@ -0,0 +1,139 @@
+const CHANNELS = ["global", "local", "direct"];
+
+const MAX_MESSAGE_LENGTH = 200;
+
+// Local chat reaches every ship within this many units of the sender
+const LOCAL_CHAT_RADIUS = 10000;
+
+// Each pilot may send a burst of messages, then this many per second
+const MESSAGES_PER_SECOND = 1;
+const MESSAGE_BURST = 5;
+
+// Words masked out of every message, along with anything built on them
+const BLOCKED_WORDS = ["fuck", "shit", "cunt", "bitch", "asshole", "bastard"];
+const BLOCKED_PATTERN = new RegExp(
+  `\\b(?:${BLOCKED_WORDS.join("|")})\\w*`,
+  "gi"
+);
+
+// Messages are plain text: markup and control characters are stripped,
+// whitespace collapsed and blocked words masked. Returns null if nothing
+// is left.
+function sanitizeMessage(text) {
+  if (typeof text !== "string") return null;
+  const clean = text
+    .replace(/<[^>]*>/g, "")
+    .replace(/[<>]/g, "")
+    .replace(/[\u0000-\u001f\u007f]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(BLOCKED_PATTERN, (word) => "*".repeat(word.length));
+  return clean.length > 0 ? clean : null;
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+// Chat between pilots: validates and cleans messages, rate limits senders
+// and works out who each message reaches. The server does the sending.
+class Chat {
+  constructor() {
+    this.allowances = new Map(); // Player id -> { messages, updatedAt }
+  }
+
+  // Spend one message of a player's allowance, if they have one left
+  allow(playerId, now) {
+    const allowance = this.allowances.get(playerId) || {
+      messages: MESSAGE_BURST,
+      updatedAt: now,
+    };
+    allowance.messages = Math.min(
+      MESSAGE_BURST,
+      allowance.messages +
+        ((now - allowance.updatedAt) / 1000) * MESSAGES_PER_SECOND
+    );
+    allowance.updatedAt = now;
+    this.allowances.set(playerId, allowance);
+
+    if (allowance.messages < 1) return false;
+    allowance.messages -= 1;
+    return true;
+  }
+
+  // Check a chat request ({ channel, text, to }) from `sender` against the
+  // online `players`. Returns { ok: true, message, recipients } (the sender
+  // is always a recipient) or { ok: false, reason }.
+  send(sender, request, players, now = Date.now()) {
+    if (!request || !CHANNELS.includes(request.channel)) {
+      return { ok: false, reason: "Unknown channel" };
+    }
+    if (
+      typeof request.text !== "string" ||
+      request.text.length > MAX_MESSAGE_LENGTH
+    ) {
+      return {
+        ok: false,
+        reason: `Messages are limited to ${MAX_MESSAGE_LENGTH} characters`,
+      };
+    }
+
+    const text = sanitizeMessage(request.text);
+    if (!text) return { ok: false, reason: "Empty message" };
+
+    const online = players.filter((player) => player.socketId);
+    let target = null;
+    let recipients;
+    if (request.channel === "global") {
+      recipients = online;
+    } else if (request.channel === "local") {
+      recipients = online.filter(
+        (player) =>
+          distance(player.state.position, sender.state.position) <=
+          LOCAL_CHAT_RADIUS
+      );
+    } else {
+      const name = typeof request.to === "string" ? request.to.trim() : "";
+      target = online.find(
+        (player) => player.name.toLowerCase() === name.toLowerCase()
+      );
+      if (!target) {
+        return { ok: false, reason: `No pilot called ${name} is online` };
+      }
+      if (target === sender) {
+        return { ok: false, reason: "You can't message yourself" };
+      }
+      recipients = [sender, target];
+    }
+
+    if (!this.allow(sender.id, now)) {
+      return { ok: false, reason: "You're sending messages too quickly" };
+    }
+
+    if (!recipients.includes(sender)) recipients.push(sender);
+    return {
+      ok: true,
+      message: {
+        channel: request.channel,
+        fromId: sender.id,
+        from: sender.name,
+        to: target ? target.name : null,
+        text,
+        time: now,
+      },
+      recipients,
+    };
+  }
+
+  removePlayer(playerId) {
+    this.allowances.delete(playerId);
+  }
+}
+
+module.exports = {
+  CHANNELS,
+  MAX_MESSAGE_LENGTH,
+  LOCAL_CHAT_RADIUS,
+  Chat,
+  sanitizeMessage,
+};
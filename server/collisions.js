@@ -0,0 +1,296 @@
+const collision = require("../shared/collision");
+const starSystemGenerator = require("../shared/starSystems");
+const world = require("./world");
+const { SpatialGrid } = require("./spatialGrid");
+
+// Grid cell size for finding ships that touch each other
+const SHIP_CELL_SIZE = 1000;
+
+// Extra room around a system's outermost body before it needs checking
+const SYSTEM_MARGIN = 1000;
+
+const ORIGIN = { x: 0, y: 0, z: 0 };
+
+// Everything a ship can fly into. Each body knows where it is at a given
+// orbit time; stars and the core burn up whatever touches them.
+const coreBody = {
+  kind: "core",
+  name: "Galactic Core",
+  radius: collision.CORE_RADIUS,
+  fatal: true,
+  positionAt: () => ORIGIN,
+};
+
+function systemBodies(system) {
+  const bodies = [
+    {
+      kind: "star",
+      name: system.name,
+      radius: system.starRadius,
+      fatal: true,
+      positionAt: () => system.position,
+    },
+  ];
+
+  system.planets.forEach((planet) => {
+    bodies.push({
+      kind: "planet",
+      name: planet.name,
+      radius: planet.radius,
+      positionAt: (time) =>
+        starSystemGenerator.planetPosition(system, planet, time),
+    });
+    planet.moons.forEach((moon) => {
+      bodies.push({
+        kind: "moon",
+        name: moon.name,
+        radius: moon.radius,
+        positionAt: (time) =>
+          starSystemGenerator.moonPosition(system, planet, moon, time),
+      });
+    });
+  });
+
+  system.stations.forEach((station) => {
+    bodies.push({
+      kind: "station",
+      name: station.name,
+      radius: station.radius,
+      positionAt: (time) =>
+        starSystemGenerator.stationPosition(system, station, time),
+    });
+  });
+
+  return bodies;
+}
+
+// Furthest any of a body's satellites can get from it
+function orbitReach(orbit, radius) {
+  return orbit.semiMajorAxis * (1 + orbit.eccentricity) + radius;
+}
+
+// Radius around a system's star that holds everything in it
+function systemReach(system) {
+  let reach = system.starRadius;
+  system.planets.forEach((planet) => {
+    let planetReach = planet.radius;
+    planet.moons.forEach((moon) => {
+      planetReach = Math.max(planetReach, orbitReach(moon.orbit, moon.radius));
+    });
+    system.stations.forEach((station) => {
+      if (station.parentId !== planet.id) return;
+      planetReach = Math.max(
+        planetReach,
+        orbitReach(station.orbit, station.radius)
+      );
+    });
+    reach = Math.max(reach, orbitReach(planet.orbit, planetReach));
+  });
+  return reach + SYSTEM_MARGIN;
+}
+
+// Broad phase for the world: a ship only tests the bodies of systems whose
+// bounding sphere its path passes through
+const systems = world.starSystems.map((system) => ({
+  center: system.position,
+  reach: systemReach(system),
+  bodies: systemBodies(system),
+}));
+
+const heatSources = collision.heatSources(world.starSystems);
+
+// The first body a sphere of `radius` touches moving from `from` to `to`
+// at orbit `time`, as { t, body, center } (t along the path, 0 to 1), or
+// null if the path is clear
+function sweepWorld(from, to, radius, time) {
+  let first = null;
+
+  const check = (body) => {
+    const center = body.positionAt(time);
+    const t = collision.sweepSphere(from, to, center, body.radius + radius);
+    if (t >= 0 && (!first || t < first.t)) first = { t, body, center };
+  };
+
+  check(coreBody);
+  systems.forEach((system) => {
+    if (collision.sweepSphere(from, to, system.center, system.reach) < 0) {
+      return;
+    }
+    system.bodies.forEach(check);
+  });
+  return first;
+}
+
+// Resolves ships hitting the world and each other. Bodies are checked
+// along the path a ship flew during a step, so fast ships can't skip
+// through them; ships are checked against each other once per tick.
+class CollisionSystem {
+  constructor() {
+    this.shipGrid = new SpatialGrid(SHIP_CELL_SIZE);
+  }
+
+  // Check the path a ship just flew (from `from` to where it is now) and
+  // bounce it off the first thing it hit. Returns the hit
+  // ({ kind, name, impactSpeed, damage, fatal, position }) or null.
+  collideWithWorld(player, from, now = Date.now()) {
+    const time = starSystemGenerator.orbitTime(now);
+    const first = sweepWorld(
+      from,
+      player.state.position,
+      collision.SHIP_RADIUS,
+      time
+    );
+    if (!first) return null;
+    return this.bounceOffBody(player.state, from, first, time);
+  }
+
+  // Put the ship back on the surface it hit and reflect the part of its
+  // velocity (relative to the body) that was heading into it
+  bounceOffBody(state, from, { t, body, center }, time) {
+    const contact = {
+      x: from.x + (state.position.x - from.x) * t,
+      y: from.y + (state.position.y - from.y) * t,
+      z: from.z + (state.position.z - from.z) * t,
+    };
+    const normal = direction(center, contact);
+    const surface = body.radius + collision.SHIP_RADIUS;
+    state.position.x = center.x + normal.x * surface;
+    state.position.y = center.y + normal.y * surface;
+    state.position.z = center.z + normal.z * surface;
+
+    // Orbiting bodies move; what matters is how fast we closed on them
+    const next = body.positionAt(time + 1);
+    const bodyVelocity = {
+      x: next.x - center.x,
+      y: next.y - center.y,
+      z: next.z - center.z,
+    };
+    const closing = -dot(
+      {
+        x: state.velocity.x - bodyVelocity.x,
+        y: state.velocity.y - bodyVelocity.y,
+        z: state.velocity.z - bodyVelocity.z,
+      },
+      normal
+    );
+    if (closing > 0) {
+      const push = (1 + collision.RESTITUTION) * closing;
+      state.velocity.x += normal.x * push;
+      state.velocity.y += normal.y * push;
+      state.velocity.z += normal.z * push;
+    }
+
+    const impactSpeed = Math.max(0, closing);
+    return {
+      kind: body.kind,
+      name: body.name,
+      impactSpeed,
+      damage: collision.impactDamage(impactSpeed),
+      fatal: Boolean(body.fatal),
+      position: { ...state.position },
+    };
+  }
+
+  // Hull lost to stars over `deltaTime` seconds at the ship's position.
+  // Returns { source, damage } or null when nothing is hot enough.
+  heatDamage(player, deltaTime) {
+    const heat = collision.heatAt(player.state.position, heatSources);
+    if (!heat) return null;
+    return {
+      source: heat.source,
+      damage: collision.HEAT_DAMAGE_RATE * heat.intensity * deltaTime,
+    };
+  }
+
+  // Push apart every pair of flying ships that overlap. Returns
+  // [{ players: [a, b], impactSpeed, damage, position }].
+  collideShips(players) {
+    const flying = {};
+    players.forEach((player) => {
+      if (player.dockedAt) {
+        this.shipGrid.remove(player.id);
+      } else {
+        this.shipGrid.update(player.id, player.state.position);
+        flying[player.id] = player;
+      }
+    });
+
+    const hits = [];
+    Object.values(flying).forEach((player) => {
+      this.shipGrid
+        .query(player.state.position, collision.SHIP_RADIUS * 2)
+        .forEach((id) => {
+          // Each pair once
+          if (id <= player.id || !flying[id]) return;
+          const other = flying[id];
+          const hit = this.bounceShips(player.state, other.state);
+          hits.push({ players: [player, other], ...hit });
+        });
+    });
+    return hits;
+  }
+
+  // Separate two overlapping ships of equal mass and exchange the part of
+  // their velocities along the line between them
+  bounceShips(a, b) {
+    const normal = direction(a.position, b.position);
+    const overlap =
+      collision.SHIP_RADIUS * 2 -
+      Math.hypot(
+        b.position.x - a.position.x,
+        b.position.y - a.position.y,
+        b.position.z - a.position.z
+      );
+    ["x", "y", "z"].forEach((axis) => {
+      a.position[axis] -= (normal[axis] * overlap) / 2;
+      b.position[axis] += (normal[axis] * overlap) / 2;
+    });
+
+    const closing = -dot(
+      {
+        x: b.velocity.x - a.velocity.x,
+        y: b.velocity.y - a.velocity.y,
+        z: b.velocity.z - a.velocity.z,
+      },
+      normal
+    );
+    if (closing > 0) {
+      const push = ((1 + collision.RESTITUTION) * closing) / 2;
+      ["x", "y", "z"].forEach((axis) => {
+        a.velocity[axis] -= normal[axis] * push;
+        b.velocity[axis] += normal[axis] * push;
+      });
+    }
+
+    const impactSpeed = Math.max(0, closing);
+    return {
+      impactSpeed,
+      damage: collision.impactDamage(impactSpeed),
+      position: {
+        x: (a.position.x + b.position.x) / 2,
+        y: (a.position.y + b.position.y) / 2,
+        z: (a.position.z + b.position.z) / 2,
+      },
+    };
+  }
+
+  removePlayer(playerId) {
+    this.shipGrid.remove(playerId);
+  }
+}
+
+// Unit vector from one point to another (straight up if they coincide)
+function direction(from, to) {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const dz = to.z - from.z;
+  const length = Math.hypot(dx, dy, dz);
+  if (length === 0) return { x: 0, y: 1, z: 0 };
+  return { x: dx / length, y: dy / length, z: dz / length };
+}
+
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+module.exports = { CollisionSystem, sweepWorld };
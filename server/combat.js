@@ -0,0 +1,273 @@
+const combat = require("../shared/combat");
+const collision = require("../shared/collision");
+const shipPhysics = require("../shared/shipPhysics");
+const starSystemGenerator = require("../shared/starSystems");
+const { sweepWorld } = require("./collisions");
+const world = require("./world");
+
+// Shots are checked against where targets were up to this long ago (ms),
+// so a lagging pilot hits what they saw but can't rewind any further
+const MAX_REWIND = 500;
+
+// How much position history (ms) to keep for rewinding
+const HISTORY_LENGTH = 1000;
+
+// Bolts are launched this far ahead of the ship so they don't hit it
+const MUZZLE_OFFSET = collision.SHIP_RADIUS * 2;
+
+function stationPositions(now) {
+  return [...world.stations.keys()].map((stationId) =>
+    world.stationPosition(stationId, now)
+  );
+}
+
+function inSafeZone(position, now) {
+  return combat.inSafeZone(position, stationPositions(now));
+}
+
+function createWeapons() {
+  const cooldowns = {};
+  Object.keys(combat.WEAPONS).forEach((id) => {
+    cooldowns[id] = 0;
+  });
+  return cooldowns;
+}
+
+// Server-side weapons: cooldowns, lag-compensated laser hits and the plasma
+// bolts in flight. Returns what happened for the server to apply and
+// broadcast, rather than touching hull or sockets itself.
+class Combat {
+  constructor() {
+    this.history = new Map(); // Player id -> [{ time, position }], oldest first
+    this.projectiles = new Map(); // Projectile id -> projectile
+    this.nextProjectileId = 1;
+  }
+
+  // Remember where every ship is, for rewinding targets later
+  recordPositions(players, now) {
+    players.forEach((player) => {
+      if (!this.history.has(player.id)) this.history.set(player.id, []);
+      const samples = this.history.get(player.id);
+      samples.push({ time: now, position: { ...player.state.position } });
+      while (samples.length > 0 && samples[0].time < now - HISTORY_LENGTH) {
+        samples.shift();
+      }
+    });
+  }
+
+  // Where a ship was at `time`, interpolated from its history
+  positionAt(player, time) {
+    const samples = this.history.get(player.id);
+    if (!samples || samples.length === 0) return player.state.position;
+    if (time <= samples[0].time) return samples[0].position;
+
+    for (let i = samples.length - 1; i > 0; i--) {
+      const before = samples[i - 1];
+      const after = samples[i];
+      if (time < before.time) continue;
+      if (time >= after.time) return after.position;
+
+      const alpha = (time - before.time) / (after.time - before.time);
+      return {
+        x: before.position.x + (after.position.x - before.position.x) * alpha,
+        y: before.position.y + (after.position.y - before.position.y) * alpha,
+        z: before.position.z + (after.position.z - before.position.z) * alpha,
+      };
+    }
+    return samples[samples.length - 1].position;
+  }
+
+  // Count weapon cooldowns down by `deltaTime` seconds
+  coolWeapons(player, deltaTime) {
+    Object.keys(player.weapons).forEach((id) => {
+      player.weapons[id] = Math.max(0, player.weapons[id] - deltaTime);
+    });
+  }
+
+  // Fire every weapon the input holds the trigger for that is ready.
+  // `targets` are the ships the shooter can see. Returns the shots fired:
+  // lasers as { weapon, from, to, target, damage }, bolts as
+  // { weapon, projectile }.
+  fire(shooter, input, targets, now = Date.now()) {
+    const ready = Object.keys(combat.WEAPONS).filter(
+      (id) => input.fire[id] && shooter.weapons[id] === 0
+    );
+    if (ready.length === 0) return [];
+    if (inSafeZone(shooter.state.position, now)) return [];
+
+    const direction = shipPhysics.rotateVector(
+      { x: 0, y: 0, z: -1 },
+      input.quaternion
+    );
+    return ready.map((id) => {
+      const weapon = combat.WEAPONS[id];
+      shooter.weapons[id] = weapon.cooldown;
+      return weapon.type === "hitscan"
+        ? this.fireLaser(shooter, weapon, direction, input, targets, now)
+        : this.launchProjectile(shooter, weapon, direction, now);
+    });
+  }
+
+  // Test the beam against every target where the shooter saw it
+  fireLaser(shooter, weapon, direction, input, targets, now) {
+    const viewTime =
+      input.viewTime === null
+        ? now
+        : Math.min(now, Math.max(now - MAX_REWIND, input.viewTime));
+    const from = { ...shooter.state.position };
+
+    let target = null;
+    let distance = weapon.range;
+    targets.forEach((candidate) => {
+      if (candidate.dockedAt) return;
+      const hit = combat.raySphere(
+        from,
+        direction,
+        weapon.range,
+        this.positionAt(candidate, viewTime),
+        combat.HIT_RADIUS
+      );
+      if (hit >= 0 && hit < distance) {
+        target = candidate;
+        distance = hit;
+      }
+    });
+
+    // Ships sheltering in a safe zone are immune
+    if (target && inSafeZone(target.state.position, now)) target = null;
+
+    return {
+      weapon,
+      from,
+      to: {
+        x: from.x + direction.x * distance,
+        y: from.y + direction.y * distance,
+        z: from.z + direction.z * distance,
+      },
+      target,
+      damage: target ? weapon.damage : 0,
+    };
+  }
+
+  launchProjectile(shooter, weapon, direction, now) {
+    const { position, velocity } = shooter.state;
+    const projectile = {
+      id: this.nextProjectileId++,
+      ownerId: shooter.id,
+      weapon,
+      position: {
+        x: position.x + direction.x * MUZZLE_OFFSET,
+        y: position.y + direction.y * MUZZLE_OFFSET,
+        z: position.z + direction.z * MUZZLE_OFFSET,
+      },
+      velocity: {
+        x: velocity.x + direction.x * weapon.speed,
+        y: velocity.y + direction.y * weapon.speed,
+        z: velocity.z + direction.z * weapon.speed,
+      },
+      firedAt: now,
+      expiresAt: now + weapon.lifetime * 1000,
+    };
+    this.projectiles.set(projectile.id, projectile);
+    return { weapon, projectile };
+  }
+
+  // Move every bolt along its path and check it against the ships and the
+  // bodies ships collide with. Returns the bolts that hit something or
+  // fizzled out, as [{ projectile, target, position }] (target is null
+  // when no ship was hit).
+  stepProjectiles(players, deltaTime, now = Date.now()) {
+    const time = starSystemGenerator.orbitTime(now);
+    const finished = [];
+    this.projectiles.forEach((projectile) => {
+      const from = projectile.position;
+      const to = {
+        x: from.x + projectile.velocity.x * deltaTime,
+        y: from.y + projectile.velocity.y * deltaTime,
+        z: from.z + projectile.velocity.z * deltaTime,
+      };
+
+      // Stars, planets and stations stop bolts, and shelter ships behind them
+      const body = sweepWorld(from, to, projectile.weapon.radius, time);
+      let target = null;
+      let first = body ? body.t : 2;
+      players.forEach((player) => {
+        if (player.id === projectile.ownerId || player.dockedAt) return;
+        const t = collision.sweepSphere(
+          from,
+          to,
+          player.state.position,
+          combat.HIT_RADIUS + projectile.weapon.radius
+        );
+        if (t >= 0 && t < first) {
+          target = player;
+          first = t;
+        }
+      });
+
+      if (target || body) {
+        const position = {
+          x: from.x + (to.x - from.x) * first,
+          y: from.y + (to.y - from.y) * first,
+          z: from.z + (to.z - from.z) * first,
+        };
+        if (target && inSafeZone(target.state.position, now)) target = null;
+        this.projectiles.delete(projectile.id);
+        finished.push({ projectile, target, position });
+      } else if (now >= projectile.expiresAt) {
+        this.projectiles.delete(projectile.id);
+        finished.push({ projectile, target: null, position: to });
+      } else {
+        projectile.position = to;
+      }
+    });
+    return finished;
+  }
+
+  removePlayer(playerId) {
+    this.history.delete(playerId);
+  }
+}
+
+// Shields recharge once the ship hasn't been hit for a while
+function rechargeShield(player, deltaTime) {
+  if (player.shieldDelay > 0) {
+    player.shieldDelay = Math.max(0, player.shieldDelay - deltaTime);
+    return;
+  }
+  player.shield = Math.min(
+    player.stats.maxShield,
+    player.shield + combat.SHIELD_RECHARGE_RATE * deltaTime
+  );
+}
+
+// Damage a ship's shields, then its hull. Returns true if no hull is left.
+function applyDamage(player, damage) {
+  const absorbed = Math.min(player.shield, damage);
+  player.shield -= absorbed;
+  player.shieldDelay = combat.SHIELD_RECHARGE_DELAY;
+  player.hull = Math.max(0, player.hull - (damage - absorbed));
+  return player.hull === 0;
+}
+
+// Start a destroyed ship over at the spawn point, at rest, with a fresh
+// hull, shields, weapons and warp drive
+function respawnShip(player) {
+  const { state } = player;
+  Object.assign(state.position, world.SPAWN_POSITION);
+  Object.assign(state.velocity, { x: 0, y: 0, z: 0 });
+  Object.assign(state.quaternion, { x: 0, y: 0, z: 0, w: 1 });
+  state.warpDrive = shipPhysics.createWarpDrive(player.stats.warp.capacity);
+  player.hull = player.stats.maxHull;
+  player.shield = player.stats.maxShield;
+  player.shieldDelay = 0;
+  player.weapons = createWeapons();
+}
+
+module.exports = {
+  Combat,
+  createWeapons,
+  rechargeShield,
+  applyDamage,
+  respawnShip,
+};
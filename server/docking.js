@@ -0,0 +1,106 @@
+const docking = require("../shared/docking");
+const shipPhysics = require("../shared/shipPhysics");
+const world = require("./world");
+
+// Warp drive energy bought with one unit of fuel at the station's price
+const ENERGY_PER_FUEL_UNIT = 10;
+
+// Validate a docking request and park the ship if it passes.
+// Returns { ok: true, stationId } or { ok: false, reason }.
+function dock(player, stationId, now = Date.now()) {
+  if (player.dockedAt) return { ok: false, reason: "Already docked" };
+
+  const port = world.stationPort(stationId, now);
+  if (!port) return { ok: false, reason: "Unknown station" };
+
+  const check = docking.checkDocking(player.state, port);
+  if (!check.ok) return check;
+
+  player.dockedAt = stationId;
+
+  // Inputs sent while approaching no longer apply, and the drive shuts down
+  player.inputQueue = [];
+  player.lastProcessedSeq = player.lastReceivedSeq;
+  Object.assign(player.state.warpDrive, {
+    phase: shipPhysics.WARP_IDLE,
+    timer: 0,
+  });
+
+  holdDockedShip(player, now);
+  return { ok: true, stationId };
+}
+
+// Launch a docked ship out of the port, pointing away from the station.
+// Returns { ok: true, state } with the ship's new state, or { ok: false }.
+function undock(player, now = Date.now()) {
+  if (!player.dockedAt) return { ok: false, reason: "Not docked" };
+
+  const port = world.stationPort(player.dockedAt, now);
+  const { position, direction, velocity } = port;
+  const { state } = player;
+
+  state.position.x = position.x + direction.x * docking.UNDOCK_DISTANCE;
+  state.position.y = position.y + direction.y * docking.UNDOCK_DISTANCE;
+  state.position.z = position.z + direction.z * docking.UNDOCK_DISTANCE;
+  state.velocity.x = velocity.x + direction.x * docking.UNDOCK_SPEED;
+  state.velocity.y = velocity.y + direction.y * docking.UNDOCK_SPEED;
+  state.velocity.z = velocity.z + direction.z * docking.UNDOCK_SPEED;
+
+  const orientation = shipPhysics.orientationFromDirection(direction);
+  Object.assign(state.quaternion, orientation.quaternion);
+
+  player.dockedAt = null;
+  player.inputQueue = [];
+  player.lastProcessedSeq = player.lastReceivedSeq;
+
+  return {
+    ok: true,
+    state: {
+      position: { ...state.position },
+      velocity: { ...state.velocity },
+      quaternion: { ...state.quaternion },
+      warpDrive: { ...state.warpDrive },
+    },
+    ack: player.lastProcessedSeq,
+  };
+}
+
+// Keep a docked ship parked in its station's port as the station orbits
+function holdDockedShip(player, now = Date.now()) {
+  const port = world.stationPort(player.dockedAt, now);
+  Object.assign(player.state.position, port.position);
+  Object.assign(player.state.velocity, { x: 0, y: 0, z: 0 });
+}
+
+// Fill a docked ship's warp drive with fuel bought from the station's
+// market, in whole units, as far as the station's stock and the player's
+// credits go. The purchase moves the market like any other trade.
+// Returns { ok: true, energy, cost } or { ok: false, reason }.
+function refuel(player, economy) {
+  if (!player.dockedAt) return { ok: false, reason: "Not docked" };
+
+  const drive = player.state.warpDrive;
+  const missing = player.stats.warp.capacity - drive.energy;
+  if (missing < 1) return { ok: false, reason: "Warp drive already full" };
+
+  const wanted = Math.ceil(missing / ENERGY_PER_FUEL_UNIT);
+  for (let units = wanted; units > 0; units--) {
+    const quote = economy.quoteTrade(player.dockedAt, "fuel", units, "buy");
+    if (!quote.ok || quote.total > player.inventory.credits) continue;
+
+    economy.commitTrade(quote);
+    player.inventory.credits -= quote.total;
+    const energy = Math.min(missing, units * ENERGY_PER_FUEL_UNIT);
+    drive.energy += energy;
+    return { ok: true, energy, cost: quote.total };
+  }
+
+  // Not even one unit: say whether the station or the wallet is short
+  const single = economy.quoteTrade(player.dockedAt, "fuel", 1, "buy");
+  return {
+    ok: false,
+    reason: single.ok ? "Not enough credits" : "No fuel for sale",
+  };
+}
+
+module.exports = { dock, undock, holdDockedShip, refuel };
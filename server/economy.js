@@ -0,0 +1,201 @@
+const { Rng } = require("../shared/random");
+
+// Everything that can be bought and sold
+const COMMODITIES = [
+  { id: "food", name: "Food", basePrice: 20 },
+  { id: "water", name: "Water", basePrice: 12 },
+  { id: "ore", name: "Ore", basePrice: 35 },
+  { id: "metals", name: "Refined Metals", basePrice: 80 },
+  { id: "fuel", name: "Fuel Cells", basePrice: 60 },
+  { id: "machinery", name: "Machinery", basePrice: 150 },
+  { id: "electronics", name: "Electronics", basePrice: 220 },
+  { id: "medicine", name: "Medicine", basePrice: 180 },
+  { id: "luxuries", name: "Luxury Goods", basePrice: 400 },
+];
+
+// What each kind of station produces (cheap there) and consumes (dear)
+const ECONOMY_TYPES = [
+  {
+    type: "agricultural",
+    produces: ["food", "water"],
+    consumes: ["machinery", "medicine", "electronics"],
+  },
+  {
+    type: "mining",
+    produces: ["ore", "water"],
+    consumes: ["food", "machinery", "fuel"],
+  },
+  {
+    type: "refinery",
+    produces: ["metals", "fuel"],
+    consumes: ["ore", "food"],
+  },
+  {
+    type: "industrial",
+    produces: ["machinery", "electronics"],
+    consumes: ["metals", "fuel", "food"],
+  },
+  {
+    type: "high-tech",
+    produces: ["electronics", "medicine", "luxuries"],
+    consumes: ["metals", "food", "water"],
+  },
+];
+
+// Stock level at which a commodity trades at its base price
+const REFERENCE_STOCK = 500;
+
+// How strongly prices react to stock levels
+const ELASTICITY = 0.8;
+
+// Prices never leave this range around the base price
+const MIN_PRICE_FACTOR = 0.25;
+const MAX_PRICE_FACTOR = 4;
+
+// Difference between what a station charges and what it pays
+const SPREAD = 0.05;
+
+// Fraction of the gap to the target stock recovered per second, and random
+// noise added on top so prices wander
+const RECOVERY_RATE = 0.002;
+const DRIFT_NOISE = 0.01;
+
+const MAX_TRADE_QUANTITY = 1000;
+
+// Per-station markets whose prices follow supply and demand. Player trades
+// move stock away from each station's target, and the market slowly drifts
+// back towards it.
+class Economy {
+  constructor(seed, stations) {
+    this.markets = new Map();
+    stations.forEach((station) => {
+      this.markets.set(station.id, this.createMarket(seed, station));
+    });
+  }
+
+  createMarket(seed, station) {
+    const rng = new Rng(seed, `market:${station.id}`);
+    const economy = rng.pick(ECONOMY_TYPES);
+    const commodities = {};
+
+    COMMODITIES.forEach((commodity) => {
+      // Producers keep plenty in stock, consumers very little
+      let targetStock = REFERENCE_STOCK * rng.range(0.7, 1.3);
+      if (economy.produces.includes(commodity.id)) {
+        targetStock *= rng.range(2.5, 4);
+      } else if (economy.consumes.includes(commodity.id)) {
+        targetStock *= rng.range(0.15, 0.35);
+      }
+
+      commodities[commodity.id] = {
+        stock: Math.round(targetStock),
+        targetStock,
+      };
+    });
+
+    return { stationId: station.id, economy: economy.type, commodities };
+  }
+
+  // Mid-market price for a given stock level
+  unitPrice(commodity, stock) {
+    const factor = Math.pow(REFERENCE_STOCK / Math.max(stock, 1), ELASTICITY);
+    return (
+      commodity.basePrice *
+      Math.min(MAX_PRICE_FACTOR, Math.max(MIN_PRICE_FACTOR, factor))
+    );
+  }
+
+  buyPrice(commodity, stock) {
+    return Math.ceil(this.unitPrice(commodity, stock) * (1 + SPREAD));
+  }
+
+  sellPrice(commodity, stock) {
+    return Math.floor(this.unitPrice(commodity, stock) * (1 - SPREAD));
+  }
+
+  // Public view of a station's market, or null if there is no such station
+  getMarket(stationId) {
+    const market = this.markets.get(stationId);
+    if (!market) return null;
+
+    return {
+      stationId,
+      economy: market.economy,
+      commodities: COMMODITIES.map((commodity) => {
+        const { stock } = market.commodities[commodity.id];
+        return {
+          id: commodity.id,
+          name: commodity.name,
+          stock: Math.floor(stock),
+          buyPrice: this.buyPrice(commodity, stock),
+          sellPrice: this.sellPrice(commodity, stock),
+        };
+      }),
+    };
+  }
+
+  // Validate a trade and price it unit by unit, so large orders pay for the
+  // price movement they cause. Returns the priced order with `ok: true`, or
+  // { ok: false, reason }. Nothing changes until commitTrade().
+  quoteTrade(stationId, commodityId, quantity, action) {
+    const market = this.markets.get(stationId);
+    if (!market) return { ok: false, reason: "Unknown station" };
+
+    const commodity = COMMODITIES.find((c) => c.id === commodityId);
+    if (!commodity) return { ok: false, reason: "Unknown commodity" };
+
+    if (
+      !Number.isInteger(quantity) ||
+      quantity <= 0 ||
+      quantity > MAX_TRADE_QUANTITY
+    ) {
+      return { ok: false, reason: "Invalid quantity" };
+    }
+
+    if (action !== "buy" && action !== "sell") {
+      return { ok: false, reason: "Invalid action" };
+    }
+
+    let stock = market.commodities[commodityId].stock;
+    if (action === "buy" && stock < quantity) {
+      return { ok: false, reason: "Not enough stock" };
+    }
+
+    let total = 0;
+    for (let i = 0; i < quantity; i++) {
+      if (action === "buy") {
+        total += this.buyPrice(commodity, stock);
+        stock -= 1;
+      } else {
+        total += this.sellPrice(commodity, stock);
+        stock += 1;
+      }
+    }
+
+    return { ok: true, stationId, commodityId, quantity, action, total };
+  }
+
+  // Apply a quote returned by quoteTrade() to the station's stock
+  commitTrade(quote) {
+    const entry = this.markets.get(quote.stationId).commodities[
+      quote.commodityId
+    ];
+    entry.stock += quote.action === "buy" ? -quote.quantity : quote.quantity;
+  }
+
+  // Drift every market back towards its target stock
+  tick(deltaTime) {
+    this.markets.forEach((market) => {
+      Object.values(market.commodities).forEach((entry) => {
+        const recovery =
+          (entry.targetStock - entry.stock) *
+          Math.min(1, RECOVERY_RATE * deltaTime);
+        const noise =
+          (Math.random() - 0.5) * DRIFT_NOISE * entry.targetStock * deltaTime;
+        entry.stock = Math.max(0, entry.stock + recovery + noise);
+      });
+    });
+  }
+}
+
+module.exports = { COMMODITIES, Economy };
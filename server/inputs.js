@@ -0,0 +1,52 @@
+const shipPhysics = require("../shared/shipPhysics");
+
+// Inputs waiting for the simulation beyond this are dropped
+const MAX_QUEUED_INPUTS = 60;
+
+// Steps a player may bank to absorb network jitter
+const MAX_INPUT_BURST = 10;
+
+// Validate an input intent from a client and queue it for the simulation
+// tick. Returns { ok: true } or { ok: false, seq, reason }.
+function queueInput(player, rawInput) {
+  const input = shipPhysics.sanitizeInput(rawInput);
+  if (!input || input.seq <= player.lastReceivedSeq) {
+    return { ok: false, seq: rawInput && rawInput.seq, reason: "invalid" };
+  }
+
+  if (player.inputQueue.length >= MAX_QUEUED_INPUTS) {
+    return { ok: false, seq: input.seq, reason: "flood" };
+  }
+
+  player.lastReceivedSeq = input.seq;
+  player.inputQueue.push(input);
+  return { ok: true };
+}
+
+// Each input is one fixed step, so a player may only consume as many
+// inputs as real time allows. This stops clients from speeding up time.
+function refillBudget(player, elapsed) {
+  player.inputBudget = Math.min(
+    MAX_INPUT_BURST,
+    player.inputBudget + elapsed / shipPhysics.FIXED_TIMESTEP
+  );
+}
+
+function canStep(player) {
+  return player.inputBudget >= 1 && player.inputQueue.length > 0;
+}
+
+// The next queued input, paid for out of the player's budget
+function takeInput(player) {
+  player.inputBudget -= 1;
+  return player.inputQueue.shift();
+}
+
+module.exports = {
+  MAX_QUEUED_INPUTS,
+  MAX_INPUT_BURST,
+  queueInput,
+  refillBudget,
+  canStep,
+  takeInput,
+};
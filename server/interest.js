@@ -0,0 +1,92 @@
+const { SpatialGrid } = require("./spatialGrid");
+
+// Ships further than this from a viewer are not replicated to it
+const DEFAULT_RELEVANCE_RADIUS = 100000;
+
+// Ships must get this much further away before they are dropped again, so
+// a ship hovering at the edge doesn't flicker in and out
+const LEAVE_MARGIN = 1.1;
+
+// Decides which players each viewer should know about, using a spatial
+// grid so the cost doesn't grow with the square of the player count
+class InterestManager {
+  constructor(options = {}) {
+    this.relevanceRadius = options.relevanceRadius || DEFAULT_RELEVANCE_RADIUS;
+    this.grid = new SpatialGrid(this.relevanceRadius);
+    this.visible = new Map(); // Viewer id -> Set of visible player ids
+  }
+
+  // Refresh the grid with everyone's current position
+  updatePositions(players) {
+    players.forEach((player) => {
+      this.grid.update(player.id, player.state.position);
+    });
+  }
+
+  visibleTo(viewerId) {
+    if (!this.visible.has(viewerId)) this.visible.set(viewerId, new Set());
+    return this.visible.get(viewerId);
+  }
+
+  // Recompute a viewer's visible set. Returns the ids that entered and left.
+  refresh(viewer, playersById) {
+    const visible = this.visibleTo(viewer.id);
+    const position = viewer.state.position;
+    const entered = [];
+    const left = [];
+
+    this.grid.query(position, this.relevanceRadius).forEach((id) => {
+      if (id === viewer.id || visible.has(id) || !playersById[id]) return;
+      visible.add(id);
+      entered.push(id);
+    });
+
+    const leaveRadiusSq = Math.pow(this.relevanceRadius * LEAVE_MARGIN, 2);
+    visible.forEach((id) => {
+      const other = playersById[id];
+      if (other) {
+        const dx = other.state.position.x - position.x;
+        const dy = other.state.position.y - position.y;
+        const dz = other.state.position.z - position.z;
+        if (dx * dx + dy * dy + dz * dz <= leaveRadiusSq) return;
+      }
+      visible.delete(id);
+      left.push(id);
+    });
+
+    return { entered, left };
+  }
+
+  // Start a viewer over with nothing visible, e.g. after its client
+  // reconnects and has to be told about every ship again
+  resetViewer(viewerId) {
+    this.visible.delete(viewerId);
+  }
+
+  // Viewers that can currently see a player
+  viewersOf(playerId) {
+    const viewers = [];
+    this.visible.forEach((visible, viewerId) => {
+      if (visible.has(playerId)) viewers.push(viewerId);
+    });
+    return viewers;
+  }
+
+  // Take a player out of every viewer's visible set, so it is announced
+  // afresh the next time it is in range. Returns the viewers that could
+  // see it.
+  hidePlayer(playerId) {
+    const viewers = this.viewersOf(playerId);
+    viewers.forEach((viewerId) => this.visible.get(viewerId).delete(playerId));
+    return viewers;
+  }
+
+  // Forget a player entirely. Returns the viewers that could see it.
+  removePlayer(playerId) {
+    this.grid.remove(playerId);
+    this.visible.delete(playerId);
+    return this.hidePlayer(playerId);
+  }
+}
+
+module.exports = { InterestManager };
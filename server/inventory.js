@@ -0,0 +1,99 @@
+const { COMMODITIES } = require("./economy");
+const ships = require("../shared/ships");
+
+const STARTING_CREDITS = 1000;
+
+// Every new pilot flies the starter hull with nothing installed
+function createInventory() {
+  return {
+    credits: STARTING_CREDITS,
+    cargo: {}, // Commodity id -> quantity
+    missionCargo: [], // { missionId, name, commodityId, quantity }
+    ship: ships.createShip(), // { hull, components }
+  };
+}
+
+// Saves from before hulls and components stored the ship's stats instead
+// of its loadout; those pilots get the starter hull. Saves from before
+// contracts carried cargo have none.
+function migrateInventory(inventory) {
+  if (!ships.isValidShip(inventory.ship)) inventory.ship = ships.createShip();
+  if (!Array.isArray(inventory.missionCargo)) inventory.missionCargo = [];
+  return inventory;
+}
+
+// Trade goods and contract cargo share the hold
+function cargoUsed(inventory) {
+  const goods = Object.values(inventory.cargo).reduce((sum, n) => sum + n, 0);
+  return inventory.missionCargo.reduce(
+    (sum, item) => sum + item.quantity,
+    goods
+  );
+}
+
+// Check that a trade quote from Economy.quoteTrade() fits the player's
+// wallet and hold. Returns { ok: true } or { ok: false, reason }.
+function checkTrade(inventory, quote) {
+  if (quote.action === "buy") {
+    if (quote.total > inventory.credits) {
+      return { ok: false, reason: "Not enough credits" };
+    }
+    const { cargoCapacity } = ships.shipStats(inventory.ship);
+    if (cargoUsed(inventory) + quote.quantity > cargoCapacity) {
+      return { ok: false, reason: "Not enough cargo space" };
+    }
+  } else if ((inventory.cargo[quote.commodityId] || 0) < quote.quantity) {
+    return { ok: false, reason: "Not enough cargo to sell" };
+  }
+  return { ok: true };
+}
+
+// Move credits and cargo for a quote that passed checkTrade()
+function applyTrade(inventory, quote) {
+  const held = inventory.cargo[quote.commodityId] || 0;
+
+  if (quote.action === "buy") {
+    inventory.credits -= quote.total;
+    inventory.cargo[quote.commodityId] = held + quote.quantity;
+  } else {
+    inventory.credits += quote.total;
+    inventory.cargo[quote.commodityId] = held - quote.quantity;
+  }
+
+  if (inventory.cargo[quote.commodityId] === 0) {
+    delete inventory.cargo[quote.commodityId];
+  }
+}
+
+// What the client is told about its own credits, hold and ship
+function serializeInventory(inventory) {
+  return {
+    credits: inventory.credits,
+    cargoUsed: cargoUsed(inventory),
+    cargo: COMMODITIES.filter((commodity) => inventory.cargo[commodity.id]).map(
+      (commodity) => ({
+        id: commodity.id,
+        name: commodity.name,
+        quantity: inventory.cargo[commodity.id],
+      })
+    ),
+    missionCargo: inventory.missionCargo.map(({ name, quantity }) => ({
+      name,
+      quantity,
+    })),
+    ship: {
+      ...ships.shipStats(inventory.ship),
+      components: [...inventory.ship.components],
+    },
+  };
+}
+
+module.exports = {
+  STARTING_CREDITS,
+  createInventory,
+  migrateInventory,
+  cargoUsed,
+  checkTrade,
+  applyTrade,
+  serializeInventory,
+};
@@ -0,0 +1,346 @@
+const crypto = require("crypto");
+const { Rng } = require("../shared/random");
+const world = require("./world");
+const { COMMODITIES } = require("./economy");
+const { cargoUsed } = require("./inventory");
+const ships = require("../shared/ships");
+
+// Contract boards hold this many offers, and unaccepted offers are replaced
+// after this long
+const OFFERS_PER_STATION = 4;
+const OFFER_LIFETIME_SECONDS = 600;
+
+const MAX_ACTIVE_MISSIONS = 3;
+
+// Time allowed to finish each kind of contract once accepted
+const TIME_LIMITS = {
+  delivery: 1800, // Seconds
+  courier: 600,
+  scout: 1200,
+};
+
+// Pay for each kind of contract before distance and tier are counted.
+// Deliveries also pay for the goods, which the pilot buys at the origin,
+// at well over their base price.
+const BASE_REWARDS = { delivery: 100, courier: 200, scout: 300 };
+const DELIVERY_PRICE_FACTOR = 1.5;
+
+// Credits for every 1000 units between the station and the destination
+const REWARD_PER_THOUSAND_UNITS = 0.5;
+
+// Reputation earned by finishing each kind of contract, and lost by
+// abandoning one or missing its deadline
+const REPUTATION_GAINS = { delivery: 3, courier: 2, scout: 2 };
+const REPUTATION_LOSS = 5;
+
+// Better-paid contracts only go to pilots with a good record
+const TIERS = [
+  { minReputation: 0, rewardFactor: 1, chance: 0.6 },
+  { minReputation: 10, rewardFactor: 1.5, chance: 0.3 },
+  { minReputation: 25, rewardFactor: 2.25, chance: 0.1 },
+];
+
+// Units of goods in a delivery
+const MIN_DELIVERY_QUANTITY = 5;
+const MAX_DELIVERY_QUANTITY = 20;
+
+// Hold space taken by a courier's sealed package
+const PACKAGE_SIZE = 1;
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+// Nebulae have no names of their own, so they go by catalogue number
+function nebulaName(nebula) {
+  return `Nebula N-${String(nebula.index).padStart(4, "0")}`;
+}
+
+// Every new pilot starts with no contracts and no reputation
+function createMissionLog() {
+  return { reputation: 0, active: [] };
+}
+
+function pickTier(rng) {
+  let roll = rng.next();
+  for (const tier of TIERS) {
+    if (roll < tier.chance) return tier;
+    roll -= tier.chance;
+  }
+  return TIERS[0];
+}
+
+// Where a contract leads: a station somewhere else in the galaxy, or a
+// nebula to scout. Positions are those of the star system (stations) or
+// the cloud's centre (nebulae).
+function pickDestination(rng, type, originId) {
+  if (type === "scout") {
+    const nebula = rng.pick(world.nebulae);
+    return {
+      kind: "nebula",
+      id: nebula.index,
+      name: nebulaName(nebula),
+      position: { ...nebula.position },
+      radius: nebula.size,
+    };
+  }
+
+  const others = [...world.stations.values()].filter(
+    ({ station }) => station.id !== originId
+  );
+  const { station, system } = rng.pick(others);
+  return {
+    kind: "station",
+    id: station.id,
+    name: station.name,
+    systemName: system.name,
+    position: { ...system.position },
+  };
+}
+
+// Station contracts offered to pilots. Each station's board is generated
+// when first looked at and topped up as offers are taken or expire. The
+// server tracks accepted contracts on each player's mission log.
+class MissionBoard {
+  constructor() {
+    this.boards = new Map(); // Station id -> offers
+  }
+
+  // A new contract from a station. Each offer is generated from its own id.
+  createOffer(stationId, now) {
+    const id = crypto.randomUUID();
+    const rng = new Rng(id, "mission");
+    const origin = world.stations.get(stationId);
+    const type = rng.pick(Object.keys(TIME_LIMITS));
+    const tier = pickTier(rng);
+    const destination = pickDestination(rng, type, stationId);
+    const range = distance(origin.system.position, destination.position);
+
+    let reward =
+      BASE_REWARDS[type] + (range / 1000) * REWARD_PER_THOUSAND_UNITS;
+    let title;
+    let commodity = null;
+    let quantity = 0;
+    if (type === "delivery") {
+      commodity = rng.pick(COMMODITIES);
+      quantity =
+        MIN_DELIVERY_QUANTITY +
+        rng.int(MAX_DELIVERY_QUANTITY - MIN_DELIVERY_QUANTITY + 1);
+      reward += quantity * commodity.basePrice * DELIVERY_PRICE_FACTOR;
+      title = `Deliver ${quantity} ${commodity.name} to ${destination.name}`;
+    } else if (type === "courier") {
+      title = `Courier a package to ${destination.name}`;
+    } else {
+      title = `Scout ${destination.name}`;
+    }
+
+    return {
+      id,
+      type,
+      title,
+      originId: stationId,
+      originName: origin.station.name,
+      destination,
+      commodityId: commodity ? commodity.id : null,
+      quantity,
+      reward: Math.round(reward * tier.rewardFactor),
+      reputation: REPUTATION_GAINS[type],
+      minReputation: tier.minReputation,
+      timeLimit: TIME_LIMITS[type],
+      expiresAt: now + OFFER_LIFETIME_SECONDS * 1000,
+    };
+  }
+
+  // The offers at a station, or null if there is no such station
+  offers(stationId, now = Date.now()) {
+    if (!world.stations.has(stationId)) return null;
+
+    const offers = (this.boards.get(stationId) || []).filter(
+      (offer) => offer.expiresAt > now
+    );
+    while (offers.length < OFFERS_PER_STATION) {
+      offers.push(this.createOffer(stationId, now));
+    }
+    this.boards.set(stationId, offers);
+    return offers;
+  }
+
+  // Take an offer from the board at the station the ship is docked at.
+  // Returns { ok: true, mission } or { ok: false, reason }.
+  accept(player, offerId, now = Date.now()) {
+    if (!player.dockedAt) return { ok: false, reason: "Not docked" };
+
+    const offers = this.offers(player.dockedAt, now);
+    const offer = offers.find((candidate) => candidate.id === offerId);
+    if (!offer) return { ok: false, reason: "That contract is gone" };
+
+    const log = player.missions;
+    if (log.active.length >= MAX_ACTIVE_MISSIONS) {
+      return {
+        ok: false,
+        reason: `You can only take ${MAX_ACTIVE_MISSIONS} contracts at once`,
+      };
+    }
+    if (log.reputation < offer.minReputation) {
+      return {
+        ok: false,
+        reason: `Needs ${offer.minReputation} reputation`,
+      };
+    }
+
+    const loaded = loadMissionCargo(player.inventory, offer);
+    if (!loaded.ok) return loaded;
+
+    offers.splice(offers.indexOf(offer), 1);
+    const { expiresAt, ...contract } = offer;
+    const mission = {
+      ...contract,
+      acceptedAt: now,
+      deadline: now + offer.timeLimit * 1000,
+    };
+    log.active.push(mission);
+    return { ok: true, mission };
+  }
+
+  // Give up on a contract, at the same cost to reputation as missing it.
+  // Returns { ok: true, mission } or { ok: false, reason }.
+  abandon(player, missionId) {
+    const mission = player.missions.active.find((m) => m.id === missionId);
+    if (!mission) return { ok: false, reason: "No such contract" };
+
+    fail(player, mission);
+    return { ok: true, mission };
+  }
+
+  // Finish contracts that end at the station the ship is docked at. Only
+  // the cargo loaded when the contract was accepted counts, never goods
+  // bought on arrival. Returns the contracts completed, each as
+  // { mission, reward }.
+  handIn(player) {
+    if (!player.dockedAt) return [];
+
+    const completed = [];
+    [...player.missions.active].forEach((mission) => {
+      const { destination } = mission;
+      if (destination.kind !== "station") return;
+      if (destination.id !== player.dockedAt) return;
+      if (!findMissionCargo(player.inventory, mission)) return;
+
+      completed.push(complete(player, mission));
+    });
+    return completed;
+  }
+
+  // Scout contracts finish once the ship is inside the nebula, and any
+  // contract past its deadline fails. Returns { completed, failed }.
+  update(player, now = Date.now()) {
+    const completed = [];
+    const failed = [];
+
+    [...player.missions.active].forEach((mission) => {
+      const { destination } = mission;
+      if (
+        destination.kind === "nebula" &&
+        distance(player.state.position, destination.position) <=
+          destination.radius
+      ) {
+        completed.push(complete(player, mission));
+      } else if (now > mission.deadline) {
+        fail(player, mission);
+        failed.push(mission);
+      }
+    });
+
+    return { completed, failed };
+  }
+}
+
+// Put a contract's cargo in the hold: a sealed package for a courier, or
+// for a delivery the goods, which must already be in the hold and are
+// sealed so they can't be sold on. Returns { ok: true } or
+// { ok: false, reason }.
+function loadMissionCargo(inventory, offer) {
+  if (offer.type === "courier") {
+    const { cargoCapacity } = ships.shipStats(inventory.ship);
+    if (cargoUsed(inventory) + PACKAGE_SIZE > cargoCapacity) {
+      return { ok: false, reason: "Not enough cargo space" };
+    }
+    inventory.missionCargo.push({
+      missionId: offer.id,
+      name: `Package for ${offer.destination.name}`,
+      commodityId: null,
+      quantity: PACKAGE_SIZE,
+    });
+  } else if (offer.type === "delivery") {
+    const commodity = COMMODITIES.find((c) => c.id === offer.commodityId);
+    const held = inventory.cargo[offer.commodityId] || 0;
+    if (held < offer.quantity) {
+      return {
+        ok: false,
+        reason: `Buy ${offer.quantity} ${commodity.name} here first`,
+      };
+    }
+    inventory.cargo[offer.commodityId] = held - offer.quantity;
+    if (inventory.cargo[offer.commodityId] === 0) {
+      delete inventory.cargo[offer.commodityId];
+    }
+    inventory.missionCargo.push({
+      missionId: offer.id,
+      name: `${commodity.name} for ${offer.destination.name}`,
+      commodityId: offer.commodityId,
+      quantity: offer.quantity,
+    });
+  }
+  return { ok: true };
+}
+
+function findMissionCargo(inventory, mission) {
+  return inventory.missionCargo.find((item) => item.missionId === mission.id);
+}
+
+function removeMission(player, mission) {
+  const log = player.missions;
+  log.active = log.active.filter((m) => m !== mission);
+
+  const { inventory } = player;
+  inventory.missionCargo = inventory.missionCargo.filter(
+    (item) => item.missionId !== mission.id
+  );
+}
+
+// Pay out a finished contract. Returns { mission, reward }.
+function complete(player, mission) {
+  removeMission(player, mission);
+  player.inventory.credits += mission.reward;
+  player.missions.reputation += mission.reputation;
+  return { mission, reward: mission.reward };
+}
+
+// A failed contract's package is forfeit, but delivery goods were the
+// pilot's own and go back to being ordinary cargo
+function fail(player, mission) {
+  const item = findMissionCargo(player.inventory, mission);
+  if (item && item.commodityId) {
+    const { cargo } = player.inventory;
+    cargo[item.commodityId] = (cargo[item.commodityId] || 0) + item.quantity;
+  }
+  removeMission(player, mission);
+  const log = player.missions;
+  log.reputation = Math.max(0, log.reputation - REPUTATION_LOSS);
+}
+
+// What the client is told about its own contracts
+function serializeMissionLog(log) {
+  return {
+    reputation: log.reputation,
+    maxActive: MAX_ACTIVE_MISSIONS,
+    active: log.active,
+  };
+}
+
+module.exports = {
+  MAX_ACTIVE_MISSIONS,
+  MissionBoard,
+  createMissionLog,
+  serializeMissionLog,
+};
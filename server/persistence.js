@@ -0,0 +1,112 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Writes are batched: a save marks the store dirty and it is written to
+// disk at most this often
+const FLUSH_DELAY_MS = 1000;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Player accounts held in memory. Any store must provide findByToken(),
+// findByName(), create() and save(); this one forgets everything when the
+// server stops.
+//
+// An account is { id, name, tokenHash, ship, dockedAt, inventory, missions },
+// where everything after tokenHash is null until the player is first saved.
+// Only a hash of the login token is kept.
+class MemoryStore {
+  constructor() {
+    this.accounts = new Map(); // Account id -> account
+    this.tokens = new Map(); // Token hash -> account id
+  }
+
+  findByToken(token) {
+    if (typeof token !== "string" || token === "") return null;
+    const id = this.tokens.get(hashToken(token));
+    return id ? this.accounts.get(id) : null;
+  }
+
+  // Names are matched ignoring case, so "Ace" and "ace" are one callsign
+  findByName(name) {
+    const wanted = String(name).toLowerCase();
+    for (const account of this.accounts.values()) {
+      if (account.name.toLowerCase() === wanted) return account;
+    }
+    return null;
+  }
+
+  // Register a new account. Returns it with the token the client must keep.
+  create(name) {
+    const token = crypto.randomBytes(24).toString("hex");
+    const account = {
+      id: crypto.randomUUID(),
+      name,
+      tokenHash: hashToken(token),
+      ship: null,
+      dockedAt: null,
+      inventory: null,
+      missions: null,
+    };
+    this.save(account);
+    return { account, token };
+  }
+
+  save(account) {
+    this.accounts.set(account.id, account);
+    this.tokens.set(account.tokenHash, account.id);
+  }
+
+  // Write out anything pending. Nothing to do in memory.
+  flush() {}
+}
+
+// Accounts kept in a JSON file so they survive restarts
+class FileStore extends MemoryStore {
+  constructor(file) {
+    super();
+    this.file = file;
+    this.flushTimer = null;
+
+    if (fs.existsSync(file)) {
+      JSON.parse(fs.readFileSync(file, "utf8")).forEach((account) => {
+        super.save(account);
+      });
+    }
+  }
+
+  save(account) {
+    super.save(account);
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), FLUSH_DELAY_MS);
+    }
+  }
+
+  // Write to a temporary file and rename it, so a crash mid-write never
+  // leaves a truncated save behind
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temporary = `${this.file}.tmp`;
+    fs.writeFileSync(
+      temporary,
+      JSON.stringify([...this.accounts.values()], null, 2)
+    );
+    fs.renameSync(temporary, this.file);
+  }
+}
+
+// Pick a store from the environment: PERSISTENCE=memory for throwaway
+// servers, otherwise a file under DATA_DIR
+function createStore() {
+  if (process.env.PERSISTENCE === "memory") return new MemoryStore();
+
+  const dataDir = process.env.DATA_DIR || path.join(__dirname, "../data");
+  return new FileStore(path.join(dataDir, "accounts.json"));
+}
+
+module.exports = { MemoryStore, FileStore, createStore };
@@ -0,0 +1,120 @@
+const snapshotCodec = require("../shared/snapshotCodec");
+
+const { FIELD_POSITION, FIELD_QUATERNION, FIELD_VELOCITY, ALL_FIELDS } =
+  snapshotCodec;
+
+// Changes smaller than these are not worth sending
+const POSITION_THRESHOLD = 0.01; // Units
+const QUATERNION_THRESHOLD = 0.0005; // Per component
+const VELOCITY_THRESHOLD = 0.05; // Units per second
+
+function copyVector(v) {
+  return { x: v.x, y: v.y, z: v.z };
+}
+
+function copyQuaternion(q) {
+  return { x: q.x, y: q.y, z: q.z, w: q.w };
+}
+
+function vectorChanged(a, b, threshold) {
+  return (
+    Math.abs(a.x - b.x) > threshold ||
+    Math.abs(a.y - b.y) > threshold ||
+    Math.abs(a.z - b.z) > threshold
+  );
+}
+
+function quaternionChanged(a, b) {
+  return (
+    Math.abs(a.x - b.x) > QUATERNION_THRESHOLD ||
+    Math.abs(a.y - b.y) > QUATERNION_THRESHOLD ||
+    Math.abs(a.z - b.z) > QUATERNION_THRESHOLD ||
+    Math.abs(a.w - b.w) > QUATERNION_THRESHOLD
+  );
+}
+
+// Builds per-viewer delta snapshots. For every viewer we remember the last
+// state sent for each other player, and only fields that moved beyond a
+// threshold since then are written. socket.io delivers messages in order,
+// so the client can always apply a delta on top of what it last received.
+class Replicator {
+  constructor() {
+    this.baselines = new Map(); // viewerId -> Map(playerId -> sent state)
+  }
+
+  removeViewer(viewerId) {
+    this.baselines.delete(viewerId);
+  }
+
+  // Forget a player everywhere, e.g. after it disconnects
+  forgetPlayer(playerId) {
+    this.baselines.forEach((sent) => sent.delete(playerId));
+  }
+
+  // Forget what one viewer was sent about a player, so it gets a full state
+  // again if the player comes back into range
+  forgetPlayerFor(viewerId, playerId) {
+    const sent = this.baselines.get(viewerId);
+    if (sent) sent.delete(playerId);
+  }
+
+  // Encode the snapshot `viewer` should receive for the given players
+  buildSnapshot(viewer, players, time) {
+    if (!this.baselines.has(viewer.id)) {
+      this.baselines.set(viewer.id, new Map());
+    }
+    const sent = this.baselines.get(viewer.id);
+
+    const entries = [];
+    players.forEach((player) => {
+      if (player.id === viewer.id) return;
+
+      const { position, quaternion, velocity } = player.state;
+      const baseline = sent.get(player.id);
+
+      let mask = ALL_FIELDS;
+      if (baseline) {
+        mask = 0;
+        if (vectorChanged(position, baseline.position, POSITION_THRESHOLD)) {
+          mask |= FIELD_POSITION;
+        }
+        if (quaternionChanged(quaternion, baseline.quaternion)) {
+          mask |= FIELD_QUATERNION;
+        }
+        if (vectorChanged(velocity, baseline.velocity, VELOCITY_THRESHOLD)) {
+          mask |= FIELD_VELOCITY;
+        }
+      }
+      if (mask === 0) return;
+
+      const next = baseline || {};
+      if (mask & FIELD_POSITION) next.position = copyVector(position);
+      if (mask & FIELD_QUATERNION) next.quaternion = copyQuaternion(quaternion);
+      if (mask & FIELD_VELOCITY) next.velocity = copyVector(velocity);
+      sent.set(player.id, next);
+
+      entries.push({
+        netId: player.netId,
+        mask,
+        position,
+        quaternion,
+        velocity,
+      });
+    });
+
+    return snapshotCodec.encodeSnapshot({
+      time,
+      ack: viewer.lastProcessedSeq,
+      self: {
+        position: viewer.state.position,
+        velocity: viewer.state.velocity,
+        warpDrive: viewer.state.warpDrive,
+        hull: viewer.hull,
+        shield: viewer.shield,
+      },
+      entries,
+    });
+  }
+}
+
+module.exports = { Replicator };
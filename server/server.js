@@ -2,6 +2,28 @@ const express = require("express");
 const http = require("http");
 const socketIO = require("socket.io");
 const path = require("path");
+const shipPhysics = require("../shared/shipPhysics");
+const snapshotCodec = require("../shared/snapshotCodec");
+const inputs = require("./inputs");
+const { Replicator } = require("./replication");
+const { InterestManager } = require("./interest");
+const world = require("./world");
+const { Economy } = require("./economy");
+const docking = require("./docking");
+const inventory = require("./inventory");
+const shipyard = require("./shipyard");
+const missions = require("./missions");
+const ships = require("../shared/ships");
+const { CollisionSystem } = require("./collisions");
+const {
+  Combat,
+  createWeapons,
+  rechargeShield,
+  applyDamage,
+  respawnShip,
+} = require("./combat");
+const { Chat } = require("./chat");
+const { createStore } = require("./persistence");
 
 const app = express();
 const server = http.createServer(app);
@@ -9,48 +31,837 @@ const io = socketIO(server);
 
 // Serve static files
 app.use("/public", express.static(path.join(__dirname, "../public")));
+app.use("/shared", express.static(path.join(__dirname, "../shared")));
 app.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, "../index.html"));
 });
 
-// Store connected players
+// Simulation settings
+const TICK_RATE = 60; // Simulation ticks per second
+const MAX_INPUTS_PER_MESSAGE = 30; // Inputs a client may batch together
+const SNAPSHOT_RATE = 20; // World snapshots sent per second
+const ECONOMY_TICK_SECONDS = 10; // How often markets drift
+const MISSION_CHECK_SECONDS = 1; // How often scouting and deadlines are checked
+const RECONNECT_GRACE_SECONDS = 60; // How long a dropped ship waits for its pilot
+const AUTOSAVE_SECONDS = 30; // How often every player is saved
+const MAX_NAME_LENGTH = 20;
+
+console.log(
+  `Galaxy "${world.GALAXY_SEED}" generated with ${world.starSystems.length} ` +
+    `star systems and ${world.stations.size} stations`
+);
+
+// Station markets
+const economy = new Economy(
+  world.GALAXY_SEED,
+  [...world.stations.values()].map(({ station }) => station)
+);
+
+// Station contract boards
+const missionBoard = new missions.MissionBoard();
+
+// Player accounts, saved across sessions
+const store = createStore();
+
+// Players in the world, keyed by account id. A player whose connection
+// dropped stays here for the reconnect grace period with socketId null.
 const players = {};
+const replicator = new Replicator();
+const interest = new InterestManager({
+  relevanceRadius: Number(process.env.RELEVANCE_RADIUS) || undefined,
+});
+const collisions = new CollisionSystem();
+const combat = new Combat();
+const chat = new Chat();
 
-io.on("connection", (socket) => {
-  console.log("New player connected:", socket.id);
-
-  // Create a new player
-  players[socket.id] = {
-    id: socket.id,
-    position: { x: 0, y: 0, z: 0 },
-    quaternion: { _x: 0, _y: 0, _z: 0, _w: 1 }, // Default identity quaternion
-    velocity: { x: 0, y: 0, z: 0 },
+// Small numeric ids so snapshots don't have to carry socket ids
+let nextNetId = 1;
+function allocateNetId() {
+  const used = new Set(Object.values(players).map((player) => player.netId));
+  while (used.has(nextNetId)) {
+    nextNetId = (nextNetId % 65535) + 1;
+  }
+  const netId = nextNetId;
+  nextNetId = (nextNetId % 65535) + 1;
+  return netId;
+}
+
+// Shape of a player as sent to clients. `t` is the server time (ms) at which
+// the state was valid, used by clients to interpolate between updates.
+function serializePlayer(player) {
+  return {
+    id: player.id,
+    netId: player.netId,
+    t: player.updatedAt,
+    position: player.state.position,
+    quaternion: player.state.quaternion,
+    velocity: player.state.velocity,
+    name: player.name,
+    hullType: player.inventory.ship.hull,
+  };
+}
+
+// Names are trimmed, stripped of control characters and length-limited
+function sanitizeName(name) {
+  if (typeof name !== "string") return null;
+  const clean = name.replace(/[\u0000-\u001f\u007f]/g, "").trim();
+  if (clean.length === 0 || clean.length > MAX_NAME_LENGTH) return null;
+  return clean;
+}
+
+// Bring a saved account into the world, where it was when last saved
+function createPlayer(account) {
+  const state = shipPhysics.createShipState();
+  const playerInventory = account.inventory
+    ? inventory.migrateInventory(account.inventory)
+    : inventory.createInventory();
+  const stats = ships.shipStats(playerInventory.ship);
+  state.warpDrive = shipPhysics.createWarpDrive(stats.warp.capacity);
+  let hull = stats.maxHull;
+  Object.assign(state.position, world.SPAWN_POSITION);
+  if (account.ship) {
+    Object.assign(state.position, account.ship.position);
+    Object.assign(state.velocity, account.ship.velocity);
+    Object.assign(state.quaternion, account.ship.quaternion);
+    if (account.ship.warpEnergy !== undefined) {
+      state.warpDrive.energy = Math.min(
+        account.ship.warpEnergy,
+        stats.warp.capacity
+      );
+    }
+    if (account.ship.hull !== undefined) hull = account.ship.hull;
+  }
+
+  return {
+    id: account.id,
+    name: account.name,
+    account,
+    socketId: null,
+    graceTimer: null,
+    netId: allocateNetId(),
+    state,
+    hull,
+    shield: stats.maxShield,
+    shieldDelay: 0,
+    weapons: createWeapons(),
+    dockedAt: world.getStation(account.dockedAt) ? account.dockedAt : null,
+    inventory: playerInventory,
+    stats, // Derived from the inventory's ship loadout
+    missions: account.missions || missions.createMissionLog(),
+    updatedAt: Date.now(),
+    inputQueue: [],
+    inputBudget: 0,
+    lastReceivedSeq: -1,
+    lastProcessedSeq: -1,
   };
+}
+
+function savePlayer(player) {
+  const { state } = player;
+  Object.assign(player.account, {
+    name: player.name,
+    ship: {
+      position: { ...state.position },
+      velocity: { ...state.velocity },
+      quaternion: { ...state.quaternion },
+      warpEnergy: state.warpDrive.energy,
+      hull: player.hull,
+    },
+    dockedAt: player.dockedAt,
+    inventory: player.inventory,
+    missions: player.missions,
+  });
+  store.save(player.account);
+}
+
+// Take a player out of the world once their grace period runs out
+function removePlayer(player) {
+  savePlayer(player);
+  delete players[player.id];
+  replicator.removeViewer(player.id);
+  replicator.forgetPlayer(player.id);
+  collisions.removePlayer(player.id);
+  combat.removePlayer(player.id);
+  chat.removePlayer(player.id);
+
+  // Only viewers that could see the ship need to be told it's gone
+  interest.removePlayer(player.id).forEach((viewerId) => {
+    const viewer = players[viewerId];
+    if (viewer && viewer.socketId) {
+      io.to(viewer.socketId).emit("playerLeft", player.id);
+    }
+  });
+}
+
+// Players whose pilot is connected, keyed by id. Ships waiting out the
+// reconnect grace period are left out of everyone's view, so nobody can
+// fly into or shoot at a ship while its pilot can't react.
+function activePlayers() {
+  const active = {};
+  Object.values(players).forEach((player) => {
+    if (player.socketId) active[player.id] = player;
+  });
+  return active;
+}
+
+// Send an event to a ship's pilot and everyone who can see the ship
+function emitAround(player, event, data) {
+  if (player.socketId) io.to(player.socketId).emit(event, data);
+  interest.viewersOf(player.id).forEach((viewerId) => {
+    const viewer = players[viewerId];
+    if (viewer && viewer.socketId) io.to(viewer.socketId).emit(event, data);
+  });
+}
+
+// Damage a ship's shields, then its hull, destroying it when there's no
+// hull left. Returns true if the ship was destroyed.
+function damageShip(player, damage, cause) {
+  if (!applyDamage(player, damage)) return false;
+
+  destroyShip(player, cause);
+  return true;
+}
+
+// Tell everyone around a ship it was shot, then damage it
+function hitShip(target, attacker, weapon, damage, position) {
+  emitAround(target, "shipHit", {
+    playerId: target.id,
+    attackerId: attacker ? attacker.id : null,
+    weapon: weapon.id,
+    damage,
+    position,
+  });
+  damageShip(target, damage, attacker ? attacker.name : weapon.name);
+}
+
+// Blow a ship up where it is and start it over at the spawn point with a
+// fresh hull and shields. Its pilot is sent the new state to predict from.
+function destroyShip(player, cause) {
+  console.log(`Player ${player.name} was destroyed by ${cause}`);
+  emitAround(player, "shipDestroyed", {
+    playerId: player.id,
+    cause,
+    position: { ...player.state.position },
+  });
+
+  // Viewers near the wreck forget the ship; it's announced again wherever
+  // it respawns
+  interest.hidePlayer(player.id).forEach((viewerId) => {
+    const viewer = players[viewerId];
+    replicator.forgetPlayerFor(viewerId, player.id);
+    if (viewer && viewer.socketId) {
+      io.to(viewer.socketId).emit("playerLeft", player.id);
+    }
+  });
+
+  respawnShip(player);
+  const { state } = player;
+  player.inputQueue = [];
+  player.lastProcessedSeq = player.lastReceivedSeq;
+  player.updatedAt = Date.now();
+
+  if (player.socketId) {
+    io.to(player.socketId).emit("respawned", {
+      state: {
+        position: { ...state.position },
+        velocity: { ...state.velocity },
+        quaternion: { ...state.quaternion },
+        warpDrive: { ...state.warpDrive },
+      },
+      hull: player.hull,
+      shield: player.shield,
+      ack: player.lastProcessedSeq,
+    });
+  }
+  savePlayer(player);
+}
+
+function playerFor(socket) {
+  return players[socket.data.playerId];
+}
+
+io.on("connection", (socket) => {
+  console.log("New connection:", socket.id);
+
+  // Publish the galaxy so the client can generate it
+  socket.emit("galaxy", {
+    seed: world.GALAXY_SEED,
+    params: world.galaxyParams,
+  });
 
-  // Send the current players to the new player
-  socket.emit("currentPlayers", players);
+  // Log in with a name and the token from an earlier session (if any). A
+  // pilot still in the world resumes their ship; otherwise it's restored
+  // from the store, or a new account is created.
+  socket.on("login", (credentials, respond) => {
+    if (typeof respond !== "function") return;
+    if (playerFor(socket)) {
+      return respond({ ok: false, reason: "Already logged in" });
+    }
+
+    const name = sanitizeName(credentials && credentials.name);
+    if (!name) return respond({ ok: false, reason: "Invalid name" });
+
+    let account = store.findByToken(credentials.token);
+    let token = credentials.token;
+
+    // Callsigns are unique: each belongs to the account that took it first
+    const owner = store.findByName(name);
+    if (owner && owner !== account) {
+      return respond({ ok: false, reason: "That callsign is taken" });
+    }
+
+    if (!account) {
+      const created = store.create(name);
+      account = created.account;
+      token = created.token;
+    }
+
+    let player = players[account.id];
+    const previousSocket =
+      player && player.socketId && io.sockets.sockets.get(player.socketId);
+    if (player) {
+      clearTimeout(player.graceTimer);
+      player.graceTimer = null;
+    } else {
+      player = createPlayer(account);
+      players[player.id] = player;
+    }
+
+    player.name = name;
+    player.socketId = socket.id;
+    socket.data.playerId = player.id;
+
+    // Logging in from a second tab takes the ship over
+    if (previousSocket) previousSocket.disconnect(true);
+
+    // The new client knows nothing yet: restart input sequencing and
+    // resend every ship in range in full
+    player.inputQueue = [];
+    player.lastReceivedSeq = -1;
+    player.lastProcessedSeq = -1;
+    replicator.removeViewer(player.id);
+    interest.resetViewer(player.id);
+
+    console.log(`Player ${name} (${player.id}) logged in`);
+    savePlayer(player); // Claims the callsign if it changed
+    sendInventory(socket, player);
+    sendMissions(socket, player);
+    respond({
+      ok: true,
+      id: player.id,
+      name,
+      token,
+      dockedAt: player.dockedAt,
+      state: {
+        position: { ...player.state.position },
+        velocity: { ...player.state.velocity },
+        quaternion: { ...player.state.quaternion },
+        warpDrive: { ...player.state.warpDrive },
+      },
+      hull: player.hull,
+      shield: player.shield,
+    });
+    broadcastRoster();
+  });
+
+  // Other players are announced with playerEntered once they are in range
+
+  // Queue batches of packed input intents; the simulation tick applies them
+  socket.on("playerInputs", (packedInputs) => {
+    const player = playerFor(socket);
+    if (!player || !Array.isArray(packedInputs)) return;
+
+    packedInputs.slice(0, MAX_INPUTS_PER_MESSAGE).forEach((packed) => {
+      queueInput(socket, player, snapshotCodec.unpackInput(packed));
+    });
+  });
+
+  // Look up a station's market. Replies through the acknowledgement callback.
+  socket.on("getMarket", (stationId, respond) => {
+    if (typeof respond !== "function") return;
+
+    const market = economy.getMarket(stationId);
+    respond(
+      market ? { ok: true, market } : { ok: false, reason: "Unknown station" }
+    );
+  });
+
+  // Buy or sell at the station the ship is docked at
+  socket.on("trade", (order, respond) => {
+    if (typeof respond !== "function") return;
+
+    const player = playerFor(socket);
+    if (!player || !order) {
+      return respond({ ok: false, reason: "Invalid order" });
+    }
+    if (player.dockedAt !== order.stationId) {
+      return respond({ ok: false, reason: "Not docked at this station" });
+    }
+
+    const quote = economy.quoteTrade(
+      order.stationId,
+      order.commodityId,
+      order.quantity,
+      order.action
+    );
+    if (!quote.ok) return respond(quote);
+
+    const check = inventory.checkTrade(player.inventory, quote);
+    if (!check.ok) return respond(check);
+
+    economy.commitTrade(quote);
+    inventory.applyTrade(player.inventory, quote);
+    savePlayer(player);
+    sendInventory(socket, player);
+    respond({
+      ok: true,
+      trade: quote,
+      market: economy.getMarket(order.stationId),
+    });
+  });
+
+  // Dock at a station; the server checks range, speed and alignment
+  socket.on("requestDock", (stationId, respond) => {
+    if (typeof respond !== "function") return;
+
+    const player = playerFor(socket);
+    if (!player) return respond({ ok: false, reason: "Not in game" });
+
+    const result = docking.dock(player, stationId);
+    if (result.ok) {
+      console.log(`Player ${player.name} docked at ${stationId}`);
+      if (handInMissions(socket, player)) sendInventory(socket, player);
+      savePlayer(player);
+    }
+    respond(result);
+  });
+
+  socket.on("undock", (respond) => {
+    if (typeof respond !== "function") return;
+
+    const player = playerFor(socket);
+    if (!player) return respond({ ok: false, reason: "Not in game" });
+
+    respond(docking.undock(player));
+  });
+
+  // Top up the warp drive at the station the ship is docked at, paying
+  // for as much energy as the pilot can afford
+  socket.on("refuel", (respond) => {
+    if (typeof respond !== "function") return;
+
+    const player = playerFor(socket);
+    if (!player) return respond({ ok: false, reason: "Not in game" });
+
+    const result = docking.refuel(player, economy);
+    if (result.ok) {
+      savePlayer(player);
+      sendInventory(socket, player);
+    }
+    respond(result);
+  });
 
-  // Broadcast to other players that a new player has joined
-  socket.broadcast.emit("newPlayer", players[socket.id]);
+  // Shipyard: buy a new hull, or install and remove components, at the
+  // station the ship is docked at
+  socket.on("buyHull", (hullId, respond) => {
+    if (typeof respond !== "function") return;
 
-  // Handle player movement updates
-  socket.on("playerMovement", (movementData) => {
-    players[socket.id].position = movementData.position;
-    players[socket.id].quaternion = movementData.quaternion;
-    players[socket.id].velocity = movementData.velocity;
+    const player = playerFor(socket);
+    if (!player) return respond({ ok: false, reason: "Not in game" });
 
-    // Broadcast updated player position to all other players
-    socket.broadcast.emit("playerMoved", players[socket.id]);
+    respond(refitShip(socket, player, shipyard.buyHull(player, hullId)));
   });
 
-  // Handle player disconnection
+  socket.on("installComponent", (componentId, respond) => {
+    if (typeof respond !== "function") return;
+
+    const player = playerFor(socket);
+    if (!player) return respond({ ok: false, reason: "Not in game" });
+
+    respond(
+      refitShip(socket, player, shipyard.installComponent(player, componentId))
+    );
+  });
+
+  socket.on("removeComponent", (componentId, respond) => {
+    if (typeof respond !== "function") return;
+
+    const player = playerFor(socket);
+    if (!player) return respond({ ok: false, reason: "Not in game" });
+
+    respond(
+      refitShip(socket, player, shipyard.removeComponent(player, componentId))
+    );
+  });
+
+  // Contracts on offer at a station. Replies through the acknowledgement
+  // callback.
+  socket.on("getMissions", (stationId, respond) => {
+    if (typeof respond !== "function") return;
+
+    const offers = missionBoard.offers(stationId);
+    respond(
+      offers ? { ok: true, offers } : { ok: false, reason: "Unknown station" }
+    );
+  });
+
+  // Take a contract from the board at the station the ship is docked at
+  socket.on("acceptMission", (offerId, respond) => {
+    if (typeof respond !== "function") return;
+
+    const player = playerFor(socket);
+    if (!player) return respond({ ok: false, reason: "Not in game" });
+
+    const result = missionBoard.accept(player, offerId);
+    if (!result.ok) return respond(result);
+
+    console.log(`Player ${player.name} accepted "${result.mission.title}"`);
+    savePlayer(player);
+    sendMissions(socket, player);
+    sendInventory(socket, player);
+    respond({
+      ok: true,
+      mission: result.mission,
+      offers: missionBoard.offers(player.dockedAt),
+    });
+  });
+
+  socket.on("abandonMission", (missionId, respond) => {
+    if (typeof respond !== "function") return;
+
+    const player = playerFor(socket);
+    if (!player) return respond({ ok: false, reason: "Not in game" });
+
+    const result = missionBoard.abandon(player, missionId);
+    if (result.ok) {
+      savePlayer(player);
+      sendMissions(socket, player);
+      sendInventory(socket, player);
+    }
+    respond(result);
+  });
+
+  // Send a chat message ({ channel, text, to }) on the global or local
+  // channel, or directly to one pilot by name
+  socket.on("chat", (request, respond) => {
+    if (typeof respond !== "function") return;
+
+    const player = playerFor(socket);
+    if (!player) return respond({ ok: false, reason: "Not in game" });
+
+    const result = chat.send(player, request, Object.values(players));
+    if (!result.ok) return respond(result);
+
+    result.recipients.forEach((recipient) => {
+      io.to(recipient.socketId).emit("chatMessage", result.message);
+    });
+    respond({ ok: true });
+  });
+
+  // Keep the ship in the world for a while so a reconnect can resume it
   socket.on("disconnect", () => {
-    console.log("Player disconnected:", socket.id);
-    delete players[socket.id];
-    io.emit("playerDisconnected", socket.id);
+    console.log("Connection closed:", socket.id);
+    const player = playerFor(socket);
+    if (!player || player.socketId !== socket.id) return;
+
+    player.socketId = null;
+    player.inputQueue = [];
+    savePlayer(player);
+    broadcastRoster();
+    player.graceTimer = setTimeout(
+      () => removePlayer(player),
+      RECONNECT_GRACE_SECONDS * 1000
+    );
   });
 });
 
+// Send every pilot the list of who is online
+function broadcastRoster() {
+  const online = Object.values(players).filter((player) => player.socketId);
+  const roster = online.map((player) => ({
+    id: player.id,
+    name: player.name,
+    hullType: player.inventory.ship.hull,
+  }));
+  online.forEach((player) => io.to(player.socketId).emit("roster", roster));
+}
+
+// Sync a player's credits, cargo and ship stats to their client
+function sendInventory(socket, player) {
+  socket.emit("inventory", inventory.serializeInventory(player.inventory));
+}
+
+// Sync a player's contracts and reputation to their client
+function sendMissions(socket, player) {
+  socket.emit("missions", missions.serializeMissionLog(player.missions));
+}
+
+// Tell a pilot how their contracts turned out
+function reportMissions(socket, player, { completed = [], failed = [] }) {
+  completed.forEach(({ mission, reward }) => {
+    console.log(`Player ${player.name} completed "${mission.title}"`);
+    socket.emit("missionCompleted", {
+      mission,
+      reward,
+      reputation: player.missions.reputation,
+    });
+  });
+  failed.forEach((mission) => {
+    socket.emit("missionFailed", {
+      mission,
+      reputation: player.missions.reputation,
+    });
+  });
+  if (completed.length > 0 || failed.length > 0) sendMissions(socket, player);
+}
+
+// Complete any contracts that end where the ship is docked. Returns true if
+// any did, in which case the caller saves and resends the inventory.
+function handInMissions(socket, player) {
+  const completed = missionBoard.handIn(player);
+  reportMissions(socket, player, { completed });
+  return completed.length > 0;
+}
+
+// Finish scouting contracts and fail overdue ones for every pilot in the
+// world, including those waiting to reconnect
+function updateMissions() {
+  Object.values(players).forEach((player) => {
+    const result = missionBoard.update(player);
+    if (result.completed.length === 0 && result.failed.length === 0) return;
+
+    savePlayer(player);
+    const socket = player.socketId && io.sockets.sockets.get(player.socketId);
+    if (!socket) return;
+    reportMissions(socket, player, result);
+    sendInventory(socket, player);
+  });
+}
+
+// After a shipyard change: save, sync the pilot's stats and tell everyone
+// who can see the ship what it looks like now. Passes the result through
+// with the ship's new hull, shields and warp drive.
+function refitShip(socket, player, result) {
+  if (!result.ok) return result;
+
+  savePlayer(player);
+  sendInventory(socket, player);
+  broadcastRoster();
+  interest.viewersOf(player.id).forEach((viewerId) => {
+    const viewer = players[viewerId];
+    if (viewer && viewer.socketId) {
+      io.to(viewer.socketId).emit("shipChanged", {
+        playerId: player.id,
+        hullType: player.inventory.ship.hull,
+      });
+    }
+  });
+  return {
+    ...result,
+    hull: player.hull,
+    shield: player.shield,
+    warpDrive: { ...player.state.warpDrive },
+  };
+}
+
+function queueInput(socket, player, rawInput) {
+  const queued = inputs.queueInput(player, rawInput);
+  if (!queued.ok) {
+    socket.emit("inputRejected", { seq: queued.seq, reason: queued.reason });
+  }
+}
+
+// Authoritative simulation tick
+let lastTickTime = performance.now();
+
+function tick() {
+  const now = performance.now();
+  const elapsed = (now - lastTickTime) / 1000;
+  lastTickTime = now;
+
+  Object.values(players).forEach((player) => {
+    // Docked ships ignore flight input and ride along with their station
+    if (player.dockedAt) {
+      player.inputQueue = [];
+      player.lastProcessedSeq = player.lastReceivedSeq;
+      docking.holdDockedShip(player);
+      player.updatedAt = Date.now();
+      return;
+    }
+
+    inputs.refillBudget(player, elapsed);
+
+    let processed = 0;
+    while (inputs.canStep(player)) {
+      const input = inputs.takeInput(player);
+      const from = { ...player.state.position };
+      shipPhysics.stepShip(
+        player.state,
+        input,
+        shipPhysics.FIXED_TIMESTEP,
+        player.stats
+      );
+      player.lastProcessedSeq = input.seq;
+      processed++;
+
+      if (collideWithWorld(player, from)) break;
+
+      fireWeapons(player, input);
+    }
+
+    if (processed > 0) player.updatedAt = Date.now();
+  });
+
+  Object.values(players).forEach((player) => {
+    rechargeShield(player, elapsed);
+    combat.coolWeapons(player, elapsed);
+  });
+
+  const active = Object.values(activePlayers());
+  combat.recordPositions(active, Date.now());
+
+  combat
+    .stepProjectiles(active, elapsed)
+    .forEach(({ projectile, target, position }) => {
+      const owner = players[projectile.ownerId];
+      if (owner) {
+        emitAround(owner, "projectileRemoved", { id: projectile.id, position });
+      }
+      if (target) {
+        hitShip(target, owner, projectile.weapon, projectile.weapon.damage, {
+          ...position,
+        });
+      }
+    });
+
+  collisions.collideShips(active).forEach((hit) => {
+    const [a, b] = hit.players;
+    [
+      [a, b],
+      [b, a],
+    ].forEach(([player, other]) => {
+      emitAround(player, "collision", {
+        playerId: player.id,
+        kind: "ship",
+        name: other.name,
+        damage: hit.damage,
+        position: hit.position,
+      });
+      damageShip(player, hit.damage, other.name);
+    });
+  });
+}
+
+// Fire whatever the input pulls the trigger on. Lasers are resolved at
+// once against the ships the shooter can see; bolts fly on their own.
+function fireWeapons(player, input) {
+  const targets = [...interest.visibleTo(player.id)]
+    .map((id) => players[id])
+    .filter(Boolean);
+
+  combat.fire(player, input, targets).forEach((shot) => {
+    if (shot.projectile) {
+      const { id, weapon, position, velocity, firedAt } = shot.projectile;
+      emitAround(player, "projectileFired", {
+        id,
+        playerId: player.id,
+        weapon: weapon.id,
+        position,
+        velocity,
+        time: firedAt,
+      });
+      return;
+    }
+
+    emitAround(player, "laserFired", {
+      playerId: player.id,
+      from: shot.from,
+      to: shot.to,
+    });
+    if (shot.target) {
+      hitShip(shot.target, player, shot.weapon, shot.damage, shot.to);
+    }
+  });
+}
+
+// Bounce a ship off anything it flew into during its last step, and burn
+// it if it's close to a star. Returns true if the ship was destroyed.
+function collideWithWorld(player, from) {
+  const hit = collisions.collideWithWorld(player, from);
+  if (hit) {
+    emitAround(player, "collision", {
+      playerId: player.id,
+      kind: hit.kind,
+      name: hit.name,
+      damage: hit.fatal ? player.hull + player.shield : hit.damage,
+      position: hit.position,
+    });
+
+    // Stars and the core burn straight through shields
+    if (hit.fatal) {
+      destroyShip(player, hit.name);
+      return true;
+    }
+    if (damageShip(player, hit.damage, hit.name)) return true;
+  }
+
+  const heat = collisions.heatDamage(player, shipPhysics.FIXED_TIMESTEP);
+  return Boolean(heat) && damageShip(player, heat.damage, heat.source.name);
+}
+
+// Send every player one batched snapshot of the ships in range. It also
+// carries their own authoritative state so they can reconcile prediction.
+function replicate() {
+  const now = Date.now();
+  const active = activePlayers();
+  const allPlayers = Object.values(active);
+  interest.updatePositions(allPlayers);
+
+  allPlayers.forEach((viewer) => {
+    const socket = io.sockets.sockets.get(viewer.socketId);
+    if (!socket) return;
+
+    // Announce ships that moved in or out of range before the snapshot
+    const { entered, left } = interest.refresh(viewer, active);
+    left.forEach((id) => {
+      replicator.forgetPlayerFor(viewer.id, id);
+      socket.emit("playerLeft", id);
+    });
+    entered.forEach((id) => {
+      socket.emit("playerEntered", serializePlayer(players[id]));
+    });
+
+    const visiblePlayers = [...interest.visibleTo(viewer.id)].map(
+      (id) => players[id]
+    );
+    socket.emit(
+      "worldSnapshot",
+      replicator.buildSnapshot(viewer, visiblePlayers, now)
+    );
+  });
+}
+
+setInterval(tick, 1000 / TICK_RATE);
+setInterval(replicate, 1000 / SNAPSHOT_RATE);
+setInterval(
+  () => economy.tick(ECONOMY_TICK_SECONDS),
+  ECONOMY_TICK_SECONDS * 1000
+);
+setInterval(updateMissions, MISSION_CHECK_SECONDS * 1000);
+setInterval(
+  () => Object.values(players).forEach(savePlayer),
+  AUTOSAVE_SECONDS * 1000
+);
+
+// Save everyone before the process exits
+function shutdown() {
+  Object.values(players).forEach(savePlayer);
+  store.flush();
+  process.exit(0);
+}
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
+
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
@@ -0,0 +1,97 @@
+const ships = require("../shared/ships");
+const { cargoUsed } = require("./inventory");
+
+// Recompute a player's stats after their loadout changed, keeping hull,
+// shields and warp energy within the new limits
+function refit(player) {
+  player.stats = ships.shipStats(player.inventory.ship);
+  player.hull = Math.min(player.hull, player.stats.maxHull);
+  player.shield = Math.min(player.shield, player.stats.maxShield);
+  const drive = player.state.warpDrive;
+  drive.energy = Math.min(drive.energy, player.stats.warp.capacity);
+}
+
+// Trade the current hull in for another, keeping the installed components.
+// A new hull comes out of the yard fully repaired.
+// Returns { ok: true, cost } or { ok: false, reason }.
+function buyHull(player, hullId) {
+  if (!player.dockedAt) return { ok: false, reason: "Not docked" };
+
+  const hull = ships.findHull(hullId);
+  if (!hull) return { ok: false, reason: "Unknown hull" };
+
+  const { ship, credits } = player.inventory;
+  if (ship.hull === hullId) {
+    return { ok: false, reason: `Already flying a ${hull.name}` };
+  }
+  if (!ships.fitsHull(hull, ship.components)) {
+    return {
+      ok: false,
+      reason: `Remove components that won't fit the ${hull.name} first`,
+    };
+  }
+
+  const stats = ships.shipStats({ hull: hullId, components: ship.components });
+  if (cargoUsed(player.inventory) > stats.cargoCapacity) {
+    return { ok: false, reason: `Your cargo won't fit in the ${hull.name}` };
+  }
+
+  const tradeIn = Math.floor(
+    ships.findHull(ship.hull).price * ships.RESALE_FRACTION
+  );
+  const cost = Math.max(0, hull.price - tradeIn);
+  if (cost > credits) return { ok: false, reason: "Not enough credits" };
+
+  player.inventory.credits -= cost;
+  ship.hull = hullId;
+  player.hull = stats.maxHull;
+  refit(player);
+  return { ok: true, cost };
+}
+
+// Returns { ok: true, cost } or { ok: false, reason }
+function installComponent(player, componentId) {
+  if (!player.dockedAt) return { ok: false, reason: "Not docked" };
+
+  const component = ships.findComponent(componentId);
+  if (!component) return { ok: false, reason: "Unknown component" };
+
+  const { ship } = player.inventory;
+  const components = [...ship.components, componentId];
+  if (!ships.fitsHull(ships.findHull(ship.hull), components)) {
+    return { ok: false, reason: `No free ${component.slot} slot` };
+  }
+  if (component.price > player.inventory.credits) {
+    return { ok: false, reason: "Not enough credits" };
+  }
+
+  player.inventory.credits -= component.price;
+  ship.components = components;
+  refit(player);
+  return { ok: true, cost: component.price };
+}
+
+// Sell an installed component back to the yard.
+// Returns { ok: true, refund } or { ok: false, reason }.
+function removeComponent(player, componentId) {
+  if (!player.dockedAt) return { ok: false, reason: "Not docked" };
+
+  const { ship } = player.inventory;
+  const index = ship.components.indexOf(componentId);
+  if (index === -1) return { ok: false, reason: "Component not installed" };
+
+  const components = ship.components.filter((_, i) => i !== index);
+  const stats = ships.shipStats({ hull: ship.hull, components });
+  if (cargoUsed(player.inventory) > stats.cargoCapacity) {
+    return { ok: false, reason: "Sell some cargo first" };
+  }
+
+  const component = ships.findComponent(componentId);
+  const refund = Math.floor(component.price * ships.RESALE_FRACTION);
+  player.inventory.credits += refund;
+  ship.components = components;
+  refit(player);
+  return { ok: true, refund };
+}
+
+module.exports = { refit, buyHull, installComponent, removeComponent };
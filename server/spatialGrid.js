@@ -0,0 +1,92 @@
+// Uniform hash grid for finding things near a point. Cells are only created
+// when something is in them, so it works at galaxy scale where almost all
+// of space is empty.
+class SpatialGrid {
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // Cell key -> Set of ids
+    this.entries = new Map(); // Id -> { key, position }
+  }
+
+  cellCoord(value) {
+    return Math.floor(value / this.cellSize);
+  }
+
+  cellKey(cx, cy, cz) {
+    return `${cx},${cy},${cz}`;
+  }
+
+  // Insert an id, or move it if it is already in the grid
+  update(id, position) {
+    const key = this.cellKey(
+      this.cellCoord(position.x),
+      this.cellCoord(position.y),
+      this.cellCoord(position.z)
+    );
+    const entry = this.entries.get(id);
+
+    if (entry && entry.key === key) {
+      entry.position = { x: position.x, y: position.y, z: position.z };
+      return;
+    }
+
+    if (entry) this.removeFromCell(id, entry.key);
+
+    if (!this.cells.has(key)) this.cells.set(key, new Set());
+    this.cells.get(key).add(id);
+    this.entries.set(id, {
+      key,
+      position: { x: position.x, y: position.y, z: position.z },
+    });
+  }
+
+  remove(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return;
+
+    this.removeFromCell(id, entry.key);
+    this.entries.delete(id);
+  }
+
+  removeFromCell(id, key) {
+    const cell = this.cells.get(key);
+    if (!cell) return;
+
+    cell.delete(id);
+    if (cell.size === 0) this.cells.delete(key);
+  }
+
+  // Ids whose position is within `radius` of `position`
+  query(position, radius) {
+    const results = [];
+    const radiusSq = radius * radius;
+
+    const minX = this.cellCoord(position.x - radius);
+    const maxX = this.cellCoord(position.x + radius);
+    const minY = this.cellCoord(position.y - radius);
+    const maxY = this.cellCoord(position.y + radius);
+    const minZ = this.cellCoord(position.z - radius);
+    const maxZ = this.cellCoord(position.z + radius);
+
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cy = minY; cy <= maxY; cy++) {
+        for (let cz = minZ; cz <= maxZ; cz++) {
+          const cell = this.cells.get(this.cellKey(cx, cy, cz));
+          if (!cell) continue;
+
+          cell.forEach((id) => {
+            const other = this.entries.get(id).position;
+            const dx = other.x - position.x;
+            const dy = other.y - position.y;
+            const dz = other.z - position.z;
+            if (dx * dx + dy * dy + dz * dz <= radiusSq) results.push(id);
+          });
+        }
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = { SpatialGrid };
@@ -0,0 +1,79 @@
+const galaxyGenerator = require("../shared/galaxy");
+const starSystemGenerator = require("../shared/starSystems");
+
+// Every client rebuilds the same galaxy from this seed
+const GALAXY_SEED = process.env.GALAXY_SEED || "spacetrdr";
+const galaxyParams = galaxyGenerator.DEFAULT_GALAXY_PARAMS;
+
+// The parts of the galaxy the server needs to know about
+const brightStars = galaxyGenerator.generateBrightStars(
+  GALAXY_SEED,
+  galaxyParams
+);
+const starSystems = starSystemGenerator.generateStarSystems(
+  GALAXY_SEED,
+  brightStars
+);
+
+// Gas clouds, the destinations of scouting contracts. Generated the same
+// way as the ones clients draw.
+const nebulae = galaxyGenerator.generateNebulae(GALAXY_SEED, galaxyParams);
+
+// New ships start here, and destroyed ones start over here: just clear of
+// the galactic core, with the default heading (-Z) pointing away from it
+const SPAWN_POSITION = { x: 0, y: 0, z: -8000 };
+
+// Index stations by id, alongside the system they belong to
+const stations = new Map();
+starSystems.forEach((system) => {
+  system.stations.forEach((station) => {
+    stations.set(station.id, { station, system });
+  });
+});
+
+function getStation(stationId) {
+  const entry = stations.get(stationId);
+  return entry ? entry.station : null;
+}
+
+function getSystem(systemId) {
+  return starSystems.find((system) => system.id === systemId) || null;
+}
+
+// Where a station is at `now` (server time in ms)
+function stationPosition(stationId, now = Date.now()) {
+  const entry = stations.get(stationId);
+  if (!entry) return null;
+
+  return starSystemGenerator.stationPosition(
+    entry.system,
+    entry.station,
+    starSystemGenerator.orbitTime(now)
+  );
+}
+
+// A station's docking port at `now`: position, facing and velocity
+function stationPort(stationId, now = Date.now()) {
+  const entry = stations.get(stationId);
+  if (!entry) return null;
+
+  return starSystemGenerator.stationPort(
+    entry.system,
+    entry.station,
+    starSystemGenerator.orbitTime(now)
+  );
+}
+
+module.exports = {
+  GALAXY_SEED,
+  galaxyParams,
+  brightStars,
+  starSystems,
+  stations,
+  nebulae,
+  SPAWN_POSITION,
+  getStation,
+  getSystem,
+  stationPosition,
+  stationPort,
+};
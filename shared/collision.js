@@ -0,0 +1,124 @@
+// Collision rules and geometry. Ships, stars, planets, moons and stations
+// are all spheres. The server resolves hits; the client uses the same heat
+// rules to warn the pilot before a star starts burning the hull.
+// Exposed as window.SpaceShared.collision in the browser.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SpaceShared = root.SpaceShared || {};
+    root.SpaceShared.collision = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const SHIP_RADIUS = 2;
+
+  // The galactic core sphere at the origin (matches the client mesh)
+  const CORE_RADIUS = 3000;
+  const CORE_HEAT_RADIUS = 4500;
+
+  // Stars heat hulls out to this many star radii
+  const STAR_HEAT_FACTOR = 4;
+
+  // Hull lost per second at a star's surface, falling to nothing at the
+  // edge of its heat zone. Touching the star itself destroys the ship.
+  const HEAT_DAMAGE_RATE = 50;
+
+  // Bounces keep this fraction of the closing speed
+  const RESTITUTION = 0.5;
+
+  // Bumps slower than this (units per second) do no damage; faster ones
+  // cost this much hull per unit of speed above it
+  const SAFE_IMPACT_SPEED = 20;
+  const IMPACT_DAMAGE = 0.2;
+
+  // Everything that burns: the galactic core and every system's star.
+  // Returns [{ kind, name, position, radius, heatRadius }].
+  function heatSources(starSystems) {
+    const sources = [
+      {
+        kind: "core",
+        name: "Galactic Core",
+        position: { x: 0, y: 0, z: 0 },
+        radius: CORE_RADIUS,
+        heatRadius: CORE_HEAT_RADIUS,
+      },
+    ];
+    starSystems.forEach((system) => {
+      sources.push({
+        kind: "star",
+        name: system.name,
+        position: system.position,
+        radius: system.starRadius,
+        heatRadius: system.starRadius * STAR_HEAT_FACTOR,
+      });
+    });
+    return sources;
+  }
+
+  // The hottest source at a position, with an intensity from 0 (edge of
+  // the heat zone) to 1 (the surface). Returns null when out of range.
+  function heatAt(position, sources) {
+    let hottest = null;
+    sources.forEach((source) => {
+      const distance = Math.hypot(
+        position.x - source.position.x,
+        position.y - source.position.y,
+        position.z - source.position.z
+      );
+      if (distance > source.heatRadius) return;
+
+      const intensity = Math.min(
+        1,
+        (source.heatRadius - distance) / (source.heatRadius - source.radius)
+      );
+      if (!hottest || intensity > hottest.intensity) {
+        hottest = { source, intensity };
+      }
+    });
+    return hottest;
+  }
+
+  // Fraction (0..1) of the way along the segment from -> to where a point
+  // first comes within `radius` of `center`, 0 if it starts inside, or -1
+  // if it never does
+  function sweepSphere(from, to, center, radius) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const dz = to.z - from.z;
+    const fx = from.x - center.x;
+    const fy = from.y - center.y;
+    const fz = from.z - center.z;
+
+    const c = fx * fx + fy * fy + fz * fz - radius * radius;
+    if (c <= 0) return 0;
+
+    const a = dx * dx + dy * dy + dz * dz;
+    const b = 2 * (fx * dx + fy * dy + fz * dz);
+    if (a === 0 || b >= 0) return -1;
+
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) return -1;
+
+    const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+    return t <= 1 ? t : -1;
+  }
+
+  function impactDamage(speed) {
+    return Math.max(0, speed - SAFE_IMPACT_SPEED) * IMPACT_DAMAGE;
+  }
+
+  return {
+    SHIP_RADIUS,
+    CORE_RADIUS,
+    CORE_HEAT_RADIUS,
+    STAR_HEAT_FACTOR,
+    HEAT_DAMAGE_RATE,
+    RESTITUTION,
+    SAFE_IMPACT_SPEED,
+    IMPACT_DAMAGE,
+    heatSources,
+    heatAt,
+    sweepSphere,
+    impactDamage,
+  };
+});
@@ -0,0 +1,85 @@
+// Weapons, shields and safe zones, shared so the client can show cooldowns
+// and whether weapons are online before the server resolves a shot.
+// Exposed as window.SpaceShared.combat in the browser.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SpaceShared = root.SpaceShared || {};
+    root.SpaceShared.combat = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // The laser hits instantly along the ship's heading; plasma bolts are
+  // slow projectiles that can be dodged
+  const WEAPONS = {
+    laser: {
+      id: "laser",
+      name: "Pulse Laser",
+      type: "hitscan",
+      damage: 8,
+      range: 3000, // Units
+      cooldown: 0.25, // Seconds between shots
+    },
+    plasma: {
+      id: "plasma",
+      name: "Plasma Cannon",
+      type: "projectile",
+      damage: 30,
+      speed: 1500, // Units per second, on top of the ship's own velocity
+      lifetime: 3, // Seconds before a bolt fizzles out
+      radius: 3, // Bolts hit anything this close to their path
+      cooldown: 1.2,
+    },
+  };
+
+  // Ships this close to a station can't fire, and can't be hurt by weapons
+  const SAFE_ZONE_RADIUS = 3000;
+
+  // Shields soak up damage before the hull does. They start recharging
+  // once the ship has gone this long without being hit.
+  const SHIELD_RECHARGE_DELAY = 4; // Seconds
+  const SHIELD_RECHARGE_RATE = 5; // Per second
+
+  // Hits are tested against a sphere a little bigger than the ship, so
+  // shots that look like hits on screen count
+  const HIT_RADIUS = 6;
+
+  // Distance along a ray (unit `direction`) to where it first enters a
+  // sphere, or -1 if it misses within `range`
+  function raySphere(origin, direction, range, center, radius) {
+    const ox = center.x - origin.x;
+    const oy = center.y - origin.y;
+    const oz = center.z - origin.z;
+    const along = ox * direction.x + oy * direction.y + oz * direction.z;
+    if (along < 0) return -1;
+
+    const missSq = ox * ox + oy * oy + oz * oz - along * along;
+    if (missSq > radius * radius) return -1;
+
+    const distance = Math.max(0, along - Math.sqrt(radius * radius - missSq));
+    return distance <= range ? distance : -1;
+  }
+
+  // Whether a position is inside any station's safe zone, given the
+  // stations' current positions
+  function inSafeZone(position, stationPositions) {
+    return stationPositions.some(
+      (station) =>
+        Math.hypot(
+          position.x - station.x,
+          position.y - station.y,
+          position.z - station.z
+        ) < SAFE_ZONE_RADIUS
+    );
+  }
+
+  return {
+    WEAPONS,
+    SAFE_ZONE_RADIUS,
+    SHIELD_RECHARGE_DELAY,
+    SHIELD_RECHARGE_RATE,
+    HIT_RADIUS,
+    raySphere,
+    inSafeZone,
+  };
+});
@@ -0,0 +1,68 @@
+// Docking rules, shared so the client can tell the pilot whether a docking
+// request would be accepted before the server validates it.
+// Exposed as window.SpaceShared.docking in the browser.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./shipPhysics"));
+  } else {
+    root.SpaceShared = root.SpaceShared || {};
+    root.SpaceShared.docking = factory(root.SpaceShared.shipPhysics);
+  }
+})(typeof self !== "undefined" ? self : this, function (shipPhysics) {
+  const DOCKING_RANGE = 300; // Units from the station
+  const DOCKING_MAX_SPEED = 60; // Units per second, relative to the station
+  const DOCKING_MAX_ANGLE = Math.PI / 6; // Between ship heading and the port
+
+  // Undocked ships are launched this far out along the port, at this speed
+  const UNDOCK_DISTANCE = 80;
+  const UNDOCK_SPEED = 40;
+
+  // Check whether a ship ({ position, velocity, quaternion }) may dock at a
+  // port (from starSystems.stationPort). Returns { ok: true } or
+  // { ok: false, reason } with a reason fit for showing the pilot.
+  function checkDocking(ship, port) {
+    const dx = ship.position.x - port.position.x;
+    const dy = ship.position.y - port.position.y;
+    const dz = ship.position.z - port.position.z;
+
+    if (Math.hypot(dx, dy, dz) > DOCKING_RANGE) {
+      return { ok: false, reason: "Out of docking range" };
+    }
+
+    const relativeSpeed = Math.hypot(
+      ship.velocity.x - port.velocity.x,
+      ship.velocity.y - port.velocity.y,
+      ship.velocity.z - port.velocity.z
+    );
+    if (relativeSpeed > DOCKING_MAX_SPEED) {
+      return { ok: false, reason: "Too fast to dock" };
+    }
+
+    // The ship has to be on the port side and pointing into the port
+    const { direction } = port;
+    const side = dx * direction.x + dy * direction.y + dz * direction.z;
+    const forward = shipPhysics.rotateVector(
+      { x: 0, y: 0, z: -1 },
+      ship.quaternion
+    );
+    const facing = -(
+      forward.x * direction.x +
+      forward.y * direction.y +
+      forward.z * direction.z
+    );
+    if (side <= 0 || facing < Math.cos(DOCKING_MAX_ANGLE)) {
+      return { ok: false, reason: "Not aligned with docking port" };
+    }
+
+    return { ok: true };
+  }
+
+  return {
+    DOCKING_RANGE,
+    DOCKING_MAX_SPEED,
+    DOCKING_MAX_ANGLE,
+    UNDOCK_DISTANCE,
+    UNDOCK_SPEED,
+    checkDocking,
+  };
+});
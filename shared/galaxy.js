@@ -0,0 +1,419 @@
+// Deterministic galaxy generator. Everything is derived from a seed and the
+// galaxy parameters, so the server and all clients agree on where every
+// star, nebula and distant galaxy is. Produces plain data only; the client
+// turns it into THREE objects.
+// Exposed as window.SpaceShared.galaxy in the browser.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./random"));
+  } else {
+    root.SpaceShared = root.SpaceShared || {};
+    root.SpaceShared.galaxy = factory(root.SpaceShared.random);
+  }
+})(typeof self !== "undefined" ? self : this, function (random) {
+  const { Rng } = random;
+
+  const DEFAULT_GALAXY_PARAMS = {
+    starsCount: 15000,
+    galaxyRadius: 1000000, // 100x larger (was 1000)
+    galaxyThickness: 50000, // 100x larger (was 50)
+    spiralArms: 5,
+    spiralTightness: 0.7,
+    nebulaCount: 2000, // 10x more nebulae for the larger space
+    nebulaSize: 10000, // 100x larger (was 100)
+    dustLaneCount: 200, // 10x more dust lanes
+    dustLaneSize: 500, // 100x larger (was 0.5)
+  };
+
+  // Star colours, referenced by index from generated point clouds
+  const STAR_COLORS = [
+    0xffffdd, // Yellow-white
+    0xffd6aa, // Orange-white
+    0xaaaaff, // Blue-white
+    0xddddff, // White-blue
+  ];
+
+  const NEBULA_COLORS = [
+    0xff5a5a, // Red
+    0x5a5aff, // Blue
+    0x5affff, // Cyan
+    0xff5aff, // Purple
+  ];
+
+  const GALAXY_TYPES = ["disc", "elliptical", "irregular"];
+
+  // Background stars far beyond the galaxy
+  function generateDistantStars(seed) {
+    const rng = new Rng(seed, "distantStars");
+    const count = 50000;
+    const positions = new Float32Array(count * 3);
+    const colorIndices = new Uint8Array(count);
+
+    for (let i = 0; i < count; i++) {
+      // Distribute stars in a sphere around the player
+      const theta = rng.next() * Math.PI * 2;
+      const phi = Math.acos(2 * rng.next() - 1);
+
+      // All stars are positioned beyond the galaxy
+      const distance = 10000000000 + rng.next() * 3000000000;
+
+      positions[i * 3] = distance * Math.sin(phi) * Math.cos(theta);
+      positions[i * 3 + 1] = distance * Math.sin(phi) * Math.sin(theta);
+      positions[i * 3 + 2] = distance * Math.cos(phi);
+      colorIndices[i] = rng.int(STAR_COLORS.length);
+    }
+
+    return { positions, colorIndices };
+  }
+
+  // Placement of the distant galaxies. Their stars are generated separately
+  // from each galaxy's own seed with generateDistantGalaxyPoints().
+  function generateDistantGalaxies(seed) {
+    const rng = new Rng(seed, "distantGalaxies");
+    const galaxies = [];
+
+    for (let i = 0; i < 3000; i++) {
+      // Random position far away from the player
+      const distance = 10000000000 + rng.next() * 3000000;
+      const theta = rng.next() * Math.PI * 2;
+      const phi = Math.acos(2 * rng.next() - 1);
+
+      galaxies.push({
+        index: i,
+        seed: `${seed}:distantGalaxy:${i}`,
+        type: GALAXY_TYPES[rng.int(3)],
+        position: {
+          x: distance * Math.sin(phi) * Math.cos(theta),
+          y: distance * Math.sin(phi) * Math.sin(theta),
+          z: distance * Math.cos(phi),
+        },
+        rotation: {
+          x: rng.next() * Math.PI * 2,
+          y: rng.next() * Math.PI * 2,
+          z: rng.next() * Math.PI * 2,
+        },
+        size: Math.min(6000000, rng.next() * 100000000),
+      });
+    }
+
+    return galaxies;
+  }
+
+  // Stars of one distant galaxy, in its local space. Returns positions and
+  // per-point colours as 0-1 RGB floats.
+  function generateDistantGalaxyPoints(galaxy) {
+    const rng = new Rng(galaxy.seed, "points");
+
+    if (galaxy.type === "disc") return generateDiscGalaxy(rng, galaxy.size);
+    if (galaxy.type === "elliptical") {
+      return generateEllipticalGalaxy(rng, galaxy.size);
+    }
+    return generateIrregularGalaxy(rng, galaxy.size);
+  }
+
+  // Overall colour of a distant galaxy, for drawing it as a single sprite
+  // from far away. Disc and elliptical galaxies draw their colour first from
+  // their points generator, so the sprite matches the detailed view.
+  // Irregular galaxies are a mix of clump colours and just look pale.
+  function distantGalaxyColor(galaxy) {
+    const rng = new Rng(galaxy.seed, "points");
+    if (galaxy.type === "disc") return discGalaxyColor(rng);
+    if (galaxy.type === "elliptical") return ellipticalGalaxyColor(rng);
+    return { r: 0.75, g: 0.75, b: 0.8 };
+  }
+
+  function discGalaxyColor(rng) {
+    return {
+      r: 0.5 + rng.next() * 0.5,
+      g: 0.5 + rng.next() * 0.5,
+      b: 0.5 + rng.next() * 0.5,
+    };
+  }
+
+  function ellipticalGalaxyColor(rng) {
+    return {
+      r: 0.8 + rng.next() * 0.2,
+      g: 0.6 + rng.next() * 0.2,
+      b: 0.5 + rng.next() * 0.2,
+    };
+  }
+
+  // A disc-shaped galaxy with spiral arms and a bright core
+  function generateDiscGalaxy(rng, size) {
+    const count = 5000;
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+
+    const color = discGalaxyColor(rng);
+
+    // Create spiral arms
+    const arms = 2 + rng.int(4);
+    const armTightness = 0.5 + rng.next() * 1.5;
+
+    for (let i = 0; i < count; i++) {
+      const arm = rng.int(arms);
+      const radius = Math.pow(rng.next(), 0.5) * size;
+      const angle = (arm / arms) * Math.PI * 2 + (armTightness * radius) / size;
+
+      positions[i * 3] = radius * Math.cos(angle + rng.next() * 0.3);
+      positions[i * 3 + 2] = radius * Math.sin(angle + rng.next() * 0.3);
+      positions[i * 3 + 1] = (rng.next() - 0.5) * size * 0.1;
+      colors[i * 3] = color.r;
+      colors[i * 3 + 1] = color.g;
+      colors[i * 3 + 2] = color.b;
+    }
+
+    return { positions, colors, color, coreRadius: size * 0.1 };
+  }
+
+  // An elliptical galaxy (more spherical, and redder)
+  function generateEllipticalGalaxy(rng, size) {
+    const count = 3000;
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+
+    const color = ellipticalGalaxyColor(rng);
+
+    // Elliptical shape parameters
+    const a = size;
+    const b = size * (0.7 + rng.next() * 0.3);
+    const c = size * (0.6 + rng.next() * 0.3);
+
+    for (let i = 0; i < count; i++) {
+      const theta = 2 * Math.PI * rng.next();
+      const phi = Math.acos(2 * rng.next() - 1);
+
+      // Radius with higher concentration toward center
+      const r = Math.pow(rng.next(), 2) * size;
+
+      positions[i * 3] = r * Math.sin(phi) * Math.cos(theta) * (a / size);
+      positions[i * 3 + 1] = r * Math.sin(phi) * Math.sin(theta) * (b / size);
+      positions[i * 3 + 2] = r * Math.cos(phi) * (c / size);
+      colors[i * 3] = color.r;
+      colors[i * 3 + 1] = color.g;
+      colors[i * 3 + 2] = color.b;
+    }
+
+    return { positions, colors, color, coreRadius: 0 };
+  }
+
+  // An irregular galaxy made of randomly coloured clumps
+  function generateIrregularGalaxy(rng, size) {
+    const count = 4000;
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+
+    const clumps = [];
+    const clumpCount = 3 + rng.int(5);
+    for (let i = 0; i < clumpCount; i++) {
+      clumps.push({
+        center: {
+          x: (rng.next() - 0.5) * size,
+          y: (rng.next() - 0.5) * size,
+          z: (rng.next() - 0.5) * size,
+        },
+        size: size * 0.2 + rng.next() * size * 0.3,
+        color: {
+          r: 0.5 + rng.next() * 0.5,
+          g: 0.5 + rng.next() * 0.5,
+          b: 0.5 + rng.next() * 0.5,
+        },
+      });
+    }
+
+    // Create stars, with higher probability near clump centers
+    for (let i = 0; i < count; i++) {
+      const clump = rng.pick(clumps);
+      const radius = Math.pow(rng.next(), 0.5) * clump.size;
+      const theta = rng.next() * Math.PI * 2;
+      const phi = Math.acos(2 * rng.next() - 1);
+
+      positions[i * 3] =
+        clump.center.x + radius * Math.sin(phi) * Math.cos(theta);
+      positions[i * 3 + 1] =
+        clump.center.y + radius * Math.sin(phi) * Math.sin(theta);
+      positions[i * 3 + 2] = clump.center.z + radius * Math.cos(phi);
+      colors[i * 3] = clump.color.r;
+      colors[i * 3 + 1] = clump.color.g;
+      colors[i * 3 + 2] = clump.color.b;
+    }
+
+    return { positions, colors, color: clumps[0].color, coreRadius: 0 };
+  }
+
+  // Dense stars around the galactic core
+  function generateCoreStars(seed) {
+    const rng = new Rng(seed, "coreStars");
+    const count = 5000;
+    const positions = new Float32Array(count * 3);
+
+    for (let i = 0; i < count; i++) {
+      const radius = 5000 * rng.next();
+      const theta = rng.next() * Math.PI * 2;
+      const phi = rng.next() * Math.PI - Math.PI / 2;
+
+      positions[i * 3] = radius * Math.cos(theta) * Math.cos(phi);
+      positions[i * 3 + 1] = radius * Math.sin(phi) * 0.2; // Flatten in y
+      positions[i * 3 + 2] = radius * Math.sin(theta) * Math.cos(phi);
+    }
+
+    return { positions };
+  }
+
+  // Stars along the spiral arms
+  function generateSpiralArms(seed, params) {
+    const rng = new Rng(seed, "spiralArms");
+    const {
+      galaxyRadius,
+      galaxyThickness,
+      spiralArms,
+      spiralTightness,
+      starsCount,
+    } = params;
+    const positions = new Float32Array(starsCount * 3);
+    const colorIndices = new Uint8Array(starsCount);
+
+    for (let i = 0; i < starsCount; i++) {
+      // Determine which spiral arm this star belongs to
+      const armIndex = rng.int(spiralArms);
+
+      // Calculate distance from center (with more stars toward the center)
+      const distance = Math.pow(rng.next(), 0.5) * galaxyRadius;
+
+      // Calculate angle based on distance and arm, plus some randomness
+      const angle =
+        (armIndex / spiralArms) * Math.PI * 2 +
+        (spiralTightness * distance) / galaxyRadius +
+        (rng.next() * 0.5 - 0.25);
+
+      positions[i * 3] = distance * Math.cos(angle);
+      positions[i * 3 + 2] = distance * Math.sin(angle);
+
+      // Y position (thickness of the galaxy), thinner at the edges
+      positions[i * 3 + 1] =
+        (rng.next() - 0.5) *
+        galaxyThickness *
+        (1 - Math.pow(distance / galaxyRadius, 2) * 0.8);
+
+      colorIndices[i] = rng.int(STAR_COLORS.length);
+    }
+
+    return { positions, colorIndices };
+  }
+
+  // Gas clouds positioned along the spiral arms
+  function generateNebulae(seed, params) {
+    const rng = new Rng(seed, "nebulae");
+    const {
+      nebulaCount,
+      nebulaSize,
+      galaxyRadius,
+      galaxyThickness,
+      spiralArms,
+      spiralTightness,
+    } = params;
+    const nebulae = [];
+
+    for (let i = 0; i < nebulaCount; i++) {
+      const armIndex = rng.int(spiralArms);
+      const distance = rng.next() * galaxyRadius * 0.8;
+      const angle =
+        (armIndex / spiralArms) * Math.PI * 2 +
+        (spiralTightness * distance) / galaxyRadius +
+        (rng.next() * 0.3 - 0.15);
+
+      const position = {
+        x: distance * Math.cos(angle),
+        y: (rng.next() - 0.5) * galaxyThickness * 0.5,
+        z: distance * Math.sin(angle),
+      };
+      const size = nebulaSize * (0.5 + rng.next() * 0.5);
+      const color = rng.pick(NEBULA_COLORS);
+
+      nebulae.push({ index: i, position, size, color });
+    }
+
+    return nebulae;
+  }
+
+  // Dark dust between the spiral arms
+  function generateDustLanes(seed, params) {
+    const rng = new Rng(seed, "dustLanes");
+    const {
+      dustLaneCount,
+      galaxyRadius,
+      galaxyThickness,
+      spiralArms,
+      spiralTightness,
+    } = params;
+    const positions = new Float32Array(dustLaneCount * 3);
+
+    for (let i = 0; i < dustLaneCount; i++) {
+      // Position dust along spiral arms but with an offset
+      const armIndex = rng.int(spiralArms);
+      const distance = 50 + rng.next() * (galaxyRadius * 0.9);
+      const angle =
+        (armIndex / spiralArms) * Math.PI * 2 +
+        (spiralTightness * distance) / galaxyRadius +
+        Math.PI / (spiralArms * 2); // Offset from the arm
+
+      positions[i * 3] = distance * Math.cos(angle);
+      positions[i * 3 + 1] = (rng.next() - 0.5) * galaxyThickness * 0.3;
+      positions[i * 3 + 2] = distance * Math.sin(angle);
+    }
+
+    return { positions };
+  }
+
+  // A few very bright stars, usable as landmarks
+  function generateBrightStars(seed, params) {
+    const rng = new Rng(seed, "brightStars");
+    const stars = [];
+
+    for (let i = 0; i < 10; i++) {
+      // Random position within the galaxy but not too close to center
+      const distance = 10000 + rng.next() * params.galaxyRadius * 0.7;
+      const angle = rng.next() * Math.PI * 2;
+
+      stars.push({
+        index: i,
+        position: {
+          x: distance * Math.cos(angle),
+          y: (rng.next() - 0.5) * params.galaxyThickness,
+          z: distance * Math.sin(angle),
+        },
+      });
+    }
+
+    return stars;
+  }
+
+  // Everything the client needs to draw the galaxy
+  function generateGalaxy(seed, params = DEFAULT_GALAXY_PARAMS) {
+    return {
+      distantStars: generateDistantStars(seed),
+      distantGalaxies: generateDistantGalaxies(seed),
+      coreStars: generateCoreStars(seed),
+      spiralArms: generateSpiralArms(seed, params),
+      nebulae: generateNebulae(seed, params),
+      dustLanes: generateDustLanes(seed, params),
+      brightStars: generateBrightStars(seed, params),
+    };
+  }
+
+  return {
+    DEFAULT_GALAXY_PARAMS,
+    STAR_COLORS,
+    NEBULA_COLORS,
+    generateGalaxy,
+    generateDistantStars,
+    generateDistantGalaxies,
+    generateDistantGalaxyPoints,
+    distantGalaxyColor,
+    generateCoreStars,
+    generateSpiralArms,
+    generateNebulae,
+    generateDustLanes,
+    generateBrightStars,
+  };
+});
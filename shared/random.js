@@ -0,0 +1,55 @@
+// Seeded pseudo-random numbers, so the server and every client can generate
+// identical content from the same seed.
+// Exposed as window.SpaceShared.random in the browser.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SpaceShared = root.SpaceShared || {};
+    root.SpaceShared.random = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // Hash any seed plus a label into a 32-bit integer (FNV-1a). Labels give
+  // each generator its own stream, so adding draws to one part of the galaxy
+  // doesn't reshuffle every other part.
+  function hashSeed(seed, label = "") {
+    const text = `${seed}:${label}`;
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+  }
+
+  // Mulberry32 generator with a few helpers. next() is a drop-in
+  // replacement for Math.random().
+  class Rng {
+    constructor(seed, label) {
+      this.state = hashSeed(seed, label);
+    }
+
+    next() {
+      this.state = (this.state + 0x6d2b79f5) >>> 0;
+      let t = this.state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+      return min + this.next() * (max - min);
+    }
+
+    // Integer in [0, count)
+    int(count) {
+      return Math.floor(this.next() * count);
+    }
+
+    pick(items) {
+      return items[this.int(items.length)];
+    }
+  }
+
+  return { hashSeed, Rng };
+});
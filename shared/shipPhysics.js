@@ -0,0 +1,301 @@
+// Ship flight model shared by the server simulation and client prediction.
+// Loaded with require() on the server and as a plain <script> in the browser,
+// where it is exposed as window.SpaceShared.shipPhysics.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SpaceShared = root.SpaceShared || {};
+    root.SpaceShared.shipPhysics = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // Every input step advances the simulation by exactly this many seconds,
+  // on the client and on the server
+  const FIXED_TIMESTEP = 1 / 60;
+
+  // Flight constants, in per-second units. These reproduce the original
+  // per-frame tuning (0.01 thrust, 200 max speed, 0.98 drag) at 60 Hz.
+  const SHIP_CONSTANTS = {
+    thrusterPower: 36, // Units per second squared
+    maxSpeed: 12000, // Units per second
+    drag: Math.pow(0.98, 60), // Velocity kept after one second, assisted
+    warpSpeedMultiplier: 100000,
+  };
+
+  // Warp drive energy. The drive spools up before it engages, drains energy
+  // in proportion to the throttle while engaged (never less than a minimum,
+  // so holding warp at zero throttle isn't free), then needs to cool down
+  // before it can spool again. Energy trickles back slowly while the drive
+  // is idle; stations sell a full refill.
+  const WARP_CONSTANTS = {
+    capacity: 100, // Energy units
+    drainRate: 5, // Per second at full throttle
+    minDrainFraction: 0.25, // Of drainRate, however low the throttle
+    rechargeRate: 0.5, // Per second while idle
+    spoolUpTime: 1.5, // Seconds
+    coolDownTime: 2, // Seconds
+  };
+
+  // Warp drive phases
+  const WARP_IDLE = 0;
+  const WARP_SPOOLING = 1;
+  const WARP_ACTIVE = 2;
+  const WARP_COOLDOWN = 3;
+
+  function createShipState() {
+    return {
+      position: { x: 0, y: 0, z: 0 },
+      velocity: { x: 0, y: 0, z: 0 },
+      quaternion: { x: 0, y: 0, z: 0, w: 1 },
+      warpDrive: createWarpDrive(),
+    };
+  }
+
+  function createWarpDrive(capacity = WARP_CONSTANTS.capacity) {
+    return { energy: capacity, phase: WARP_IDLE, timer: 0 };
+  }
+
+  // Advance the warp drive by one step of the input's warp request.
+  // Returns true if warp thrust applies this step.
+  function stepWarpDrive(drive, input, deltaTime, constants = WARP_CONSTANTS) {
+    switch (drive.phase) {
+      case WARP_IDLE:
+        drive.energy = Math.min(
+          constants.capacity,
+          drive.energy + constants.rechargeRate * deltaTime
+        );
+        if (input.warp && drive.energy > 0) {
+          drive.phase = WARP_SPOOLING;
+          drive.timer = constants.spoolUpTime;
+        }
+        return false;
+
+      case WARP_SPOOLING:
+        // Letting go while spooling aborts without a cool-down
+        if (!input.warp) {
+          drive.phase = WARP_IDLE;
+          return false;
+        }
+        drive.timer -= deltaTime;
+        if (drive.timer > 0) return false;
+        drive.phase = WARP_ACTIVE;
+        drive.timer = 0;
+        break;
+
+      case WARP_ACTIVE:
+        break;
+
+      default:
+        // Cooling down
+        drive.timer -= deltaTime;
+        if (drive.timer <= 0) drive.phase = WARP_IDLE;
+        return false;
+    }
+
+    // Engaged: drop out when released or out of energy
+    if (!input.warp || drive.energy <= 0) {
+      drive.phase = WARP_COOLDOWN;
+      drive.timer = constants.coolDownTime;
+      return false;
+    }
+
+    const throttle = input.throttle === undefined ? 1 : input.throttle;
+    const drain =
+      constants.drainRate * Math.max(throttle, constants.minDrainFraction);
+    drive.energy = Math.max(0, drive.energy - drain * deltaTime);
+    return true;
+  }
+
+  // Rotate a vector by a unit quaternion (same maths as Vector3.applyQuaternion)
+  function rotateVector(v, q) {
+    const tx = 2 * (q.y * v.z - q.z * v.y);
+    const ty = 2 * (q.z * v.x - q.x * v.z);
+    const tz = 2 * (q.x * v.y - q.y * v.x);
+
+    return {
+      x: v.x + q.w * tx + q.y * tz - q.z * ty,
+      y: v.y + q.w * ty + q.z * tx - q.x * tz,
+      z: v.z + q.w * tz + q.x * ty - q.y * tx,
+    };
+  }
+
+  // Yaw and pitch (no roll) that point the ship's nose (-Z) along a unit
+  // direction, plus the matching orientation quaternion (yaw then pitch)
+  function orientationFromDirection(direction) {
+    const yaw = Math.atan2(-direction.x, -direction.z);
+    const pitch = Math.asin(Math.max(-1, Math.min(1, direction.y)));
+
+    const cy = Math.cos(yaw / 2);
+    const sy = Math.sin(yaw / 2);
+    const cp = Math.cos(pitch / 2);
+    const sp = Math.sin(pitch / 2);
+
+    return {
+      yaw,
+      pitch,
+      quaternion: { x: cy * sp, y: sy * cp, z: -sy * sp, w: cy * cp },
+    };
+  }
+
+  function isFiniteNumber(value) {
+    return typeof value === "number" && Number.isFinite(value);
+  }
+
+  // Validate an input intent received over the network.
+  // Returns a clean copy, or null if the payload is malformed.
+  function sanitizeInput(raw) {
+    if (!raw || typeof raw !== "object") return null;
+    if (!Number.isInteger(raw.seq) || raw.seq < 0) return null;
+
+    const q = raw.quaternion;
+    if (
+      !q ||
+      !isFiniteNumber(q.x) ||
+      !isFiniteNumber(q.y) ||
+      !isFiniteNumber(q.z) ||
+      !isFiniteNumber(q.w)
+    ) {
+      return null;
+    }
+
+    // Normalize so a client can't scale thrust through the orientation
+    const length = Math.hypot(q.x, q.y, q.z, q.w);
+    if (length === 0) return null;
+
+    const keys = raw.keys || {};
+    const fire = raw.fire || {};
+
+    return {
+      seq: raw.seq,
+      keys: {
+        w: keys.w === true,
+        a: keys.a === true,
+        s: keys.s === true,
+        d: keys.d === true,
+        up: keys.up === true,
+        down: keys.down === true,
+      },
+      warp: raw.warp === true,
+      // Older clients don't send it and always fly assisted
+      flightAssist: raw.flightAssist !== false,
+      throttle: isFiniteNumber(raw.throttle)
+        ? Math.min(1, Math.max(0, raw.throttle))
+        : 1,
+      fire: { laser: fire.laser === true, plasma: fire.plasma === true },
+      viewTime: isFiniteNumber(raw.viewTime) ? raw.viewTime : null,
+      quaternion: {
+        x: q.x / length,
+        y: q.y / length,
+        z: q.z / length,
+        w: q.w / length,
+      },
+    };
+  }
+
+  // Advance a ship by `deltaTime` seconds, mutating the state. Returns the
+  // speed. `state.position` and `state.velocity` only need x/y/z fields, so
+  // THREE.Vector3 instances work as well as plain objects. `constants` may
+  // carry the ship's own warp drive constants as `warp`.
+  function stepShip(
+    state,
+    input,
+    deltaTime = FIXED_TIMESTEP,
+    constants = SHIP_CONSTANTS
+  ) {
+    const { position, velocity } = state;
+    const q = input.quaternion;
+
+    state.quaternion.x = q.x;
+    state.quaternion.y = q.y;
+    state.quaternion.z = q.z;
+    state.quaternion.w = q.w;
+
+    // Get ship's direction vectors based on its orientation
+    const forward = rotateVector({ x: 0, y: 0, z: -1 }, q);
+    const right = rotateVector({ x: 1, y: 0, z: 0 }, q);
+    const up = rotateVector({ x: 0, y: 1, z: 0 }, q);
+
+    // Calculate thrust power and speed cap (normal or warp). The throttle
+    // is 1 for keyboard flight; the autopilot uses it for fine control.
+    const throttle = input.throttle === undefined ? 1 : input.throttle;
+    let thrust = constants.thrusterPower * throttle;
+    let maxSpeed = constants.maxSpeed;
+    const drive = state.warpDrive;
+    const wasCooling = drive.phase === WARP_COOLDOWN;
+    const warpConstants = constants.warp || WARP_CONSTANTS;
+    if (stepWarpDrive(drive, input, deltaTime, warpConstants)) {
+      thrust *= constants.warpSpeedMultiplier;
+      maxSpeed *= constants.warpSpeedMultiplier;
+    }
+
+    // Forward/backward, left/right and up/down thrust
+    const forwardThrust = (input.keys.w ? 1 : 0) - (input.keys.s ? 1 : 0);
+    const rightThrust = (input.keys.d ? 1 : 0) - (input.keys.a ? 1 : 0);
+    const upThrust = (input.keys.up ? 1 : 0) - (input.keys.down ? 1 : 0);
+
+    const startSpeed = Math.hypot(velocity.x, velocity.y, velocity.z);
+    const impulse = thrust * deltaTime;
+    velocity.x +=
+      (forward.x * forwardThrust + right.x * rightThrust + up.x * upThrust) *
+      impulse;
+    velocity.y +=
+      (forward.y * forwardThrust + right.y * rightThrust + up.y * upThrust) *
+      impulse;
+    velocity.z +=
+      (forward.z * forwardThrust + right.z * rightThrust + up.z * upThrust) *
+      impulse;
+
+    // Flight assist bleeds off speed like drag so the ship stops when the
+    // thrusters do; without it the ship coasts on as Newton says
+    if (input.flightAssist !== false) {
+      const dragFactor = Math.pow(constants.drag, deltaTime);
+      velocity.x *= dragFactor;
+      velocity.y *= dragFactor;
+      velocity.z *= dragFactor;
+    }
+
+    // Thrust can't push the ship past its top speed, but the limit never
+    // brakes a ship that was already going faster, so it coasts on
+    let limit = Math.max(maxSpeed, startSpeed);
+
+    // Dropping out of warp bleeds the speed above normal top speed off
+    // over the cool-down, reaching top speed as the drive goes idle
+    if (wasCooling || drive.phase === WARP_COOLDOWN) {
+      const left = Math.max(0, drive.timer);
+      limit = maxSpeed + (limit - maxSpeed) * (left / (left + deltaTime));
+    }
+
+    let speed = Math.hypot(velocity.x, velocity.y, velocity.z);
+    if (speed > limit) {
+      const scale = limit / speed;
+      velocity.x *= scale;
+      velocity.y *= scale;
+      velocity.z *= scale;
+      speed = limit;
+    }
+
+    // Update position based on velocity
+    position.x += velocity.x * deltaTime;
+    position.y += velocity.y * deltaTime;
+    position.z += velocity.z * deltaTime;
+
+    return speed;
+  }
+
+  return {
+    FIXED_TIMESTEP,
+    SHIP_CONSTANTS,
+    WARP_CONSTANTS,
+    WARP_IDLE,
+    WARP_SPOOLING,
+    WARP_ACTIVE,
+    WARP_COOLDOWN,
+    createShipState,
+    createWarpDrive,
+    stepWarpDrive,
+    rotateVector,
+    orientationFromDirection,
+    sanitizeInput,
+    stepShip,
+  };
+});
@@ -0,0 +1,225 @@
+// Ship definitions: hulls with their own model, hold and base stats, and
+// the components that can be installed in their slots. The server derives
+// a ship's stats from its loadout and sends them to the pilot's client to
+// predict with; other clients only need the hull for its model and colour.
+// Exposed as window.SpaceShared.ships in the browser.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./shipPhysics"));
+  } else {
+    root.SpaceShared = root.SpaceShared || {};
+    root.SpaceShared.ships = factory(root.SpaceShared.shipPhysics);
+  }
+})(typeof self !== "undefined" ? self : this, function (shipPhysics) {
+  const { SHIP_CONSTANTS, WARP_CONSTANTS } = shipPhysics;
+
+  // Every new pilot starts in this hull
+  const STARTER_HULL = "shuttle";
+
+  // `model` picks the mesh the client builds; `slots` is how many
+  // components of each kind fit
+  const HULLS = {
+    shuttle: {
+      id: "shuttle",
+      name: "Shuttle",
+      price: 2000,
+      model: "shuttle",
+      color: 0x00ff00,
+      stats: {
+        thrusterPower: SHIP_CONSTANTS.thrusterPower,
+        maxSpeed: SHIP_CONSTANTS.maxSpeed,
+        cargoCapacity: 50,
+        maxHull: 100,
+        maxShield: 50,
+        warpCapacity: WARP_CONSTANTS.capacity,
+      },
+      slots: { engine: 1, warp: 1, cargo: 1, shield: 1 },
+    },
+    courier: {
+      id: "courier",
+      name: "Courier",
+      price: 9000,
+      model: "dart",
+      color: 0xffaa00,
+      stats: {
+        thrusterPower: 54,
+        maxSpeed: 16000,
+        cargoCapacity: 20,
+        maxHull: 70,
+        maxShield: 40,
+        warpCapacity: 140,
+      },
+      slots: { engine: 2, warp: 1, cargo: 0, shield: 1 },
+    },
+    fighter: {
+      id: "fighter",
+      name: "Fighter",
+      price: 14000,
+      model: "fighter",
+      color: 0xff3333,
+      stats: {
+        thrusterPower: 48,
+        maxSpeed: 14000,
+        cargoCapacity: 15,
+        maxHull: 140,
+        maxShield: 100,
+        warpCapacity: 80,
+      },
+      slots: { engine: 1, warp: 1, cargo: 0, shield: 2 },
+    },
+    freighter: {
+      id: "freighter",
+      name: "Freighter",
+      price: 18000,
+      model: "hauler",
+      color: 0x4488ff,
+      stats: {
+        thrusterPower: 24,
+        maxSpeed: 9000,
+        cargoCapacity: 200,
+        maxHull: 220,
+        maxShield: 60,
+        warpCapacity: 160,
+      },
+      slots: { engine: 1, warp: 1, cargo: 3, shield: 1 },
+    },
+  };
+
+  // Each component fills one slot of its kind and adds `bonuses` to the
+  // hull's stats
+  const COMPONENTS = {
+    thrusters: {
+      id: "thrusters",
+      name: "Tuned Thrusters",
+      slot: "engine",
+      price: 2500,
+      bonuses: { thrusterPower: 9, maxSpeed: 2000 },
+    },
+    warpCell: {
+      id: "warpCell",
+      name: "Extended Warp Cell",
+      slot: "warp",
+      price: 3000,
+      bonuses: { warpCapacity: 50 },
+    },
+    warpCoil: {
+      id: "warpCoil",
+      name: "Efficient Warp Coil",
+      slot: "warp",
+      price: 4000,
+      bonuses: { warpDrainRate: -2, warpSpoolUpTime: -0.75 },
+    },
+    cargoPod: {
+      id: "cargoPod",
+      name: "Cargo Pod",
+      slot: "cargo",
+      price: 1500,
+      bonuses: { cargoCapacity: 25 },
+    },
+    shieldBooster: {
+      id: "shieldBooster",
+      name: "Shield Booster",
+      slot: "shield",
+      price: 3500,
+      bonuses: { maxShield: 30 },
+    },
+  };
+
+  // Components sell back for this fraction of their price, and an old hull
+  // is traded in for the same fraction of its price
+  const RESALE_FRACTION = 0.5;
+
+  // Look parts up by id. Ids come from clients and saves, so only the
+  // tables' own keys count: "constructor" or "__proto__" find nothing.
+  function findHull(id) {
+    return Object.hasOwn(HULLS, id) ? HULLS[id] : null;
+  }
+
+  function findComponent(id) {
+    return Object.hasOwn(COMPONENTS, id) ? COMPONENTS[id] : null;
+  }
+
+  function createShip() {
+    return { hull: STARTER_HULL, components: [] };
+  }
+
+  // Whether a saved or received loadout only names known parts
+  function isValidShip(ship) {
+    return (
+      Boolean(ship) &&
+      Boolean(findHull(ship.hull)) &&
+      Array.isArray(ship.components) &&
+      ship.components.every((id) => Boolean(findComponent(id)))
+    );
+  }
+
+  // Components of each slot kind installed in a loadout
+  function slotsUsed(components) {
+    const used = {};
+    components.forEach((id) => {
+      const slot = findComponent(id).slot;
+      used[slot] = (used[slot] || 0) + 1;
+    });
+    return used;
+  }
+
+  // Whether a set of components fits a hull's slots
+  function fitsHull(hull, components) {
+    const used = slotsUsed(components);
+    return Object.keys(used).every(
+      (slot) => used[slot] <= (hull.slots[slot] || 0)
+    );
+  }
+
+  // Everything about how a loadout flies and what it carries. The flight
+  // fields match SHIP_CONSTANTS and `warp` matches WARP_CONSTANTS, so the
+  // result can be passed straight to stepShip().
+  function shipStats(ship) {
+    const hull = findHull(ship.hull);
+    const totals = {
+      ...hull.stats,
+      warpDrainRate: WARP_CONSTANTS.drainRate,
+      warpSpoolUpTime: WARP_CONSTANTS.spoolUpTime,
+    };
+    ship.components.forEach((id) => {
+      const bonuses = findComponent(id).bonuses;
+      Object.keys(bonuses).forEach((stat) => {
+        totals[stat] += bonuses[stat];
+      });
+    });
+
+    return {
+      hull: hull.id,
+      name: hull.name,
+      model: hull.model,
+      color: hull.color,
+      thrusterPower: totals.thrusterPower,
+      maxSpeed: totals.maxSpeed,
+      drag: SHIP_CONSTANTS.drag,
+      warpSpeedMultiplier: SHIP_CONSTANTS.warpSpeedMultiplier,
+      cargoCapacity: totals.cargoCapacity,
+      maxHull: totals.maxHull,
+      maxShield: totals.maxShield,
+      warp: {
+        ...WARP_CONSTANTS,
+        capacity: totals.warpCapacity,
+        drainRate: Math.max(0.5, totals.warpDrainRate),
+        spoolUpTime: Math.max(0, totals.warpSpoolUpTime),
+      },
+    };
+  }
+
+  return {
+    STARTER_HULL,
+    HULLS,
+    COMPONENTS,
+    RESALE_FRACTION,
+    findHull,
+    findComponent,
+    createShip,
+    isValidShip,
+    slotsUsed,
+    fitsHull,
+    shipStats,
+  };
+});
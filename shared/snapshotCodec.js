@@ -0,0 +1,277 @@
+// Compact wire formats for the high-frequency network traffic: batched
+// world snapshots from the server and packed input intents from clients.
+// Exposed as window.SpaceShared.snapshotCodec in the browser.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SpaceShared = root.SpaceShared || {};
+    root.SpaceShared.snapshotCodec = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // Bits in an entry's field mask
+  const FIELD_POSITION = 1;
+  const FIELD_QUATERNION = 2;
+  const FIELD_VELOCITY = 4;
+  const ALL_FIELDS = FIELD_POSITION | FIELD_QUATERNION | FIELD_VELOCITY;
+
+  // Bits in a packed input's button mask
+  const BUTTON_W = 1;
+  const BUTTON_A = 2;
+  const BUTTON_S = 4;
+  const BUTTON_D = 8;
+  const BUTTON_WARP = 16;
+  const BUTTON_FIRE_LASER = 32;
+  const BUTTON_FIRE_PLASMA = 64;
+  const BUTTON_UP = 128;
+  const BUTTON_DOWN = 256;
+  const BUTTON_NEWTONIAN = 512; // Flight assist off
+
+  // Byte sizes of each section
+  const HEADER_SIZE = 8 + 4 + 1 + 2; // time, ack, self flag, entry count
+  // float64 position and velocity (exact, as prediction replays from
+  // them), the warp drive's float64 energy, uint8 phase and float64
+  // timer, then float32 hull and shield
+  const SELF_SIZE = 8 * 3 * 2 + 8 + 1 + 8 + 4 + 4;
+  const ENTRY_HEADER_SIZE = 2 + 1; // netId, field mask
+  const POSITION_SIZE = 8 * 3; // float64, the galaxy is too big for float32
+  const QUATERNION_SIZE = 2 * 4; // Components quantized to int16
+  const VELOCITY_SIZE = 4 * 3; // float32
+
+  const QUATERNION_SCALE = 32767;
+
+  function entrySize(mask) {
+    let size = ENTRY_HEADER_SIZE;
+    if (mask & FIELD_POSITION) size += POSITION_SIZE;
+    if (mask & FIELD_QUATERNION) size += QUATERNION_SIZE;
+    if (mask & FIELD_VELOCITY) size += VELOCITY_SIZE;
+    return size;
+  }
+
+  function quantize(value) {
+    return Math.round(Math.max(-1, Math.min(1, value)) * QUATERNION_SCALE);
+  }
+
+  // Encode a snapshot:
+  //   { time, ack, self: { position, velocity, warpDrive, hull, shield }
+  //     | null,
+  //     entries: [{ netId, mask, position, quaternion, velocity }] }
+  // Only the fields named in an entry's mask are written.
+  function encodeSnapshot(snapshot) {
+    const entries = snapshot.entries;
+    let size = HEADER_SIZE + (snapshot.self ? SELF_SIZE : 0);
+    entries.forEach((entry) => {
+      size += entrySize(entry.mask);
+    });
+
+    const buffer = new ArrayBuffer(size);
+    const view = new DataView(buffer);
+    let offset = 0;
+
+    view.setFloat64(offset, snapshot.time, true);
+    offset += 8;
+    view.setInt32(offset, snapshot.ack, true);
+    offset += 4;
+    view.setUint8(offset, snapshot.self ? 1 : 0);
+    offset += 1;
+    view.setUint16(offset, entries.length, true);
+    offset += 2;
+
+    if (snapshot.self) {
+      const { position, velocity, warpDrive, hull, shield } = snapshot.self;
+      view.setFloat64(offset, position.x, true);
+      view.setFloat64(offset + 8, position.y, true);
+      view.setFloat64(offset + 16, position.z, true);
+      view.setFloat64(offset + 24, velocity.x, true);
+      view.setFloat64(offset + 32, velocity.y, true);
+      view.setFloat64(offset + 40, velocity.z, true);
+      view.setFloat64(offset + 48, warpDrive.energy, true);
+      view.setUint8(offset + 56, warpDrive.phase);
+      view.setFloat64(offset + 57, warpDrive.timer, true);
+      view.setFloat32(offset + 65, hull, true);
+      view.setFloat32(offset + 69, shield, true);
+      offset += SELF_SIZE;
+    }
+
+    entries.forEach((entry) => {
+      view.setUint16(offset, entry.netId, true);
+      view.setUint8(offset + 2, entry.mask);
+      offset += ENTRY_HEADER_SIZE;
+
+      if (entry.mask & FIELD_POSITION) {
+        view.setFloat64(offset, entry.position.x, true);
+        view.setFloat64(offset + 8, entry.position.y, true);
+        view.setFloat64(offset + 16, entry.position.z, true);
+        offset += POSITION_SIZE;
+      }
+      if (entry.mask & FIELD_QUATERNION) {
+        view.setInt16(offset, quantize(entry.quaternion.x), true);
+        view.setInt16(offset + 2, quantize(entry.quaternion.y), true);
+        view.setInt16(offset + 4, quantize(entry.quaternion.z), true);
+        view.setInt16(offset + 6, quantize(entry.quaternion.w), true);
+        offset += QUATERNION_SIZE;
+      }
+      if (entry.mask & FIELD_VELOCITY) {
+        view.setFloat32(offset, entry.velocity.x, true);
+        view.setFloat32(offset + 4, entry.velocity.y, true);
+        view.setFloat32(offset + 8, entry.velocity.z, true);
+        offset += VELOCITY_SIZE;
+      }
+    });
+
+    return buffer;
+  }
+
+  // Decode a snapshot from an ArrayBuffer (browser) or a Buffer/typed array
+  function decodeSnapshot(data) {
+    const view =
+      data instanceof ArrayBuffer
+        ? new DataView(data)
+        : new DataView(data.buffer, data.byteOffset, data.byteLength);
+    let offset = 0;
+
+    const time = view.getFloat64(offset, true);
+    offset += 8;
+    const ack = view.getInt32(offset, true);
+    offset += 4;
+    const hasSelf = view.getUint8(offset) === 1;
+    offset += 1;
+    const count = view.getUint16(offset, true);
+    offset += 2;
+
+    let self = null;
+    if (hasSelf) {
+      self = {
+        position: {
+          x: view.getFloat64(offset, true),
+          y: view.getFloat64(offset + 8, true),
+          z: view.getFloat64(offset + 16, true),
+        },
+        velocity: {
+          x: view.getFloat64(offset + 24, true),
+          y: view.getFloat64(offset + 32, true),
+          z: view.getFloat64(offset + 40, true),
+        },
+        warpDrive: {
+          energy: view.getFloat64(offset + 48, true),
+          phase: view.getUint8(offset + 56),
+          timer: view.getFloat64(offset + 57, true),
+        },
+        hull: view.getFloat32(offset + 65, true),
+        shield: view.getFloat32(offset + 69, true),
+      };
+      offset += SELF_SIZE;
+    }
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      const entry = {
+        netId: view.getUint16(offset, true),
+        mask: view.getUint8(offset + 2),
+      };
+      offset += ENTRY_HEADER_SIZE;
+
+      if (entry.mask & FIELD_POSITION) {
+        entry.position = {
+          x: view.getFloat64(offset, true),
+          y: view.getFloat64(offset + 8, true),
+          z: view.getFloat64(offset + 16, true),
+        };
+        offset += POSITION_SIZE;
+      }
+      if (entry.mask & FIELD_QUATERNION) {
+        const x = view.getInt16(offset, true) / QUATERNION_SCALE;
+        const y = view.getInt16(offset + 2, true) / QUATERNION_SCALE;
+        const z = view.getInt16(offset + 4, true) / QUATERNION_SCALE;
+        const w = view.getInt16(offset + 6, true) / QUATERNION_SCALE;
+        const length = Math.hypot(x, y, z, w) || 1;
+        entry.quaternion = {
+          x: x / length,
+          y: y / length,
+          z: z / length,
+          w: w / length,
+        };
+        offset += QUATERNION_SIZE;
+      }
+      if (entry.mask & FIELD_VELOCITY) {
+        entry.velocity = {
+          x: view.getFloat32(offset, true),
+          y: view.getFloat32(offset + 4, true),
+          z: view.getFloat32(offset + 8, true),
+        };
+        offset += VELOCITY_SIZE;
+      }
+
+      entries.push(entry);
+    }
+
+    return { time, ack, self, entries };
+  }
+
+  // Pack an input intent as [seq, buttons, qx, qy, qz, qw, throttle], with
+  // the time the pilot was seeing other ships at appended while firing
+  function packInput(input) {
+    let buttons = 0;
+    if (input.keys.w) buttons |= BUTTON_W;
+    if (input.keys.a) buttons |= BUTTON_A;
+    if (input.keys.s) buttons |= BUTTON_S;
+    if (input.keys.d) buttons |= BUTTON_D;
+    if (input.keys.up) buttons |= BUTTON_UP;
+    if (input.keys.down) buttons |= BUTTON_DOWN;
+    if (input.warp) buttons |= BUTTON_WARP;
+    if (input.flightAssist === false) buttons |= BUTTON_NEWTONIAN;
+    if (input.fire && input.fire.laser) buttons |= BUTTON_FIRE_LASER;
+    if (input.fire && input.fire.plasma) buttons |= BUTTON_FIRE_PLASMA;
+
+    const q = input.quaternion;
+    const throttle = input.throttle === undefined ? 1 : input.throttle;
+    const packed = [input.seq, buttons, q.x, q.y, q.z, q.w, throttle];
+    if (buttons & (BUTTON_FIRE_LASER | BUTTON_FIRE_PLASMA)) {
+      packed.push(input.viewTime);
+    }
+    return packed;
+  }
+
+  // Expand a packed input back into the shape shipPhysics.sanitizeInput
+  // validates. Returns null if it isn't a packed input at all.
+  function unpackInput(packed) {
+    if (!Array.isArray(packed) || packed.length < 7 || packed.length > 8) {
+      return null;
+    }
+
+    const [seq, buttons, x, y, z, w, throttle, viewTime] = packed;
+    if (!Number.isInteger(buttons)) return null;
+
+    return {
+      seq,
+      keys: {
+        w: (buttons & BUTTON_W) !== 0,
+        a: (buttons & BUTTON_A) !== 0,
+        s: (buttons & BUTTON_S) !== 0,
+        d: (buttons & BUTTON_D) !== 0,
+        up: (buttons & BUTTON_UP) !== 0,
+        down: (buttons & BUTTON_DOWN) !== 0,
+      },
+      warp: (buttons & BUTTON_WARP) !== 0,
+      flightAssist: (buttons & BUTTON_NEWTONIAN) === 0,
+      throttle,
+      fire: {
+        laser: (buttons & BUTTON_FIRE_LASER) !== 0,
+        plasma: (buttons & BUTTON_FIRE_PLASMA) !== 0,
+      },
+      viewTime,
+      quaternion: { x, y, z, w },
+    };
+  }
+
+  return {
+    FIELD_POSITION,
+    FIELD_QUATERNION,
+    FIELD_VELOCITY,
+    ALL_FIELDS,
+    encodeSnapshot,
+    decodeSnapshot,
+    packInput,
+    unpackInput,
+  };
+});
@@ -0,0 +1,280 @@
+// Star systems around the bright stars: planets and moons on Keplerian
+// orbits, plus the space stations players travel between. Generated from
+// the galaxy seed so the server and clients agree on every body and where
+// it is at any moment.
+// Exposed as window.SpaceShared.starSystems in the browser.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./random"));
+  } else {
+    root.SpaceShared = root.SpaceShared || {};
+    root.SpaceShared.starSystems = factory(root.SpaceShared.random);
+  }
+})(typeof self !== "undefined" ? self : this, function (random) {
+  const { Rng } = random;
+
+  // Bright star sphere radius (matches the client mesh)
+  const STAR_RADIUS = 100;
+
+  // Orbital period in seconds is k * semiMajorAxis^1.5 (Kepler's third
+  // law). Tuned so inner planets go round in about ten minutes.
+  const PLANET_PERIOD_FACTOR = 0.0067;
+  const MOON_PERIOD_FACTOR = 0.042;
+
+  const PLANET_TYPES = [
+    {
+      type: "rocky",
+      minRadius: 20,
+      maxRadius: 60,
+      colors: [0xa0522d, 0x8b8b83, 0xcd853f],
+    },
+    {
+      type: "gas",
+      minRadius: 80,
+      maxRadius: 200,
+      colors: [0xdeb887, 0xf4a460, 0x87ceeb],
+    },
+    {
+      type: "ice",
+      minRadius: 30,
+      maxRadius: 80,
+      colors: [0xe0ffff, 0xb0e0e6, 0xafeeee],
+    },
+  ];
+
+  const STATION_RADIUS = 20;
+
+  // Syllables for procedural names
+  const NAME_START = "Al Be Cor Dra El Fa Gal Hy Ix Ka Lum Mor".split(" ");
+  const NAME_MIDDLE = ["", "a", "e", "i", "o", "ar", "en", "is", "or", "un"];
+  const NAME_END = "ris tar nix lon mira dus thea gon vos cyon".split(" ");
+  const STATION_KINDS = ["Station", "Outpost", "Hub", "Port", "Exchange"];
+  const ROMAN = ["I", "II", "III", "IV", "V", "VI", "VII", "VIII"];
+
+  function generateName(rng) {
+    return rng.pick(NAME_START) + rng.pick(NAME_MIDDLE) + rng.pick(NAME_END);
+  }
+
+  // Random orbital elements for a body orbiting at roughly `distance`
+  function generateOrbit(rng, distance, periodFactor, maxInclination) {
+    return {
+      semiMajorAxis: distance,
+      eccentricity: rng.next() * 0.15,
+      inclination: (rng.next() - 0.5) * 2 * maxInclination,
+      longitudeOfAscendingNode: rng.next() * Math.PI * 2,
+      argumentOfPeriapsis: rng.next() * Math.PI * 2,
+      meanAnomalyAtEpoch: rng.next() * Math.PI * 2,
+      period: periodFactor * Math.pow(distance, 1.5),
+    };
+  }
+
+  // Orbits are evaluated on the server's clock, in seconds
+  function orbitTime(serverTimeMs) {
+    return serverTimeMs / 1000;
+  }
+
+  // Solve Kepler's equation M = E - e sin(E) for the eccentric anomaly
+  function eccentricAnomaly(meanAnomaly, eccentricity) {
+    let E = meanAnomaly;
+    for (let i = 0; i < 8; i++) {
+      const delta =
+        (E - eccentricity * Math.sin(E) - meanAnomaly) /
+        (1 - eccentricity * Math.cos(E));
+      E -= delta;
+      if (Math.abs(delta) < 1e-10) break;
+    }
+    return E;
+  }
+
+  // Position of an orbiting body relative to its parent at `time` seconds.
+  // The reference plane is XZ, since +Y is "up" in the galaxy.
+  function orbitPosition(orbit, time) {
+    const {
+      semiMajorAxis: a,
+      eccentricity: e,
+      inclination,
+      longitudeOfAscendingNode,
+      argumentOfPeriapsis,
+      meanAnomalyAtEpoch,
+      period,
+    } = orbit;
+
+    const meanAnomaly =
+      (meanAnomalyAtEpoch + (2 * Math.PI * time) / period) % (2 * Math.PI);
+    const E = eccentricAnomaly(meanAnomaly, e);
+
+    // Distance and true anomaly
+    const r = a * (1 - e * Math.cos(E));
+    const trueAnomaly =
+      2 *
+      Math.atan2(
+        Math.sqrt(1 + e) * Math.sin(E / 2),
+        Math.sqrt(1 - e) * Math.cos(E / 2)
+      );
+
+    // Position within the orbital plane
+    const angle = trueAnomaly + argumentOfPeriapsis;
+    const planeX = r * Math.cos(angle);
+    const planeZ = r * Math.sin(angle);
+
+    // Tilt by the inclination, then turn to the ascending node
+    const y = planeZ * Math.sin(inclination);
+    const z = planeZ * Math.cos(inclination);
+    const cosNode = Math.cos(longitudeOfAscendingNode);
+    const sinNode = Math.sin(longitudeOfAscendingNode);
+
+    return {
+      x: planeX * cosNode - z * sinNode,
+      y,
+      z: planeX * sinNode + z * cosNode,
+    };
+  }
+
+  function generateStarSystem(seed, brightStar) {
+    const rng = new Rng(seed, `starSystem:${brightStar.index}`);
+    const id = `S${brightStar.index}`;
+    const name = generateName(rng);
+
+    const system = {
+      id,
+      index: brightStar.index,
+      name,
+      position: brightStar.position,
+      starRadius: STAR_RADIUS,
+      planets: [],
+      stations: [],
+    };
+
+    // Planets, spaced further apart the further out they are
+    const planetCount = 2 + rng.int(5);
+    let distance = 2000 + rng.next() * 2000;
+    for (let p = 0; p < planetCount; p++) {
+      const planetType = rng.pick(PLANET_TYPES);
+      const planet = {
+        id: `${id}-P${p}`,
+        name: `${name} ${ROMAN[p]}`,
+        type: planetType.type,
+        radius: rng.range(planetType.minRadius, planetType.maxRadius),
+        color: rng.pick(planetType.colors),
+        orbit: generateOrbit(rng, distance, PLANET_PERIOD_FACTOR, 0.1),
+        moons: [],
+      };
+
+      const moonCount = rng.int(planetType.type === "gas" ? 4 : 2);
+      for (let m = 0; m < moonCount; m++) {
+        const moonDistance = planet.radius * (3 + m * 2 + rng.next());
+        planet.moons.push({
+          id: `${planet.id}-M${m}`,
+          name: `${planet.name}${String.fromCharCode(97 + m)}`,
+          radius: rng.range(4, 12),
+          color: 0xbbbbbb,
+          orbit: generateOrbit(rng, moonDistance, MOON_PERIOD_FACTOR, 0.3),
+        });
+      }
+
+      system.planets.push(planet);
+      distance *= 1.6 + rng.next() * 0.8;
+    }
+
+    // At least one station, each in a low orbit around a planet
+    const stationCount = 1 + rng.int(2);
+    for (let s = 0; s < stationCount; s++) {
+      const planet = rng.pick(system.planets);
+      const stationDistance = planet.radius * 1.5 + 60 + rng.next() * 40;
+      system.stations.push({
+        id: `${id}-ST${s}`,
+        name: `${generateName(rng)} ${rng.pick(STATION_KINDS)}`,
+        systemId: id,
+        parentId: planet.id,
+        radius: STATION_RADIUS,
+        orbit: generateOrbit(rng, stationDistance, MOON_PERIOD_FACTOR, 0.2),
+      });
+    }
+
+    return system;
+  }
+
+  function generateStarSystems(seed, brightStars) {
+    return brightStars.map((brightStar) =>
+      generateStarSystem(seed, brightStar)
+    );
+  }
+
+  function findPlanet(system, planetId) {
+    return system.planets.find((planet) => planet.id === planetId);
+  }
+
+  function planetPosition(system, planet, time) {
+    const offset = orbitPosition(planet.orbit, time);
+    return {
+      x: system.position.x + offset.x,
+      y: system.position.y + offset.y,
+      z: system.position.z + offset.z,
+    };
+  }
+
+  function moonPosition(system, planet, moon, time) {
+    const center = planetPosition(system, planet, time);
+    const offset = orbitPosition(moon.orbit, time);
+    return {
+      x: center.x + offset.x,
+      y: center.y + offset.y,
+      z: center.z + offset.z,
+    };
+  }
+
+  function stationPosition(system, station, time) {
+    const center = planetPosition(
+      system,
+      findPlanet(system, station.parentId),
+      time
+    );
+    const offset = orbitPosition(station.orbit, time);
+    return {
+      x: center.x + offset.x,
+      y: center.y + offset.y,
+      z: center.z + offset.z,
+    };
+  }
+
+  // A station's docking port: where it is, the direction it faces (away
+  // from the planet the station orbits) and its velocity per second
+  function stationPort(system, station, time) {
+    const position = stationPosition(system, station, time);
+    const center = planetPosition(
+      system,
+      findPlanet(system, station.parentId),
+      time
+    );
+    const next = stationPosition(system, station, time + 1);
+
+    const dx = position.x - center.x;
+    const dy = position.y - center.y;
+    const dz = position.z - center.z;
+    const length = Math.hypot(dx, dy, dz) || 1;
+
+    return {
+      position,
+      direction: { x: dx / length, y: dy / length, z: dz / length },
+      velocity: {
+        x: next.x - position.x,
+        y: next.y - position.y,
+        z: next.z - position.z,
+      },
+    };
+  }
+
+  return {
+    STAR_RADIUS,
+    STATION_RADIUS,
+    generateStarSystem,
+    generateStarSystems,
+    orbitTime,
+    orbitPosition,
+    findPlanet,
+    planetPosition,
+    moonPosition,
+    stationPosition,
+    stationPort,
+  };
+});
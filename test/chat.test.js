@@ -0,0 +1,134 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  Chat,
+  MAX_MESSAGE_LENGTH,
+  LOCAL_CHAT_RADIUS,
+  sanitizeMessage,
+} = require("../server/chat");
+const { createPlayer } = require("./helpers/players");
+
+const NOW = 1700000000000;
+
+function pilot(id, name, position = { x: 0, y: 0, z: 0 }) {
+  const player = { ...createPlayer(), id, name, socketId: `socket-${id}` };
+  Object.assign(player.state.position, position);
+  return player;
+}
+
+test("markup and control characters are stripped from messages", () => {
+  assert.strictEqual(
+    sanitizeMessage("  <b>hello</b>\n\tthere <script>  "),
+    "hello there"
+  );
+  assert.strictEqual(sanitizeMessage("gg > ez"), "gg ez");
+});
+
+test("blocked words are masked, along with anything built on them", () => {
+  assert.strictEqual(sanitizeMessage("well SHIT"), "well ****");
+  assert.strictEqual(sanitizeMessage("bastards"), "********");
+  assert.strictEqual(sanitizeMessage("shiitake"), "shiitake");
+});
+
+test("messages with nothing left in them are refused", () => {
+  assert.strictEqual(sanitizeMessage("  <br> \u0007 "), null);
+  assert.strictEqual(sanitizeMessage(42), null);
+
+  const sender = pilot("a", "Ace");
+  const result = new Chat().send(
+    sender,
+    { channel: "global", text: "<i></i>" },
+    [sender],
+    NOW
+  );
+  assert.deepStrictEqual(result, { ok: false, reason: "Empty message" });
+});
+
+test("long messages and unknown channels are refused", () => {
+  const sender = pilot("a", "Ace");
+  const messages = new Chat();
+
+  assert.strictEqual(
+    messages.send(
+      sender,
+      { channel: "global", text: "x".repeat(MAX_MESSAGE_LENGTH + 1) },
+      [sender],
+      NOW
+    ).ok,
+    false
+  );
+  assert.deepStrictEqual(
+    messages.send(sender, { channel: "team", text: "hi" }, [sender], NOW),
+    { ok: false, reason: "Unknown channel" }
+  );
+});
+
+test("senders get a burst of messages, then one a second", () => {
+  const sender = pilot("a", "Ace");
+  const messages = new Chat();
+  const say = (now) =>
+    messages.send(sender, { channel: "global", text: "hi" }, [sender], now).ok;
+
+  for (let i = 0; i < 5; i++) assert.strictEqual(say(NOW), true);
+  assert.strictEqual(say(NOW), false);
+  assert.strictEqual(say(NOW + 500), false);
+  assert.strictEqual(say(NOW + 1500), true);
+  assert.strictEqual(say(NOW + 1500), false);
+
+  // Allowances start over for a pilot who comes back
+  messages.removePlayer(sender.id);
+  assert.strictEqual(say(NOW + 1500), true);
+});
+
+test("local chat only reaches ships nearby", () => {
+  const sender = pilot("a", "Ace");
+  const near = pilot("b", "Bee", { x: LOCAL_CHAT_RADIUS, y: 0, z: 0 });
+  const far = pilot("c", "Cee", { x: LOCAL_CHAT_RADIUS + 1, y: 0, z: 0 });
+
+  const result = new Chat().send(
+    sender,
+    { channel: "local", text: "anyone?" },
+    [sender, near, far],
+    NOW
+  );
+
+  assert.strictEqual(result.ok, true);
+  assert.deepStrictEqual(result.recipients, [sender, near]);
+});
+
+test("direct messages reach only the named pilot", () => {
+  const sender = pilot("a", "Ace");
+  const friend = pilot("b", "Bee");
+  const offline = { ...pilot("c", "Cee"), socketId: null };
+  const messages = new Chat();
+  const everyone = [sender, friend, offline];
+
+  const result = messages.send(
+    sender,
+    { channel: "direct", to: " bee ", text: "psst" },
+    everyone,
+    NOW
+  );
+  assert.deepStrictEqual(result.recipients, [sender, friend]);
+  assert.strictEqual(result.message.to, "Bee");
+  assert.strictEqual(result.message.from, "Ace");
+
+  assert.strictEqual(
+    messages.send(
+      sender,
+      { channel: "direct", to: "Cee", text: "hello?" },
+      everyone,
+      NOW
+    ).ok,
+    false
+  );
+  assert.strictEqual(
+    messages.send(
+      sender,
+      { channel: "direct", to: "Ace", text: "me" },
+      everyone,
+      NOW
+    ).ok,
+    false
+  );
+});
@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const collision = require("../shared/collision");
+const starSystems = require("../shared/starSystems");
+const world = require("../server/world");
+const { CollisionSystem } = require("../server/collisions");
+const { createPlayer } = require("./helpers/players");
+
+const NOW = 1700000000000;
+
+function offset(point, dx, dy = 0, dz = 0) {
+  return { x: point.x + dx, y: point.y + dy, z: point.z + dz };
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+test("a sweep finds where a path first touches a sphere", () => {
+  const center = { x: 0, y: 0, z: 0 };
+  const from = { x: -20, y: 0, z: 0 };
+
+  assert.strictEqual(
+    collision.sweepSphere(from, { x: 20, y: 0, z: 0 }, center, 10),
+    0.25
+  );
+  assert.strictEqual(
+    collision.sweepSphere(from, { x: -15, y: 0, z: 0 }, center, 10),
+    -1
+  );
+  assert.strictEqual(
+    collision.sweepSphere(from, { x: 20, y: 30, z: 0 }, center, 10),
+    -1
+  );
+  assert.strictEqual(collision.sweepSphere(center, from, center, 10), 0);
+});
+
+test("gentle bumps do no damage", () => {
+  assert.strictEqual(collision.impactDamage(collision.SAFE_IMPACT_SPEED), 0);
+  assert.ok(collision.impactDamage(collision.SAFE_IMPACT_SPEED + 100) > 0);
+});
+
+test("a ship flying through a planet in one step bounces off it", () => {
+  const system = world.starSystems[0];
+  const [planet] = system.planets;
+  const center = starSystems.planetPosition(
+    system,
+    planet,
+    starSystems.orbitTime(NOW)
+  );
+  const player = createPlayer();
+  const from = offset(center, planet.radius + 5);
+  player.state.position = offset(center, -planet.radius - 5);
+  player.state.velocity = { x: -1000, y: 0, z: 0 };
+
+  const hit = new CollisionSystem().collideWithWorld(player, from, NOW);
+
+  assert.strictEqual(hit.kind, "planet");
+  assert.strictEqual(hit.name, planet.name);
+  assert.strictEqual(hit.fatal, false);
+  assert.ok(hit.damage > 0);
+  assert.ok(
+    Math.abs(
+      distance(player.state.position, center) -
+        (planet.radius + collision.SHIP_RADIUS)
+    ) < 1e-6
+  );
+  assert.ok(player.state.position.x > center.x);
+  assert.ok(player.state.velocity.x > 0);
+});
+
+test("stars burn up whatever flies into them", () => {
+  const system = world.starSystems[0];
+  const player = createPlayer();
+  const from = offset(system.position, 0, system.starRadius + 50);
+  player.state.position = offset(system.position, 0, system.starRadius - 10);
+
+  const hit = new CollisionSystem().collideWithWorld(player, from, NOW);
+
+  assert.strictEqual(hit.kind, "star");
+  assert.strictEqual(hit.fatal, true);
+});
+
+test("open space is clear", () => {
+  const player = createPlayer();
+  player.state.position = { x: 0, y: 500000, z: 0 };
+
+  assert.strictEqual(
+    new CollisionSystem().collideWithWorld(
+      player,
+      { x: 100, y: 500000, z: 0 },
+      NOW
+    ),
+    null
+  );
+});
+
+test("overlapping ships are pushed apart, and docked ones are left out", () => {
+  const collisions = new CollisionSystem();
+  const a = { ...createPlayer(), id: "a" };
+  const b = { ...createPlayer(), id: "b" };
+  const docked = { ...createPlayer(), id: "c", dockedAt: "S0-ST0" };
+  b.state.position = { x: 1, y: 0, z: 0 };
+  a.state.velocity = { x: 100, y: 0, z: 0 };
+
+  const hits = collisions.collideShips([a, b, docked]);
+
+  assert.strictEqual(hits.length, 1);
+  assert.deepStrictEqual(hits[0].players, [a, b]);
+  assert.ok(
+    distance(a.state.position, b.state.position) >=
+      collision.SHIP_RADIUS * 2 - 1e-9
+  );
+  assert.ok(b.state.velocity.x > a.state.velocity.x);
+  assert.ok(hits[0].damage > 0);
+});
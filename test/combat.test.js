@@ -0,0 +1,227 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const combatRules = require("../shared/combat");
+const world = require("../server/world");
+const {
+  Combat,
+  rechargeShield,
+  applyDamage,
+  respawnShip,
+} = require("../server/combat");
+const { createPlayer } = require("./helpers/players");
+
+const NOW = 1700000000000;
+
+// Far from every station, so nobody is in a safe zone
+const OPEN_SPACE = { x: 0, y: 500000, z: 0 };
+
+// Facing -Z, the way a new ship points
+const FORWARD = { x: 0, y: 0, z: -1 };
+
+function pilot(id, position = OPEN_SPACE) {
+  const player = { ...createPlayer(), id };
+  Object.assign(player.state.position, position);
+  return player;
+}
+
+function ahead(distance, sideways = 0) {
+  return {
+    x: OPEN_SPACE.x + sideways,
+    y: OPEN_SPACE.y,
+    z: OPEN_SPACE.z - distance,
+  };
+}
+
+function trigger(weapon, viewTime = null) {
+  return {
+    fire: { laser: weapon === "laser", plasma: weapon === "plasma" },
+    quaternion: { x: 0, y: 0, z: 0, w: 1 },
+    viewTime,
+  };
+}
+
+test("lasers hit where the shooter saw the target", () => {
+  const combat = new Combat();
+  const shooter = pilot("shooter");
+  const target = pilot("target", ahead(500));
+  combat.recordPositions([shooter, target], NOW - 200);
+  // The target has since moved well out of the beam
+  Object.assign(target.state.position, ahead(500, 100));
+  combat.recordPositions([shooter, target], NOW);
+
+  const [shot] = combat.fire(
+    shooter,
+    trigger("laser", NOW - 200),
+    [target],
+    NOW
+  );
+
+  assert.strictEqual(shot.target, target);
+  assert.strictEqual(shot.damage, combatRules.WEAPONS.laser.damage);
+});
+
+test("lasers can't rewind further than the limit", () => {
+  const combat = new Combat();
+  const shooter = pilot("shooter");
+  const target = pilot("target", ahead(500));
+  combat.recordPositions([shooter, target], NOW - 900);
+  Object.assign(target.state.position, ahead(500, 100));
+  combat.recordPositions([shooter, target], NOW - 400);
+
+  const [shot] = combat.fire(
+    shooter,
+    trigger("laser", NOW - 900),
+    [target],
+    NOW
+  );
+
+  assert.strictEqual(shot.target, null);
+  assert.strictEqual(shot.damage, 0);
+});
+
+test("weapons wait out their cooldown before firing again", () => {
+  const combat = new Combat();
+  const shooter = pilot("shooter");
+
+  assert.strictEqual(combat.fire(shooter, trigger("laser"), [], NOW).length, 1);
+  assert.strictEqual(combat.fire(shooter, trigger("laser"), [], NOW).length, 0);
+
+  combat.coolWeapons(shooter, combatRules.WEAPONS.laser.cooldown);
+  assert.strictEqual(shooter.weapons.laser, 0);
+  assert.strictEqual(combat.fire(shooter, trigger("laser"), [], NOW).length, 1);
+});
+
+test("nobody fires from or into a safe zone", () => {
+  const combat = new Combat();
+  const [stationId] = world.stations.keys();
+  const station = world.stationPosition(stationId, NOW);
+  const sheltered = pilot("sheltered", {
+    x: station.x,
+    y: station.y,
+    z: station.z + 100,
+  });
+
+  assert.deepStrictEqual(combat.fire(sheltered, trigger("laser"), [], NOW), []);
+
+  // Shoot at the sheltered ship from outside the zone, straight down -Z
+  const shooter = pilot("shooter", {
+    x: station.x,
+    y: station.y,
+    z: station.z + combatRules.SAFE_ZONE_RADIUS + 500,
+  });
+  combat.recordPositions([shooter, sheltered], NOW);
+  const [shot] = combat.fire(shooter, trigger("laser"), [sheltered], NOW);
+
+  assert.strictEqual(shot.target, null);
+});
+
+test("plasma bolts fly until they hit a ship", () => {
+  const combat = new Combat();
+  const shooter = pilot("shooter");
+  const target = pilot("target", ahead(400));
+  const { speed, damage } = combatRules.WEAPONS.plasma;
+
+  const [{ projectile }] = combat.fire(shooter, trigger("plasma"), [], NOW);
+
+  // The bolt doesn't hit its own ship, and is still short of the target
+  assert.deepStrictEqual(
+    combat.stepProjectiles([shooter, target], 0.1, NOW),
+    []
+  );
+  const [hit] = combat.stepProjectiles([shooter, target], 300 / speed, NOW);
+
+  assert.strictEqual(hit.projectile, projectile);
+  assert.strictEqual(hit.target, target);
+  assert.strictEqual(hit.projectile.weapon.damage, damage);
+  assert.strictEqual(combat.projectiles.size, 0);
+});
+
+test("plasma bolts stop at stars, and ships behind them are safe", () => {
+  const combat = new Combat();
+  const system = world.starSystems[0];
+  const surface = system.position.z + system.starRadius;
+  const shooter = pilot("shooter", { ...system.position, z: surface + 500 });
+  const hidden = pilot("hidden", {
+    ...system.position,
+    z: system.position.z - system.starRadius - 500,
+  });
+
+  combat.launchProjectile(shooter, combatRules.WEAPONS.plasma, FORWARD, NOW);
+  const [hit] = combat.stepProjectiles(
+    [shooter, hidden],
+    // Far enough to reach the hidden ship through the star
+    (system.starRadius * 2 + 2000) / combatRules.WEAPONS.plasma.speed,
+    NOW
+  );
+
+  assert.strictEqual(hit.target, null);
+  assert.ok(Math.abs(hit.position.z - surface) < 10);
+  assert.strictEqual(combat.projectiles.size, 0);
+});
+
+test("plasma bolts fizzle out after their lifetime", () => {
+  const combat = new Combat();
+  const shooter = pilot("shooter");
+  combat.fire(shooter, trigger("plasma"), [], NOW);
+
+  const { lifetime } = combatRules.WEAPONS.plasma;
+  const [fizzled] = combat.stepProjectiles(
+    [shooter],
+    0.01,
+    NOW + lifetime * 1000
+  );
+
+  assert.strictEqual(fizzled.target, null);
+  assert.strictEqual(combat.projectiles.size, 0);
+});
+
+test("shields soak up damage before the hull", () => {
+  const player = pilot("player");
+  const { maxHull, maxShield } = player.stats;
+
+  assert.strictEqual(applyDamage(player, maxShield - 10), false);
+  assert.strictEqual(player.shield, 10);
+  assert.strictEqual(player.hull, maxHull);
+
+  assert.strictEqual(applyDamage(player, 30), false);
+  assert.strictEqual(player.shield, 0);
+  assert.strictEqual(player.hull, maxHull - 20);
+});
+
+test("shields recharge once the ship hasn't been hit for a while", () => {
+  const player = pilot("player");
+  applyDamage(player, 20);
+  const { maxShield } = player.stats;
+
+  rechargeShield(player, combatRules.SHIELD_RECHARGE_DELAY / 2);
+  assert.strictEqual(player.shield, maxShield - 20);
+
+  rechargeShield(player, combatRules.SHIELD_RECHARGE_DELAY / 2);
+  rechargeShield(player, 2);
+  assert.strictEqual(
+    player.shield,
+    maxShield - 20 + combatRules.SHIELD_RECHARGE_RATE * 2
+  );
+
+  rechargeShield(player, 1000);
+  assert.strictEqual(player.shield, maxShield);
+});
+
+test("destroyed ships respawn at the spawn point, repaired and at rest", () => {
+  const player = pilot("player");
+  player.state.velocity.x = 500;
+  player.state.warpDrive.energy = 3;
+  player.weapons.plasma = 1;
+
+  assert.strictEqual(applyDamage(player, 1000), true);
+  assert.strictEqual(player.hull, 0);
+
+  respawnShip(player);
+
+  assert.deepStrictEqual(player.state.position, world.SPAWN_POSITION);
+  assert.deepStrictEqual(player.state.velocity, { x: 0, y: 0, z: 0 });
+  assert.strictEqual(player.hull, player.stats.maxHull);
+  assert.strictEqual(player.shield, player.stats.maxShield);
+  assert.strictEqual(player.state.warpDrive.energy, player.stats.warp.capacity);
+  assert.strictEqual(player.weapons.plasma, 0);
+});
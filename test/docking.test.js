@@ -0,0 +1,159 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const shipPhysics = require("../shared/shipPhysics");
+const world = require("../server/world");
+const sharedDocking = require("../shared/docking");
+const docking = require("../server/docking");
+const { Economy } = require("../server/economy");
+const { STATION_ID, createPlayer, dockedPlayer } = require("./helpers/players");
+
+const NOW = 1700000000000;
+
+function createEconomy() {
+  return new Economy(
+    world.GALAXY_SEED,
+    [...world.stations.values()].map(({ station }) => station)
+  );
+}
+
+function fuelStock(economy) {
+  return economy
+    .getMarket(STATION_ID)
+    .commodities.find((commodity) => commodity.id === "fuel").stock;
+}
+
+// A docked pilot with an empty warp drive
+function emptyDrivePlayer(credits) {
+  const player = dockedPlayer();
+  player.state.warpDrive.energy = 0;
+  player.inventory.credits = credits;
+  return player;
+}
+
+// A ship `distance` out along the port, matching its speed and pointing
+// into it
+function approachingPlayer(distance = 100) {
+  const player = createPlayer();
+  const { position, direction, velocity } = world.stationPort(STATION_ID, NOW);
+  const { state } = player;
+  state.position.x = position.x + direction.x * distance;
+  state.position.y = position.y + direction.y * distance;
+  state.position.z = position.z + direction.z * distance;
+  Object.assign(state.velocity, velocity);
+  Object.assign(
+    state.quaternion,
+    shipPhysics.orientationFromDirection({
+      x: -direction.x,
+      y: -direction.y,
+      z: -direction.z,
+    }).quaternion
+  );
+  return player;
+}
+
+test("a slow, aligned ship in range docks and is parked in the port", () => {
+  const player = approachingPlayer();
+  player.inputQueue.push({ seq: 3 });
+  player.lastReceivedSeq = 3;
+
+  const result = docking.dock(player, STATION_ID, NOW);
+
+  assert.deepStrictEqual(result, { ok: true, stationId: STATION_ID });
+  assert.strictEqual(player.dockedAt, STATION_ID);
+  assert.deepStrictEqual(player.inputQueue, []);
+  assert.strictEqual(player.lastProcessedSeq, 3);
+  assert.deepStrictEqual(
+    player.state.position,
+    world.stationPort(STATION_ID, NOW).position
+  );
+});
+
+test("docking needs range, a low speed and the right heading", () => {
+  const far = approachingPlayer(1000);
+  assert.strictEqual(
+    docking.dock(far, STATION_ID, NOW).reason,
+    "Out of docking range"
+  );
+
+  const fast = approachingPlayer();
+  fast.state.velocity.x += 500;
+  assert.strictEqual(
+    docking.dock(fast, STATION_ID, NOW).reason,
+    "Too fast to dock"
+  );
+
+  const backwards = approachingPlayer();
+  const { direction } = world.stationPort(STATION_ID, NOW);
+  Object.assign(
+    backwards.state.quaternion,
+    shipPhysics.orientationFromDirection(direction).quaternion
+  );
+  assert.strictEqual(
+    docking.dock(backwards, STATION_ID, NOW).reason,
+    "Not aligned with docking port"
+  );
+
+  assert.strictEqual(
+    docking.dock(approachingPlayer(), "S9-ST9", NOW).reason,
+    "Unknown station"
+  );
+  assert.strictEqual(
+    docking.dock(dockedPlayer(), STATION_ID, NOW).reason,
+    "Already docked"
+  );
+});
+
+test("undocking launches the ship out of the port", () => {
+  const player = dockedPlayer();
+  const port = world.stationPort(STATION_ID, NOW);
+
+  const result = docking.undock(player, NOW);
+
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(player.dockedAt, null);
+  const { position, velocity } = player.state;
+  const out =
+    (position.x - port.position.x) * port.direction.x +
+    (position.y - port.position.y) * port.direction.y +
+    (position.z - port.position.z) * port.direction.z;
+  const away =
+    (velocity.x - port.velocity.x) * port.direction.x +
+    (velocity.y - port.velocity.y) * port.direction.y +
+    (velocity.z - port.velocity.z) * port.direction.z;
+  assert.ok(Math.abs(out - sharedDocking.UNDOCK_DISTANCE) < 1e-6);
+  assert.ok(away > 0);
+
+  assert.strictEqual(docking.undock(player, NOW).reason, "Not docked");
+});
+
+test("refuelling buys fuel off the station's market", () => {
+  const economy = createEconomy();
+  const stock = fuelStock(economy);
+  const player = emptyDrivePlayer(100000);
+
+  const result = docking.refuel(player, economy);
+
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(player.state.warpDrive.energy, 100);
+  assert.strictEqual(fuelStock(economy), stock - 10);
+  assert.strictEqual(player.inventory.credits, 100000 - result.cost);
+});
+
+test("a station out of fuel can't refuel anyone", () => {
+  const economy = createEconomy();
+  economy.markets.get(STATION_ID).commodities.fuel.stock = 0;
+
+  const result = docking.refuel(emptyDrivePlayer(100000), economy);
+
+  assert.deepStrictEqual(result, { ok: false, reason: "No fuel for sale" });
+});
+
+test("refuelling stops at what the player can afford", () => {
+  const economy = createEconomy();
+  const player = emptyDrivePlayer(0);
+
+  const result = docking.refuel(player, economy);
+
+  assert.deepStrictEqual(result, { ok: false, reason: "Not enough credits" });
+  assert.strictEqual(player.state.warpDrive.energy, 0);
+});
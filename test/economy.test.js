@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { COMMODITIES, Economy } = require("../server/economy");
+
+const station = { id: "S0-ST0" };
+const ore = COMMODITIES.find((commodity) => commodity.id === "ore");
+
+function createEconomy() {
+  return new Economy("test-seed", [station]);
+}
+
+function entry(economy, commodityId) {
+  return economy.markets.get(station.id).commodities[commodityId];
+}
+
+test("scarce goods cost more, and stations buy below what they sell at", () => {
+  const economy = createEconomy();
+
+  assert.ok(economy.unitPrice(ore, 50) > economy.unitPrice(ore, 500));
+  assert.ok(economy.unitPrice(ore, 5000) < economy.unitPrice(ore, 500));
+  assert.ok(economy.buyPrice(ore, 500) > economy.sellPrice(ore, 500));
+});
+
+test("prices stay within their limits however extreme the stock", () => {
+  const economy = createEconomy();
+
+  assert.strictEqual(economy.unitPrice(ore, 0), ore.basePrice * 4);
+  assert.strictEqual(economy.unitPrice(ore, 1e9), ore.basePrice * 0.25);
+});
+
+test("large orders pay for the price movement they cause", () => {
+  const economy = createEconomy();
+  const { stock } = entry(economy, "ore");
+
+  const quote = economy.quoteTrade(station.id, "ore", 100, "buy");
+
+  assert.strictEqual(quote.ok, true);
+  assert.ok(quote.total > 100 * economy.buyPrice(ore, stock));
+  assert.strictEqual(entry(economy, "ore").stock, stock);
+});
+
+test("bad orders are refused", () => {
+  const economy = createEconomy();
+  const { stock } = entry(economy, "ore");
+  const orders = [
+    [["S9-ST9", "ore", 1, "buy"], "Unknown station"],
+    [[station.id, "gold", 1, "buy"], "Unknown commodity"],
+    [[station.id, "ore", 0, "buy"], "Invalid quantity"],
+    [[station.id, "ore", 1.5, "buy"], "Invalid quantity"],
+    [[station.id, "ore", 1001, "sell"], "Invalid quantity"],
+    [[station.id, "ore", 1, "steal"], "Invalid action"],
+    [[station.id, "ore", Math.floor(stock) + 1, "buy"], "Not enough stock"],
+  ];
+
+  orders.forEach(([order, reason]) => {
+    assert.deepStrictEqual(economy.quoteTrade(...order), { ok: false, reason });
+  });
+});
+
+test("committed trades move the station's stock", () => {
+  const economy = createEconomy();
+  const { stock } = entry(economy, "ore");
+
+  economy.commitTrade(economy.quoteTrade(station.id, "ore", 10, "buy"));
+  assert.strictEqual(entry(economy, "ore").stock, stock - 10);
+
+  economy.commitTrade(economy.quoteTrade(station.id, "ore", 25, "sell"));
+  assert.strictEqual(entry(economy, "ore").stock, stock + 15);
+});
+
+test("markets restock towards their target over time", (t) => {
+  t.mock.method(Math, "random", () => 0.5); // No drift noise
+  const economy = createEconomy();
+  const market = entry(economy, "ore");
+  market.stock = 0;
+
+  economy.tick(60);
+  const partly = market.stock;
+  assert.ok(partly > 0 && partly < market.targetStock);
+
+  for (let i = 0; i < 100; i++) economy.tick(60);
+  assert.ok(Math.abs(market.stock - market.targetStock) < 1);
+});
@@ -0,0 +1,38 @@
+const shipPhysics = require("../../shared/shipPhysics");
+const world = require("../../server/world");
+const ships = require("../../shared/ships");
+const inventory = require("../../server/inventory");
+const missions = require("../../server/missions");
+const { createWeapons } = require("../../server/combat");
+
+// A station the tests can dock at
+const STATION_ID = [...world.stations.keys()][0];
+
+// A new pilot in open space, shaped like the server's players
+function createPlayer() {
+  const playerInventory = inventory.createInventory();
+  const stats = ships.shipStats(playerInventory.ship);
+  const state = shipPhysics.createShipState();
+  state.warpDrive = shipPhysics.createWarpDrive(stats.warp.capacity);
+  return {
+    dockedAt: null,
+    state,
+    inputQueue: [],
+    lastReceivedSeq: -1,
+    lastProcessedSeq: -1,
+    inventory: playerInventory,
+    stats,
+    hull: stats.maxHull,
+    shield: stats.maxShield,
+    shieldDelay: 0,
+    weapons: createWeapons(),
+    missions: missions.createMissionLog(),
+  };
+}
+
+// A new pilot docked at a station
+function dockedPlayer(stationId = STATION_ID) {
+  return { ...createPlayer(), dockedAt: stationId };
+}
+
+module.exports = { STATION_ID, createPlayer, dockedPlayer };
@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const inputs = require("../server/inputs");
+const { FIXED_TIMESTEP } = require("../shared/shipPhysics");
+
+function input(seq) {
+  return { seq, keys: { w: true }, quaternion: { x: 0, y: 0, z: 0, w: 1 } };
+}
+
+function newPlayer() {
+  return { inputQueue: [], inputBudget: 0, lastReceivedSeq: -1 };
+}
+
+// Consume what the budget allows after `elapsed` seconds. Returns the
+// sequence numbers stepped.
+function stepFor(player, elapsed) {
+  inputs.refillBudget(player, elapsed);
+  const stepped = [];
+  while (inputs.canStep(player)) stepped.push(inputs.takeInput(player).seq);
+  return stepped;
+}
+
+function queueMany(player, count) {
+  const first = player.lastReceivedSeq + 1;
+  for (let seq = first; seq < first + count; seq++) {
+    inputs.queueInput(player, input(seq));
+  }
+}
+
+test("inputs are queued in sequence order", () => {
+  const player = newPlayer();
+
+  assert.deepStrictEqual(inputs.queueInput(player, input(0)), { ok: true });
+  assert.deepStrictEqual(inputs.queueInput(player, input(1)), { ok: true });
+
+  assert.deepStrictEqual(
+    player.inputQueue.map((queued) => queued.seq),
+    [0, 1]
+  );
+  assert.strictEqual(player.lastReceivedSeq, 1);
+});
+
+test("repeated and out-of-order sequence numbers are rejected", () => {
+  const player = newPlayer();
+  inputs.queueInput(player, input(5));
+
+  [5, 4].forEach((seq) => {
+    assert.deepStrictEqual(inputs.queueInput(player, input(seq)), {
+      ok: false,
+      seq,
+      reason: "invalid",
+    });
+  });
+  assert.strictEqual(player.inputQueue.length, 1);
+});
+
+test("malformed inputs are rejected", () => {
+  const player = newPlayer();
+  const malformed = [
+    null,
+    { seq: -1, quaternion: { x: 0, y: 0, z: 0, w: 1 } },
+    { seq: 0.5, quaternion: { x: 0, y: 0, z: 0, w: 1 } },
+    { seq: 0 },
+    { seq: 0, quaternion: { x: 0, y: 0, z: 0, w: 0 } },
+    { seq: 0, quaternion: { x: NaN, y: 0, z: 0, w: 1 } },
+  ];
+
+  malformed.forEach((raw) => {
+    assert.strictEqual(inputs.queueInput(player, raw).reason, "invalid");
+  });
+  assert.strictEqual(player.inputQueue.length, 0);
+});
+
+test("orientations are normalized so they can't scale thrust", () => {
+  const player = newPlayer();
+  inputs.queueInput(player, {
+    seq: 0,
+    quaternion: { x: 0, y: 0, z: 0, w: 10 },
+  });
+
+  assert.deepStrictEqual(player.inputQueue[0].quaternion, {
+    x: 0,
+    y: 0,
+    z: 0,
+    w: 1,
+  });
+});
+
+test("a full queue turns further inputs away", () => {
+  const player = newPlayer();
+  for (let seq = 0; seq < inputs.MAX_QUEUED_INPUTS; seq++) {
+    inputs.queueInput(player, input(seq));
+  }
+
+  const seq = inputs.MAX_QUEUED_INPUTS;
+  assert.deepStrictEqual(inputs.queueInput(player, input(seq)), {
+    ok: false,
+    seq,
+    reason: "flood",
+  });
+  assert.strictEqual(player.inputQueue.length, inputs.MAX_QUEUED_INPUTS);
+});
+
+test("a tick only steps as many inputs as real time allows", () => {
+  const player = newPlayer();
+  queueMany(player, 5);
+
+  assert.deepStrictEqual(stepFor(player, 2 * FIXED_TIMESTEP), [0, 1]);
+  assert.deepStrictEqual(stepFor(player, FIXED_TIMESTEP), [2]);
+  assert.strictEqual(player.inputQueue.length, 2);
+});
+
+test("an idle player can only bank a short burst of steps", () => {
+  const player = newPlayer();
+  stepFor(player, 10);
+  queueMany(player, 30);
+
+  assert.strictEqual(stepFor(player, 0).length, inputs.MAX_INPUT_BURST);
+});
@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { SpatialGrid } = require("../server/spatialGrid");
+const { InterestManager } = require("../server/interest");
+
+function at(x, y = 0, z = 0) {
+  return { x, y, z };
+}
+
+function ship(id, x) {
+  return { id, state: { position: at(x) } };
+}
+
+test("the grid finds ids within a radius across cell borders", () => {
+  const grid = new SpatialGrid(100);
+  grid.update("near", at(95));
+  grid.update("across", at(-30, 40));
+  grid.update("far", at(500));
+  grid.update("corner", at(0, 150, 150));
+
+  assert.deepStrictEqual(grid.query(at(0), 100).sort(), ["across", "near"]);
+});
+
+test("the grid follows ids as they move and forgets removed ones", () => {
+  const grid = new SpatialGrid(100);
+  grid.update("ship", at(0));
+  grid.update("ship", at(1000));
+
+  assert.deepStrictEqual(grid.query(at(0), 50), []);
+  assert.deepStrictEqual(grid.query(at(1000), 50), ["ship"]);
+
+  grid.remove("ship");
+  assert.deepStrictEqual(grid.query(at(1000), 50), []);
+  assert.strictEqual(grid.cells.size, 0);
+});
+
+test("ships enter a viewer's view in range and leave past the margin", () => {
+  const interest = new InterestManager({ relevanceRadius: 1000 });
+  const viewer = ship("viewer", 0);
+  const other = ship("other", 900);
+  const players = { viewer, other };
+
+  interest.updatePositions(Object.values(players));
+  assert.deepStrictEqual(interest.refresh(viewer, players), {
+    entered: ["other"],
+    left: [],
+  });
+
+  // Just outside the radius, but not far enough to drop
+  other.state.position.x = 1050;
+  interest.updatePositions(Object.values(players));
+  assert.deepStrictEqual(interest.refresh(viewer, players), {
+    entered: [],
+    left: [],
+  });
+
+  other.state.position.x = 1200;
+  interest.updatePositions(Object.values(players));
+  assert.deepStrictEqual(interest.refresh(viewer, players), {
+    entered: [],
+    left: ["other"],
+  });
+  assert.strictEqual(interest.visibleTo("viewer").size, 0);
+});
+
+test("removing a player reports who could see it", () => {
+  const interest = new InterestManager({ relevanceRadius: 1000 });
+  const players = {
+    a: ship("a", 0),
+    b: ship("b", 100),
+    c: ship("c", 50000),
+  };
+  interest.updatePositions(Object.values(players));
+  Object.values(players).forEach((viewer) => {
+    interest.refresh(viewer, players);
+  });
+
+  assert.deepStrictEqual(interest.removePlayer("b"), ["a"]);
+  assert.strictEqual(interest.visibleTo("a").size, 0);
+});
+
+test("ships left out of the player list drop out of view", () => {
+  const interest = new InterestManager({ relevanceRadius: 1000 });
+  const viewer = ship("viewer", 0);
+  const other = ship("other", 100);
+  interest.updatePositions([viewer, other]);
+  interest.refresh(viewer, { viewer, other });
+
+  assert.deepStrictEqual(interest.refresh(viewer, { viewer }), {
+    entered: [],
+    left: ["other"],
+  });
+  assert.deepStrictEqual(interest.refresh(viewer, { viewer }).entered, []);
+});
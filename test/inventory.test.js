@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const inventory = require("../server/inventory");
+
+function quote(action, commodityId, quantity, total) {
+  return {
+    ok: true,
+    stationId: "S0-ST0",
+    commodityId,
+    quantity,
+    action,
+    total,
+  };
+}
+
+test("new pilots start with credits, an empty hold and the starter ship", () => {
+  const pilot = inventory.createInventory();
+
+  assert.strictEqual(pilot.credits, inventory.STARTING_CREDITS);
+  assert.deepStrictEqual(pilot.cargo, {});
+  assert.strictEqual(inventory.cargoUsed(pilot), 0);
+});
+
+test("buying needs the credits and the hold space", () => {
+  const pilot = inventory.createInventory();
+  const { cargoCapacity } = inventory.serializeInventory(pilot).ship;
+
+  assert.deepStrictEqual(
+    inventory.checkTrade(pilot, quote("buy", "ore", 1, pilot.credits + 1)),
+    { ok: false, reason: "Not enough credits" }
+  );
+  assert.deepStrictEqual(
+    inventory.checkTrade(pilot, quote("buy", "ore", cargoCapacity + 1, 1)),
+    { ok: false, reason: "Not enough cargo space" }
+  );
+  assert.deepStrictEqual(
+    inventory.checkTrade(pilot, quote("buy", "ore", cargoCapacity, 1)),
+    { ok: true }
+  );
+});
+
+test("selling needs the goods in the hold", () => {
+  const pilot = inventory.createInventory();
+  pilot.cargo.ore = 3;
+
+  assert.deepStrictEqual(
+    inventory.checkTrade(pilot, quote("sell", "ore", 4, 100)),
+    { ok: false, reason: "Not enough cargo to sell" }
+  );
+  assert.deepStrictEqual(
+    inventory.checkTrade(pilot, quote("sell", "ore", 3, 100)),
+    { ok: true }
+  );
+});
+
+test("trades move credits and cargo, and empty holds drop the entry", () => {
+  const pilot = inventory.createInventory();
+  const credits = pilot.credits;
+
+  inventory.applyTrade(pilot, quote("buy", "ore", 5, 200));
+  assert.strictEqual(pilot.credits, credits - 200);
+  assert.deepStrictEqual(pilot.cargo, { ore: 5 });
+
+  inventory.applyTrade(pilot, quote("sell", "ore", 5, 150));
+  assert.strictEqual(pilot.credits, credits - 50);
+  assert.deepStrictEqual(pilot.cargo, {});
+});
+
+test("the client sees its cargo by name and the space it takes", () => {
+  const pilot = inventory.createInventory();
+  pilot.cargo = { ore: 4, food: 2 };
+
+  const sent = inventory.serializeInventory(pilot);
+
+  assert.strictEqual(sent.cargoUsed, 6);
+  assert.deepStrictEqual(sent.cargo, [
+    { id: "food", name: "Food", quantity: 2 },
+    { id: "ore", name: "Ore", quantity: 4 },
+  ]);
+});
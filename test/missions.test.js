@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const inventory = require("../server/inventory");
+const missions = require("../server/missions");
+const ships = require("../shared/ships");
+const { STATION_ID: originId, dockedPlayer } = require("./helpers/players");
+
+// Put an offer of the given type, open to new pilots, on the origin's board
+function postOffer(board, type) {
+  const offers = board.offers(originId);
+  let offer;
+  do {
+    offer = board.createOffer(originId, Date.now());
+  } while (offer.type !== type || offer.minReputation > 0);
+  offers.push(offer);
+  return offer;
+}
+
+test("a courier contract loads a package and completes when it arrives", () => {
+  const board = new missions.MissionBoard();
+  const player = dockedPlayer();
+  const offer = postOffer(board, "courier");
+
+  assert.strictEqual(board.accept(player, offer.id).ok, true);
+  assert.strictEqual(player.inventory.missionCargo.length, 1);
+  assert.strictEqual(inventory.cargoUsed(player.inventory), 1);
+
+  // Nothing happens back at the origin
+  assert.deepStrictEqual(board.handIn(player), []);
+
+  player.dockedAt = offer.destination.id;
+  const completed = board.handIn(player);
+
+  assert.strictEqual(completed.length, 1);
+  assert.deepStrictEqual(player.inventory.missionCargo, []);
+  assert.strictEqual(player.missions.active.length, 0);
+});
+
+test("a courier contract needs room in the hold", () => {
+  const board = new missions.MissionBoard();
+  const player = dockedPlayer();
+  player.inventory.cargo.ore = ships.shipStats(
+    player.inventory.ship
+  ).cargoCapacity;
+  const offer = postOffer(board, "courier");
+
+  const result = board.accept(player, offer.id);
+
+  assert.deepStrictEqual(result, {
+    ok: false,
+    reason: "Not enough cargo space",
+  });
+  assert.strictEqual(player.missions.active.length, 0);
+});
+
+test("a delivery takes goods loaded at the origin, not bought on arrival", () => {
+  const board = new missions.MissionBoard();
+  const player = dockedPlayer();
+  const offer = postOffer(board, "delivery");
+
+  assert.strictEqual(board.accept(player, offer.id).ok, false);
+
+  player.inventory.cargo[offer.commodityId] = offer.quantity;
+  assert.strictEqual(board.accept(player, offer.id).ok, true);
+  assert.strictEqual(player.inventory.cargo[offer.commodityId], undefined);
+  assert.strictEqual(inventory.cargoUsed(player.inventory), offer.quantity);
+
+  // Goods bought at the destination stay the pilot's to sell
+  player.dockedAt = offer.destination.id;
+  player.inventory.cargo[offer.commodityId] = offer.quantity;
+  assert.strictEqual(board.handIn(player).length, 1);
+  assert.strictEqual(player.inventory.cargo[offer.commodityId], offer.quantity);
+  assert.deepStrictEqual(player.inventory.missionCargo, []);
+});
+
+test("goods bought at the destination don't complete a delivery", () => {
+  const board = new missions.MissionBoard();
+  const player = dockedPlayer();
+  const offer = postOffer(board, "delivery");
+  player.inventory.cargo[offer.commodityId] = offer.quantity;
+  const { mission } = board.accept(player, offer.id);
+
+  // The sealed goods were lost somehow, and the pilot buys more on arrival
+  player.inventory.missionCargo = [];
+  player.dockedAt = offer.destination.id;
+  player.inventory.cargo[offer.commodityId] = offer.quantity;
+
+  assert.deepStrictEqual(board.handIn(player), []);
+  assert.deepStrictEqual(player.missions.active, [mission]);
+});
+
+test("abandoning a delivery gives the goods back", () => {
+  const board = new missions.MissionBoard();
+  const player = dockedPlayer();
+  const offer = postOffer(board, "delivery");
+  player.inventory.cargo[offer.commodityId] = offer.quantity;
+  board.accept(player, offer.id);
+
+  assert.strictEqual(board.abandon(player, offer.id).ok, true);
+
+  assert.strictEqual(player.inventory.cargo[offer.commodityId], offer.quantity);
+  assert.deepStrictEqual(player.inventory.missionCargo, []);
+});
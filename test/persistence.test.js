@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { MemoryStore, FileStore } = require("../server/persistence");
+
+function temporaryFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "space-game-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, "data", "accounts.json");
+}
+
+test("a new account is found again by its token", () => {
+  const store = new MemoryStore();
+  const { account, token } = store.create("Ace");
+
+  assert.strictEqual(store.findByToken(token), account);
+  assert.strictEqual(account.name, "Ace");
+  assert.strictEqual(account.inventory, null);
+});
+
+test("unknown, empty and non-string tokens find nothing", () => {
+  const store = new MemoryStore();
+  const { token } = store.create("Ace");
+
+  [`${token}x`, "", null, undefined, 42, { token }].forEach((candidate) => {
+    assert.strictEqual(store.findByToken(candidate), null);
+  });
+});
+
+test("only a hash of the token is kept", () => {
+  const store = new MemoryStore();
+  const { account, token } = store.create("Ace");
+
+  assert.notStrictEqual(account.tokenHash, token);
+  assert.ok(!JSON.stringify(account).includes(token));
+});
+
+test("callsigns are found ignoring case", () => {
+  const store = new MemoryStore();
+  const { account } = store.create("Ace");
+
+  assert.strictEqual(store.findByName("ACE"), account);
+  assert.strictEqual(store.findByName("Bee"), null);
+});
+
+test("accounts saved to a file survive a restart", (t) => {
+  const file = temporaryFile(t);
+  const store = new FileStore(file);
+  const { account, token } = store.create("Ace");
+  account.dockedAt = "S0-ST0";
+  store.save(account);
+  store.flush();
+
+  const contents = fs.readFileSync(file, "utf8");
+  assert.ok(!contents.includes(token));
+
+  const restarted = new FileStore(file);
+  assert.deepStrictEqual(restarted.findByToken(token), account);
+});
+
+test("saves are batched until the store flushes", (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  const file = temporaryFile(t);
+  const store = new FileStore(file);
+
+  store.create("Ace");
+  store.create("Bo");
+  assert.ok(!fs.existsSync(file));
+
+  t.mock.timers.tick(1000);
+  assert.strictEqual(JSON.parse(fs.readFileSync(file, "utf8")).length, 2);
+});
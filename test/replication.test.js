@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const shipPhysics = require("../shared/shipPhysics");
+const snapshotCodec = require("../shared/snapshotCodec");
+const { Replicator } = require("../server/replication");
+
+const { FIELD_POSITION, FIELD_QUATERNION, ALL_FIELDS } = snapshotCodec;
+
+function newPlayer(id, netId) {
+  return {
+    id,
+    netId,
+    state: shipPhysics.createShipState(),
+    lastProcessedSeq: -1,
+  };
+}
+
+// Build and decode the snapshot `viewer` gets of `players`
+function snapshotFor(replicator, viewer, players) {
+  return snapshotCodec.decodeSnapshot(
+    replicator.buildSnapshot(viewer, players, Date.now())
+  );
+}
+
+test("the first snapshot of a ship carries every field", () => {
+  const replicator = new Replicator();
+  const viewer = newPlayer("a", 1);
+  const other = newPlayer("b", 2);
+
+  const { self, entries } = snapshotFor(replicator, viewer, [viewer, other]);
+
+  assert.deepStrictEqual(self.position, viewer.state.position);
+  assert.strictEqual(entries.length, 1);
+  assert.strictEqual(entries[0].netId, 2);
+  assert.strictEqual(entries[0].mask, ALL_FIELDS);
+});
+
+test("only fields that moved past their threshold are sent again", () => {
+  const replicator = new Replicator();
+  const viewer = newPlayer("a", 1);
+  const other = newPlayer("b", 2);
+  snapshotFor(replicator, viewer, [viewer, other]);
+
+  // Too small to be worth sending
+  other.state.position.x += 0.005;
+  other.state.velocity.z += 0.01;
+  assert.deepStrictEqual(
+    snapshotFor(replicator, viewer, [viewer, other]).entries,
+    []
+  );
+
+  // The small moves add up against what was last sent
+  other.state.position.x += 0.01;
+  other.state.quaternion.y = 0.01;
+  const [entry] = snapshotFor(replicator, viewer, [viewer, other]).entries;
+  assert.strictEqual(entry.mask, FIELD_POSITION | FIELD_QUATERNION);
+  assert.strictEqual(entry.position.x, 0.015);
+});
+
+test("baselines are kept apart for each viewer", () => {
+  const replicator = new Replicator();
+  const first = newPlayer("a", 1);
+  const second = newPlayer("b", 2);
+  const other = newPlayer("c", 3);
+  snapshotFor(replicator, first, [other]);
+
+  assert.deepStrictEqual(snapshotFor(replicator, first, [other]).entries, []);
+  assert.strictEqual(
+    snapshotFor(replicator, second, [other]).entries[0].mask,
+    ALL_FIELDS
+  );
+
+  replicator.forgetPlayer("c");
+  assert.strictEqual(
+    snapshotFor(replicator, first, [other]).entries[0].mask,
+    ALL_FIELDS
+  );
+});
@@ -0,0 +1,151 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const shipPhysics = require("../shared/shipPhysics");
+
+const { WARP_CONSTANTS, FIXED_TIMESTEP } = shipPhysics;
+
+// Step a fresh warp drive until it engages
+function engagedDrive() {
+  const drive = shipPhysics.createWarpDrive();
+  const input = { warp: true, throttle: 1 };
+  while (drive.phase !== shipPhysics.WARP_ACTIVE) {
+    shipPhysics.stepWarpDrive(drive, input, FIXED_TIMESTEP);
+  }
+  return drive;
+}
+
+test("an engaged warp drive drains energy even at zero throttle", () => {
+  const drive = engagedDrive();
+  const before = drive.energy;
+
+  shipPhysics.stepWarpDrive(drive, { warp: true, throttle: 0 }, 1);
+
+  assert.strictEqual(
+    before - drive.energy,
+    WARP_CONSTANTS.drainRate * WARP_CONSTANTS.minDrainFraction
+  );
+});
+
+test("holding warp at zero throttle runs the drive dry", () => {
+  const drive = engagedDrive();
+  const input = { warp: true, throttle: 0 };
+
+  for (let i = 0; i < 200 && drive.phase === shipPhysics.WARP_ACTIVE; i++) {
+    shipPhysics.stepWarpDrive(drive, input, 1);
+  }
+
+  assert.strictEqual(drive.energy, 0);
+  assert.strictEqual(drive.phase, shipPhysics.WARP_COOLDOWN);
+});
+
+test("vertical thrust pushes along the ship's own up axis", () => {
+  const state = shipPhysics.createShipState();
+  // Rolled a quarter turn about its nose, so the ship's up is world +X
+  const input = {
+    keys: { up: true },
+    quaternion: { x: 0, y: 0, z: -Math.SQRT1_2, w: Math.SQRT1_2 },
+  };
+
+  shipPhysics.stepShip(state, input, FIXED_TIMESTEP);
+
+  assert.ok(state.velocity.x > 0);
+  assert.ok(Math.abs(state.velocity.y) < 1e-9);
+  assert.ok(Math.abs(state.velocity.z) < 1e-9);
+});
+
+function speedOf(state) {
+  return Math.hypot(state.velocity.x, state.velocity.y, state.velocity.z);
+}
+
+function flightInput(fields) {
+  return shipPhysics.sanitizeInput({
+    seq: 0,
+    quaternion: { x: 0, y: 0, z: 0, w: 1 },
+    ...fields,
+  });
+}
+
+// Burn forward under warp with flight assist off for `seconds`
+function warpBurn(state, seconds) {
+  const input = flightInput({
+    keys: { w: true },
+    warp: true,
+    flightAssist: false,
+  });
+  for (let t = 0; t < seconds; t += FIXED_TIMESTEP) {
+    shipPhysics.stepShip(state, input);
+  }
+}
+
+test("without flight assist a coasting ship keeps its velocity", () => {
+  const { maxSpeed } = shipPhysics.SHIP_CONSTANTS;
+  [1000, maxSpeed * 3].forEach((initial) => {
+    const state = shipPhysics.createShipState();
+    state.velocity.x = initial / 2;
+    state.velocity.z = -initial;
+    const input = flightInput({ keys: {}, flightAssist: false });
+
+    for (let i = 0; i < 120; i++) shipPhysics.stepShip(state, input);
+
+    assert.deepStrictEqual(state.velocity, {
+      x: initial / 2,
+      y: 0,
+      z: -initial,
+    });
+  });
+});
+
+test("thrust can't push a ship past top speed", () => {
+  const { maxSpeed } = shipPhysics.SHIP_CONSTANTS;
+  const state = shipPhysics.createShipState();
+  state.velocity.z = -maxSpeed;
+
+  const speed = shipPhysics.stepShip(
+    state,
+    flightInput({ keys: { w: true }, flightAssist: false })
+  );
+
+  assert.strictEqual(speed, maxSpeed);
+});
+
+test("holding warp without thrust coasts at warp speed, paying for it", () => {
+  const state = shipPhysics.createShipState();
+  warpBurn(state, 2.5);
+  const speed = speedOf(state);
+  const energy = state.warpDrive.energy;
+
+  const input = flightInput({ keys: {}, warp: true, flightAssist: false });
+  for (let i = 0; i < 60; i++) shipPhysics.stepShip(state, input);
+
+  assert.strictEqual(speedOf(state), speed);
+  assert.ok(speed > shipPhysics.SHIP_CONSTANTS.maxSpeed * 10);
+  assert.ok(state.warpDrive.energy < energy);
+});
+
+test("dropping out of warp bleeds speed off over the cool-down", () => {
+  const { maxSpeed } = shipPhysics.SHIP_CONSTANTS;
+  const steps = Math.round(WARP_CONSTANTS.coolDownTime / FIXED_TIMESTEP);
+  [true, false].forEach((flightAssist) => {
+    const state = shipPhysics.createShipState();
+    warpBurn(state, 2.5);
+    const input = flightInput({ keys: {}, flightAssist });
+    const excess = speedOf(state) - maxSpeed;
+
+    // Letting go of warp doesn't stop the ship dead
+    let last = shipPhysics.stepShip(state, input);
+    assert.ok(last > maxSpeed * 10);
+
+    for (let i = 1; i < steps; i++) {
+      const speed = shipPhysics.stepShip(state, input);
+      assert.ok(speed < last, `${speed} u/s after ${last} u/s`);
+      // Without drag the excess goes at a steady rate
+      if (!flightAssist) assert.ok(last - speed < (excess / steps) * 1.5);
+      last = speed;
+    }
+
+    shipPhysics.stepShip(state, input);
+    shipPhysics.stepShip(state, input);
+    assert.strictEqual(state.warpDrive.phase, shipPhysics.WARP_IDLE);
+    assert.ok(speedOf(state) <= maxSpeed + 1e-6);
+  });
+});
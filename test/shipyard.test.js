@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const ships = require("../shared/ships");
+const inventory = require("../server/inventory");
+const shipyard = require("../server/shipyard");
+const players = require("./helpers/players");
+
+const PROTOTYPE_KEYS = ["constructor", "__proto__", "toString"];
+
+// A docked pilot with money to spend at the shipyard
+function dockedPlayer() {
+  const player = players.dockedPlayer();
+  player.inventory.credits = 100000;
+  return player;
+}
+
+test("hulls named after prototype keys can't be bought", () => {
+  PROTOTYPE_KEYS.forEach((id) => {
+    const player = dockedPlayer();
+    shipyard.installComponent(player, "thrusters");
+    const credits = player.inventory.credits;
+
+    const result = shipyard.buyHull(player, id);
+
+    assert.deepStrictEqual(result, { ok: false, reason: "Unknown hull" });
+    assert.strictEqual(player.inventory.credits, credits);
+    assert.strictEqual(player.inventory.ship.hull, ships.STARTER_HULL);
+  });
+});
+
+test("components named after prototype keys can't be installed", () => {
+  PROTOTYPE_KEYS.forEach((id) => {
+    const player = dockedPlayer();
+
+    const result = shipyard.installComponent(player, id);
+
+    assert.deepStrictEqual(result, { ok: false, reason: "Unknown component" });
+    assert.deepStrictEqual(player.inventory.ship.components, []);
+  });
+});
+
+test("saves naming prototype keys fall back to the starter hull", () => {
+  PROTOTYPE_KEYS.forEach((id) => {
+    assert.strictEqual(ships.isValidShip({ hull: id, components: [] }), false);
+    assert.strictEqual(
+      ships.isValidShip({ hull: ships.STARTER_HULL, components: [id] }),
+      false
+    );
+
+    const saved = inventory.migrateInventory({
+      credits: 0,
+      cargo: {},
+      ship: { hull: id, components: [] },
+    });
+    assert.deepStrictEqual(saved.ship, ships.createShip());
+  });
+});
+
+test("real hulls and components still work", () => {
+  const player = dockedPlayer();
+
+  assert.strictEqual(shipyard.installComponent(player, "cargoPod").ok, true);
+  assert.strictEqual(shipyard.buyHull(player, "freighter").ok, true);
+  assert.strictEqual(player.inventory.ship.hull, "freighter");
+  assert.deepStrictEqual(player.inventory.ship.components, ["cargoPod"]);
+});
@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const snapshotCodec = require("../shared/snapshotCodec");
+
+const { FIELD_POSITION, FIELD_VELOCITY, ALL_FIELDS } = snapshotCodec;
+
+test("a snapshot survives encoding and decoding", () => {
+  const snapshot = {
+    time: 1700000000123,
+    ack: 42,
+    self: {
+      position: { x: 1e12 + 0.25, y: -3.5, z: 7 },
+      velocity: { x: 1.2e9 + 0.1, y: -0.3, z: 12000.7 },
+      warpDrive: { energy: 42.125, phase: 2, timer: 1.5 },
+      hull: 75.5,
+      shield: 30.25,
+    },
+    entries: [
+      {
+        netId: 3,
+        mask: ALL_FIELDS,
+        position: { x: -5e11, y: 2, z: 0.125 },
+        quaternion: { x: 0, y: 0.6, z: 0, w: 0.8 },
+        velocity: { x: 1.5, y: 0, z: -2.25 },
+      },
+      { netId: 9, mask: FIELD_POSITION, position: { x: 1, y: 2, z: 3 } },
+    ],
+  };
+
+  const decoded = snapshotCodec.decodeSnapshot(
+    snapshotCodec.encodeSnapshot(snapshot)
+  );
+
+  assert.strictEqual(decoded.time, snapshot.time);
+  assert.strictEqual(decoded.ack, snapshot.ack);
+  assert.deepStrictEqual(decoded.self, snapshot.self);
+  assert.strictEqual(decoded.entries.length, 2);
+
+  const [full, moved] = decoded.entries;
+  assert.strictEqual(full.netId, 3);
+  assert.deepStrictEqual(full.position, snapshot.entries[0].position);
+  assert.deepStrictEqual(full.velocity, snapshot.entries[0].velocity);
+  assert.ok(Math.abs(full.quaternion.y - 0.6) < 1e-4);
+  assert.ok(Math.abs(full.quaternion.w - 0.8) < 1e-4);
+
+  assert.deepStrictEqual(moved, {
+    netId: 9,
+    mask: FIELD_POSITION,
+    position: { x: 1, y: 2, z: 3 },
+  });
+});
+
+test("a snapshot without our own ship decodes with no self state", () => {
+  const decoded = snapshotCodec.decodeSnapshot(
+    snapshotCodec.encodeSnapshot({
+      time: 1,
+      ack: -1,
+      self: null,
+      entries: [
+        { netId: 1, mask: FIELD_VELOCITY, velocity: { x: 0, y: 1, z: 0 } },
+      ],
+    })
+  );
+
+  assert.strictEqual(decoded.self, null);
+  assert.deepStrictEqual(decoded.entries[0].velocity, { x: 0, y: 1, z: 0 });
+});
+
+test("packed inputs unpack to what they were", () => {
+  const input = {
+    seq: 17,
+    keys: { w: true, a: false, s: false, d: true, up: true, down: false },
+    warp: true,
+    flightAssist: false,
+    throttle: 0.5,
+    fire: { laser: true, plasma: false },
+    viewTime: 1700000000123,
+    quaternion: { x: 0, y: 1, z: 0, w: 0 },
+  };
+
+  const unpacked = snapshotCodec.unpackInput(snapshotCodec.packInput(input));
+
+  assert.deepStrictEqual(unpacked, input);
+});
+
+test("anything but a packed input unpacks to null", () => {
+  [null, {}, [1, 2, 3], [0, 1.5, 0, 0, 0, 1, 1]].forEach((packed) => {
+    assert.strictEqual(snapshotCodec.unpackInput(packed), null);
+  });
+});
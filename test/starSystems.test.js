@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const galaxy = require("../shared/galaxy");
+const starSystems = require("../shared/starSystems");
+
+function systemsFor(seed) {
+  const brightStars = galaxy.generateBrightStars(
+    seed,
+    galaxy.DEFAULT_GALAXY_PARAMS
+  );
+  return starSystems.generateStarSystems(seed, brightStars);
+}
+
+test("the same seed always builds the same star systems", () => {
+  assert.deepStrictEqual(systemsFor("test-seed"), systemsFor("test-seed"));
+  assert.notDeepStrictEqual(systemsFor("test-seed"), systemsFor("other"));
+});
+
+test("every system has a station orbiting one of its planets", () => {
+  systemsFor("test-seed").forEach((system) => {
+    assert.ok(system.stations.length > 0);
+    system.stations.forEach((station) => {
+      assert.ok(starSystems.findPlanet(system, station.parentId));
+    });
+  });
+});
+
+test("stations keep their orbit around their planet", () => {
+  const [system] = systemsFor("test-seed");
+  const [station] = system.stations;
+  const planet = starSystems.findPlanet(system, station.parentId);
+
+  [0, 1000, 123456].forEach((time) => {
+    const center = starSystems.planetPosition(system, planet, time);
+    const position = starSystems.stationPosition(system, station, time);
+    const distance = Math.hypot(
+      position.x - center.x,
+      position.y - center.y,
+      position.z - center.z
+    );
+    assert.ok(distance > planet.radius, `${distance} inside the planet`);
+  });
+});